@@ -93,6 +93,34 @@ describe("InfluxDB MCP Server Direct Handler Tests", () => {
       INFLUXDB_URL: `http://localhost:${INFLUXDB_PORT}`,
       INFLUXDB_TOKEN: INFLUXDB_ADMIN_TOKEN,
       DEFAULT_ORG: INFLUXDB_ORG,
+      INFLUXDB_TOKEN_PASSTHROUGH_MODES: ["off", "optional", "required"],
+      INFLUXDB_TOKEN_PASSTHROUGH: "off",
+      INFLUXDB_INSTANCES_FILE: undefined,
+      READ_ONLY: false,
+      QUERY_GUARDRAILS_FILE: undefined,
+      INFLUXDB_TIMEOUT_MS: 10000,
+      INFLUXDB_TOOL_TIMEOUTS_MS: {},
+      INFLUXDB_MAX_RETRIES: 2,
+      INFLUXDB_RETRY_BASE_MS: 250,
+      INFLUXDB_RETRY_MAX_MS: 5000,
+      INFLUXDB_BREAKER_THRESHOLD: 5,
+      INFLUXDB_BREAKER_COOLDOWN_MS: 30000,
+      QUERY_MAX_ROWS: 1000,
+      QUERY_MAX_BYTES: 256 * 1024,
+      QUERY_RESULT_MAX_BYTES: 16 * 1024 * 1024,
+      QUERY_RESULT_MAX_ROWS: 100000,
+      QUERY_CURSOR_TTL_MS: 10 * 60 * 1000,
+      QUERY_CURSOR_MAX_RESULTS: 10,
+      WRITE_CHUNK_MAX_LINES: 5000,
+      WRITE_CHUNK_MAX_BYTES: 1024 * 1024,
+      WRITE_CONCURRENCY: 4,
+      WRITE_GZIP: true,
+      WRITE_BUFFER_DIR: null,
+      WRITE_BUFFER_MAX_BYTES: 64 * 1024 * 1024,
+      WRITE_BUFFER_DROP_POLICIES: ["reject-new", "drop-oldest"],
+      WRITE_BUFFER_DROP_POLICY: "reject-new",
+      WRITE_BUFFER_RETRY_BASE_MS: 1000,
+      WRITE_BUFFER_RETRY_MAX_MS: 60000,
       validateEnvironment: () => {
         console.log("Mock validateEnvironment called with overridden env vars");
       },
@@ -0,0 +1,94 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { AuthError } from "./authError.js";
+import { compilePolicy } from "./policy.js";
+
+/**
+ * Static API keys loaded from a JSON file:
+ *
+ *   { "keys": [
+ *       { "id": "analyst", "name": "Analyst dashboard", "key": "plaintext-key" },
+ *       { "id": "ops", "sha256": "<hex digest of the key>", "enabled": false }
+ *   ] }
+ *
+ * Keys are accepted from an `X-API-Key` header or as a bearer token.
+ * An optional "policy" restricts tools, orgs and buckets (see policy.js).
+ */
+
+const sha256 = (value) => createHash("sha256").update(value).digest();
+
+function loadApiKeys(file) {
+  const parsed = JSON.parse(readFileSync(file, "utf8"));
+  const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+
+  if (!Array.isArray(entries)) {
+    throw new Error(`API keys file ${file} must contain a "keys" array`);
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.id) {
+      throw new Error(`API key #${index + 1} in ${file} is missing an "id"`);
+    }
+    if (!entry.key && !entry.sha256) {
+      throw new Error(`API key "${entry.id}" in ${file} needs a "key" or "sha256"`);
+    }
+
+    let policy;
+    try {
+      policy = compilePolicy(entry.policy);
+    } catch (error) {
+      throw new Error(`API key "${entry.id}" in ${file}: ${error.message}`);
+    }
+
+    return {
+      ...entry,
+      policy,
+      // Only digests are kept in memory and compared
+      digest: entry.sha256 ? Buffer.from(entry.sha256, "hex") : sha256(entry.key),
+      key: undefined,
+    };
+  });
+}
+
+export function createApiKeyProvider({ file }) {
+  const entries = loadApiKeys(file);
+  console.log(`Loaded ${entries.length} API key(s) from ${file}`);
+
+  return {
+    name: "api-key",
+
+    async authenticate({ apiKey, bearer }) {
+      const candidate = apiKey || bearer;
+      if (!candidate) {
+        return null;
+      }
+
+      const digest = sha256(candidate);
+      const entry = entries.find((e) =>
+        e.digest.length === digest.length && timingSafeEqual(e.digest, digest)
+      );
+
+      if (!entry) {
+        // An explicit X-API-Key that matches nothing is a definite failure;
+        // a bearer token may still be a JWT for the next provider
+        if (apiKey) {
+          throw new AuthError(401, "Invalid API key", {
+            challenge: "invalid_token",
+          });
+        }
+        return null;
+      }
+
+      if (entry.enabled === false) {
+        throw new AuthError(403, `API key "${entry.id}" is disabled`);
+      }
+
+      return {
+        id: `api-key:${entry.id}`,
+        type: "api-key",
+        name: entry.name || entry.id,
+        policy: entry.policy,
+      };
+    },
+  };
+}
@@ -0,0 +1,19 @@
+// JSON-RPC error codes used for authentication failures (server error range)
+export const UNAUTHORIZED_ERROR_CODE = -32002;
+export const FORBIDDEN_ERROR_CODE = -32003;
+
+/**
+ * Authentication failure carrying the HTTP status to respond with:
+ * 401 when credentials are missing or invalid, 403 when they are valid
+ * but not allowed to use the server
+ */
+export class AuthError extends Error {
+  constructor(status, message, options = {}) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.code = status === 403 ? FORBIDDEN_ERROR_CODE : UNAUTHORIZED_ERROR_CODE;
+    // OAuth-style error reported in the WWW-Authenticate header
+    this.challenge = options.challenge;
+  }
+}
@@ -0,0 +1,68 @@
+import { createApiKeyProvider } from "./apiKeyProvider.js";
+import { createJwtProvider } from "./jwtProvider.js";
+import { AuthError } from "./authError.js";
+
+// Pull a bearer token and/or API key out of the request headers
+function extractCredentials(req) {
+  const authorization = req.headers.authorization || "";
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+
+  return {
+    bearer: match ? match[1].trim() : null,
+    apiKey: req.headers["x-api-key"] || null,
+  };
+}
+
+/**
+ * Build the inbound authenticator for the HTTP server.
+ * Each configured provider is tried in turn; the first one that recognises
+ * the credentials returns the caller's principal. Returns null when no
+ * provider is configured, which leaves the server unauthenticated.
+ */
+export function createAuthenticator(options = {}) {
+  const providers = [];
+
+  if (options.apiKeysFile) {
+    providers.push(createApiKeyProvider({ file: options.apiKeysFile }));
+  }
+
+  if (options.jwtSecret || options.jwtJwksFile) {
+    providers.push(createJwtProvider({
+      secret: options.jwtSecret,
+      jwksFile: options.jwtJwksFile,
+      issuer: options.jwtIssuer,
+      audience: options.jwtAudience,
+      requiredScope: options.jwtRequiredScope,
+    }));
+  }
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  console.log(
+    `Inbound authentication enabled: ${providers.map((p) => p.name).join(", ")}`,
+  );
+
+  return {
+    providers: providers.map((p) => p.name),
+
+    async authenticate(req) {
+      const credentials = extractCredentials(req);
+      if (!credentials.bearer && !credentials.apiKey) {
+        throw new AuthError(401, "Authentication required");
+      }
+
+      for (const provider of providers) {
+        const principal = await provider.authenticate(credentials);
+        if (principal) {
+          return principal;
+        }
+      }
+
+      throw new AuthError(401, "Invalid credentials", {
+        challenge: "invalid_token",
+      });
+    },
+  };
+}
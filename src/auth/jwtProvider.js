@@ -0,0 +1,101 @@
+import { readFileSync } from "node:fs";
+import { createLocalJWKSet, jwtVerify } from "jose";
+import { AuthError } from "./authError.js";
+import { compilePolicy } from "./policy.js";
+
+/**
+ * JWT bearer tokens verified against a shared secret (HS256/384/512)
+ * and/or a local JWKS file (asymmetric algorithms), with optional
+ * issuer, audience and required-scope checks. Tokens must name their
+ * subject ("sub"). An "mcp_policy" claim carries the same authorization
+ * policy as an API key entry.
+ */
+
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+
+// A JWT is three base64url segments separated by dots
+const looksLikeJwt = (token) =>
+  /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/.test(token);
+
+// Scopes may arrive as an OAuth "scope" string or an "scp" array
+function scopesOf(payload) {
+  if (Array.isArray(payload.scp)) {
+    return payload.scp;
+  }
+  if (typeof payload.scope === "string") {
+    return payload.scope.split(" ").filter(Boolean);
+  }
+  return [];
+}
+
+export function createJwtProvider(options) {
+  const secretKey = options.secret
+    ? new TextEncoder().encode(options.secret)
+    : null;
+  const jwks = options.jwksFile
+    ? createLocalJWKSet(JSON.parse(readFileSync(options.jwksFile, "utf8")))
+    : null;
+
+  // Pick the verification key from the token's algorithm
+  const getKey = (protectedHeader, token) => {
+    if (HMAC_ALGORITHMS.includes(protectedHeader.alg)) {
+      if (!secretKey) {
+        throw new Error(`Tokens signed with ${protectedHeader.alg} are not accepted`);
+      }
+      return secretKey;
+    }
+    if (!jwks) {
+      throw new Error(`Tokens signed with ${protectedHeader.alg} are not accepted`);
+    }
+    return jwks(protectedHeader, token);
+  };
+
+  return {
+    name: "jwt",
+
+    async authenticate({ bearer }) {
+      if (!bearer || !looksLikeJwt(bearer)) {
+        return null;
+      }
+
+      let payload;
+      try {
+        ({ payload } = await jwtVerify(bearer, getKey, {
+          issuer: options.issuer || undefined,
+          audience: options.audience || undefined,
+          // Sessions and denials are tied to the subject, so it must be known
+          requiredClaims: ["sub"],
+        }));
+      } catch (error) {
+        throw new AuthError(401, `Invalid token: ${error.message}`, {
+          challenge: "invalid_token",
+        });
+      }
+
+      const scopes = scopesOf(payload);
+      if (options.requiredScope && !scopes.includes(options.requiredScope)) {
+        throw new AuthError(
+          403,
+          `Token is missing the required scope "${options.requiredScope}"`,
+          { challenge: "insufficient_scope" },
+        );
+      }
+
+      let policy;
+      try {
+        policy = compilePolicy(payload.mcp_policy);
+      } catch (error) {
+        throw new AuthError(403, `Token has an invalid mcp_policy claim: ${error.message}`);
+      }
+
+      return {
+        id: `jwt:${payload.sub}`,
+        type: "jwt",
+        name: payload.name || payload.sub,
+        scopes,
+        policy,
+        claims: payload,
+      };
+    },
+  };
+}
@@ -0,0 +1,143 @@
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { FORBIDDEN_ERROR_CODE } from "./authError.js";
+import { getRequestContext } from "../utils/requestContext.js";
+
+/**
+ * Authorization policies attached to authenticated principals:
+ *
+ *   "policy": {
+ *     "tools": ["query-data", "get-*", "list-databases"],
+ *     "instances": ["staging", "edge-*"],
+ *     "orgs": ["acme"],
+ *     "buckets": { "read": ["sensors", "metrics-*"], "write": ["scratch"] }
+ *   }
+ *
+ * Every list accepts "*" wildcards. A missing list leaves that dimension
+ * unrestricted; "buckets" may also be a single list used for read and write.
+ * Principals without a policy (and unauthenticated servers) are unrestricted.
+ */
+
+const toPattern = (glob) =>
+  new RegExp(
+    "^" + glob.split("*").map((part) =>
+      part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    ).join(".*") + "$",
+  );
+
+const matchesAny = (patterns, value) =>
+  patterns.some((pattern) => pattern.test(value));
+
+function compileList(value, field) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    throw new Error(`Policy "${field}" must be an array of strings`);
+  }
+  return value.map(toPattern);
+}
+
+/**
+ * Validate a policy definition and precompile its patterns.
+ * Throws on malformed policies so bad key files fail at startup.
+ */
+export function compilePolicy(policy) {
+  if (!policy) {
+    return null;
+  }
+
+  const buckets = Array.isArray(policy.buckets)
+    ? { read: policy.buckets, write: policy.buckets }
+    : policy.buckets || {};
+
+  return {
+    tools: compileList(policy.tools, "tools"),
+    instances: compileList(policy.instances, "instances"),
+    orgs: compileList(policy.orgs, "orgs"),
+    read: compileList(buckets.read, "buckets.read"),
+    write: compileList(buckets.write, "buckets.write"),
+  };
+}
+
+const deny = (principal, reason) =>
+  new McpError(
+    FORBIDDEN_ERROR_CODE,
+    `Access denied for ${principal.type} "${principal.name}": ${reason}`,
+  );
+
+/**
+ * Whether the principal may see and call the named tool
+ */
+export function isToolAllowed(principal, toolName) {
+  const policy = principal?.policy;
+  return !policy?.tools || matchesAny(policy.tools, toolName);
+}
+
+// Why the policy refuses an access requirement, or null when it allows it
+function accessDenial(policy, subject, access) {
+  if (policy.instances && access.instance !== undefined
+    && !matchesAny(policy.instances, access.instance)) {
+    return `${subject} is not allowed on InfluxDB instance "${access.instance}"`;
+  }
+
+  if (policy.orgs && access.org !== undefined && !matchesAny(policy.orgs, access.org)) {
+    return `${subject} is not allowed in organization "${access.org}"`;
+  }
+
+  for (const bucket of (access.writes || []).filter(Boolean)) {
+    if (policy.write && !matchesAny(policy.write, bucket)) {
+      return `${subject} may not write to bucket "${bucket}"`;
+    }
+  }
+
+  for (const bucket of (access.reads || []).filter(Boolean)) {
+    if (policy.read && !matchesAny(policy.read, bucket)) {
+      return `${subject} may not read from bucket "${bucket}"`;
+    }
+  }
+
+  // Bucket references we could not resolve are only acceptable when the
+  // policy does not restrict buckets at all
+  if ((access.unresolved || []).length > 0 && (policy.read || policy.write)) {
+    return `${subject} uses ${access.unresolved[0]}; bucket-scoped keys must name buckets with string literals, e.g. from(bucket: "my-bucket")`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an access requirement ({ instance, org, reads, writes, unresolved })
+ * against the principal's instance, org and bucket scopes. `subject` names the tool or
+ * resource in denial messages.
+ */
+export function authorizeAccess(principal, subject, access = {}) {
+  const policy = principal?.policy;
+  const reason = policy ? accessDenial(policy, subject, access) : null;
+  if (reason) {
+    throw deny(principal, reason);
+  }
+}
+
+/**
+ * Whether the principal of the current request (see http-server.js) may
+ * make an access, for listings that leave out what it may not see
+ */
+export function isAllowedForRequest(access) {
+  const policy = getRequestContext().principal?.policy;
+  return !policy || accessDenial(policy, "", access) === null;
+}
+
+// Whether the current request's principal has a policy to filter listings by
+export function requestHasPolicy() {
+  return Boolean(getRequestContext().principal?.policy);
+}
+
+/**
+ * Enforce the tool allowlist and data scopes for a tools/call request
+ */
+export function authorizeToolCall(principal, toolName, access) {
+  if (!isToolAllowed(principal, toolName)) {
+    throw deny(principal, `tool "${toolName}" is not in this key's allowed tools`);
+  }
+  authorizeAccess(principal, `tool "${toolName}"`, access);
+}
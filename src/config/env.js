@@ -3,10 +3,125 @@ export const INFLUXDB_URL = process.env.INFLUXDB_URL || "http://localhost:8086";
 export const INFLUXDB_TOKEN = process.env.INFLUXDB_TOKEN;
 export const DEFAULT_ORG = process.env.INFLUXDB_ORG;
 
+// Per-session InfluxDB credentials on the HTTP server: "off" (server token
+// only), "optional" (client token when supplied) or "required" (no
+// server-wide token needed)
+export const INFLUXDB_TOKEN_PASSTHROUGH_MODES = ["off", "optional", "required"];
+export const INFLUXDB_TOKEN_PASSTHROUGH = (process.env.INFLUXDB_TOKEN_PASSTHROUGH || "off").toLowerCase();
+
+// Named connection profiles (see config/instances.js); replaces the three
+// variables above when set
+export const INFLUXDB_INSTANCES_FILE = process.env.INFLUXDB_INSTANCES_FILE;
+
+// Default time limit in ms for a tool call and each InfluxDB request it
+// makes, and per-tool overrides ("query-data=120000,write-data=60000")
+export const INFLUXDB_TIMEOUT_MS = Number(process.env.INFLUXDB_TIMEOUT_MS || 10000);
+export const INFLUXDB_TOOL_TIMEOUTS_MS = Object.fromEntries(
+  (process.env.INFLUXDB_TOOL_TIMEOUTS_MS || "")
+    .split(",")
+    .filter((entry) => entry.trim())
+    .map((entry) => {
+      const [name, ms] = entry.split("=");
+      return [name.trim(), Number(ms)];
+    }),
+);
+
+// Retries of failed InfluxDB requests: at most INFLUXDB_MAX_RETRIES more
+// attempts, waiting a random time up to base * 2^attempt (capped at the max)
+// unless the server sends Retry-After (see utils/influxClient.js)
+export const INFLUXDB_MAX_RETRIES = Number(process.env.INFLUXDB_MAX_RETRIES ?? 2);
+export const INFLUXDB_RETRY_BASE_MS = Number(process.env.INFLUXDB_RETRY_BASE_MS || 250);
+export const INFLUXDB_RETRY_MAX_MS = Number(process.env.INFLUXDB_RETRY_MAX_MS || 5000);
+
+// Circuit breaker per instance: after this many failures in a row, requests
+// fail fast for the cooldown (see utils/circuitBreaker.js)
+export const INFLUXDB_BREAKER_THRESHOLD = Number(process.env.INFLUXDB_BREAKER_THRESHOLD || 5);
+export const INFLUXDB_BREAKER_COOLDOWN_MS = Number(process.env.INFLUXDB_BREAKER_COOLDOWN_MS || 30000);
+
+// Chunks of line protocol per write request, and requests in flight at
+// once per tool call (see utils/lineWriter.js)
+export const WRITE_CHUNK_MAX_LINES = Number(process.env.WRITE_CHUNK_MAX_LINES || 5000);
+export const WRITE_CHUNK_MAX_BYTES = Number(process.env.WRITE_CHUNK_MAX_BYTES || 1024 * 1024);
+export const WRITE_CONCURRENCY = Number(process.env.WRITE_CONCURRENCY || 4);
+
+// Gzip line protocol sent to /api/v2/write (Content-Encoding: gzip)
+export const WRITE_GZIP = !/^(0|false|no)$/i.test(process.env.WRITE_GZIP ?? "");
+
+// Durable buffer for writes InfluxDB could not take, off without a
+// directory (see utils/writeBuffer.js)
+export const WRITE_BUFFER_DIR = process.env.WRITE_BUFFER_DIR || null;
+export const WRITE_BUFFER_MAX_BYTES = Number(process.env.WRITE_BUFFER_MAX_BYTES || 64 * 1024 * 1024);
+export const WRITE_BUFFER_DROP_POLICIES = ["reject-new", "drop-oldest"];
+export const WRITE_BUFFER_DROP_POLICY = (process.env.WRITE_BUFFER_DROP_POLICY || "reject-new").toLowerCase();
+export const WRITE_BUFFER_RETRY_BASE_MS = Number(process.env.WRITE_BUFFER_RETRY_BASE_MS || 1000);
+export const WRITE_BUFFER_RETRY_MAX_MS = Number(process.env.WRITE_BUFFER_RETRY_MAX_MS || 60000);
+
+// Limits on client Flux queries (see config/guardrails.js)
+export const QUERY_GUARDRAILS_FILE = process.env.QUERY_GUARDRAILS_FILE;
+
+// Size limits and cursor paging of query results (see utils/queryResults.js)
+export const QUERY_MAX_ROWS = Number(process.env.QUERY_MAX_ROWS || 1000);
+export const QUERY_MAX_BYTES = Number(process.env.QUERY_MAX_BYTES || 256 * 1024);
+export const QUERY_RESULT_MAX_BYTES = Number(process.env.QUERY_RESULT_MAX_BYTES || 16 * 1024 * 1024);
+export const QUERY_RESULT_MAX_ROWS = Number(process.env.QUERY_RESULT_MAX_ROWS || 100000);
+export const QUERY_CURSOR_TTL_MS = Number(process.env.QUERY_CURSOR_TTL_MS || 10 * 60 * 1000);
+export const QUERY_CURSOR_MAX_RESULTS = Number(process.env.QUERY_CURSOR_MAX_RESULTS || 10);
+
+// Read-only mode: mutating tools are not registered and queries with side
+// effects are rejected (see registry.js)
+export const READ_ONLY = /^(1|true|yes)$/i.test(process.env.READ_ONLY ?? "");
+
 // Check required environment variables
-export function validateEnvironment() {
-  if (!INFLUXDB_TOKEN) {
+// (the HTTP server may run without a server-wide token when every client
+// must supply its own, see INFLUXDB_TOKEN_PASSTHROUGH)
+export function validateEnvironment({ requireToken = true } = {}) {
+  if (!INFLUXDB_TOKEN_PASSTHROUGH_MODES.includes(INFLUXDB_TOKEN_PASSTHROUGH)) {
+    console.error(`Error: INFLUXDB_TOKEN_PASSTHROUGH must be one of ${INFLUXDB_TOKEN_PASSTHROUGH_MODES.join(", ")} (got "${INFLUXDB_TOKEN_PASSTHROUGH}")`);
+    process.exit(1);
+  }
+
+  if (requireToken && !INFLUXDB_TOKEN && !INFLUXDB_INSTANCES_FILE) {
     console.error("Error: INFLUXDB_TOKEN environment variable is required");
     process.exit(1);
   }
+
+  const timeouts = [INFLUXDB_TIMEOUT_MS, ...Object.values(INFLUXDB_TOOL_TIMEOUTS_MS)];
+  if (!timeouts.every((ms) => Number.isInteger(ms) && ms > 0)) {
+    console.error("Error: INFLUXDB_TIMEOUT_MS and INFLUXDB_TOOL_TIMEOUTS_MS need positive integer milliseconds");
+    process.exit(1);
+  }
+
+  if (!(Number.isInteger(INFLUXDB_MAX_RETRIES) && INFLUXDB_MAX_RETRIES >= 0)) {
+    console.error("Error: INFLUXDB_MAX_RETRIES must be a non-negative integer");
+    process.exit(1);
+  }
+  const positive = {
+    INFLUXDB_RETRY_BASE_MS,
+    INFLUXDB_RETRY_MAX_MS,
+    INFLUXDB_BREAKER_THRESHOLD,
+    INFLUXDB_BREAKER_COOLDOWN_MS,
+    QUERY_MAX_ROWS,
+    QUERY_MAX_BYTES,
+    QUERY_RESULT_MAX_BYTES,
+    QUERY_RESULT_MAX_ROWS,
+    QUERY_CURSOR_TTL_MS,
+    QUERY_CURSOR_MAX_RESULTS,
+    WRITE_CHUNK_MAX_LINES,
+    WRITE_CHUNK_MAX_BYTES,
+    WRITE_CONCURRENCY,
+    WRITE_BUFFER_MAX_BYTES,
+    WRITE_BUFFER_RETRY_BASE_MS,
+    WRITE_BUFFER_RETRY_MAX_MS,
+  };
+  for (const [name, value] of Object.entries(positive)) {
+    if (!(Number.isInteger(value) && value > 0)) {
+      console.error(`Error: ${name} must be a positive integer`);
+      process.exit(1);
+    }
+  }
+
+  if (!WRITE_BUFFER_DROP_POLICIES.includes(WRITE_BUFFER_DROP_POLICY)) {
+    console.error(`Error: WRITE_BUFFER_DROP_POLICY must be ${WRITE_BUFFER_DROP_POLICIES.join(" or ")} (got "${WRITE_BUFFER_DROP_POLICY}")`);
+    process.exit(1);
+  }
 }
@@ -0,0 +1,94 @@
+import { readFileSync } from "node:fs";
+import { QUERY_GUARDRAILS_FILE } from "./env.js";
+import { parseFluxDuration } from "../utils/fluxAnalysis.js";
+
+/**
+ * Limits on the Flux queries clients may run (see utils/fluxGuardrails.js).
+ *
+ * QUERY_GUARDRAILS_FILE points at a JSON file such as:
+ *
+ *   {
+ *     "requireRange": true,
+ *     "maxRange": "30d",
+ *     "maxFromCalls": 3,
+ *     "rejectUnboundedGroup": true,
+ *     "buckets": {
+ *       "raw_telemetry": { "maxRange": "24h" },
+ *       "archive": { "maxRange": null }
+ *     }
+ *   }
+ *
+ * Durations use Flux syntax. "buckets" overrides maxRange per bucket, where
+ * null lifts the limit. Without a file only requireRange is enforced.
+ */
+
+const DEFAULTS = {
+  requireRange: true,
+  maxRange: null,
+  maxFromCalls: null,
+  rejectUnboundedGroup: false,
+  buckets: new Map(),
+};
+
+let loaded = null;
+
+// Duration setting in milliseconds (null for no limit)
+function parseMaxRange(value, where) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const ms = typeof value === "string" ? parseFluxDuration(value) : null;
+  if (!ms) {
+    throw new Error(`${where} must be a Flux duration such as "30d", not ${JSON.stringify(value)}`);
+  }
+  return { text: value, ms };
+}
+
+function loadGuardrails() {
+  if (!QUERY_GUARDRAILS_FILE) {
+    return DEFAULTS;
+  }
+
+  const file = JSON.parse(readFileSync(QUERY_GUARDRAILS_FILE, "utf8"));
+  if (file.maxFromCalls != null
+    && !(Number.isInteger(file.maxFromCalls) && file.maxFromCalls > 0)) {
+    throw new Error('"maxFromCalls" must be a positive integer');
+  }
+
+  return {
+    requireRange: file.requireRange ?? DEFAULTS.requireRange,
+    maxRange: parseMaxRange(file.maxRange, '"maxRange"'),
+    maxFromCalls: file.maxFromCalls ?? null,
+    rejectUnboundedGroup: file.rejectUnboundedGroup ?? DEFAULTS.rejectUnboundedGroup,
+    // A Map, so bucket names such as "constructor" never match inherited keys
+    buckets: new Map(
+      Object.entries(file.buckets || {}).map(([bucket, settings]) => [
+        bucket,
+        { maxRange: parseMaxRange(settings?.maxRange, `"maxRange" of bucket "${bucket}"`) },
+      ]),
+    ),
+  };
+}
+
+export function getGuardrails() {
+  if (!loaded) {
+    loaded = loadGuardrails();
+  }
+  return loaded;
+}
+
+// Load the file at startup so a bad one stops the server immediately
+export function validateGuardrails() {
+  try {
+    getGuardrails();
+  } catch (error) {
+    console.error(`Error: invalid query guardrails configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Longest time range a query may read from the bucket ({ text, ms } or null)
+export function maxRangeFor(bucket) {
+  const { buckets, maxRange } = getGuardrails();
+  return bucket !== null && buckets.has(bucket) ? buckets.get(bucket).maxRange : maxRange;
+}
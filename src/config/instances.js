@@ -0,0 +1,138 @@
+import { readFileSync } from "node:fs";
+import {
+  DEFAULT_ORG,
+  INFLUXDB_INSTANCES_FILE,
+  INFLUXDB_TOKEN,
+  INFLUXDB_URL,
+} from "./env.js";
+
+/**
+ * Named InfluxDB connection profiles ("instances").
+ *
+ * INFLUXDB_INSTANCES_FILE points at a JSON file such as:
+ *
+ *   {
+ *     "default": "production",
+ *     "instances": {
+ *       "production": { "url": "https://influx.example.com", "tokenEnv": "PROD_TOKEN", "org": "acme" },
+ *       "staging": { "url": "https://influx-staging.example.com", "token": "...", "org": "acme" },
+ *       "edge": { "url": "http://10.0.0.5:8086", "tokenEnv": "EDGE_TOKEN", "version": 1, "description": "Plant floor" }
+ *     }
+ *   }
+ *
+ * "version" (1, 2 or 3) pins the server's major version; when omitted it is
+ * detected from the server's /ping response.
+ *
+ * Without a file, INFLUXDB_URL/INFLUXDB_TOKEN/INFLUXDB_ORG form a single
+ * instance named "default", so existing setups keep working unchanged.
+ */
+
+const ENV_INSTANCE_NAME = "default";
+
+let loaded = null;
+
+function parseInstance(name, definition) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Instance "${name}" must be an object`);
+  }
+  if (typeof definition.url !== "string" || !definition.url) {
+    throw new Error(`Instance "${name}" needs a "url"`);
+  }
+
+  // tokenEnv keeps secrets out of the file itself
+  const token = definition.tokenEnv
+    ? process.env[definition.tokenEnv]
+    : definition.token;
+  if (definition.tokenEnv && !token) {
+    throw new Error(
+      `Instance "${name}" reads its token from ${definition.tokenEnv}, which is not set`,
+    );
+  }
+
+  if (definition.version !== undefined && ![1, 2, 3].includes(definition.version)) {
+    throw new Error(`Instance "${name}" has an unsupported "version" (expected 1, 2 or 3)`);
+  }
+
+  return {
+    name,
+    url: definition.url.replace(/\/+$/, ""),
+    token,
+    org: definition.org,
+    version: definition.version,
+    description: definition.description,
+  };
+}
+
+function loadInstances() {
+  if (!INFLUXDB_INSTANCES_FILE) {
+    return {
+      defaultName: ENV_INSTANCE_NAME,
+      instances: new Map([[ENV_INSTANCE_NAME, {
+        name: ENV_INSTANCE_NAME,
+        url: INFLUXDB_URL,
+        token: INFLUXDB_TOKEN,
+        org: DEFAULT_ORG,
+        description: "Configured by INFLUXDB_URL / INFLUXDB_TOKEN / INFLUXDB_ORG",
+      }]]),
+    };
+  }
+
+  const file = JSON.parse(readFileSync(INFLUXDB_INSTANCES_FILE, "utf8"));
+  const entries = Object.entries(file.instances || {});
+  if (entries.length === 0) {
+    throw new Error(`${INFLUXDB_INSTANCES_FILE} defines no instances`);
+  }
+
+  const instances = new Map(
+    entries.map(([name, definition]) => [name, parseInstance(name, definition)]),
+  );
+  const defaultName = file.default ?? entries[0][0];
+  if (!instances.has(defaultName)) {
+    throw new Error(`Default instance "${defaultName}" is not defined`);
+  }
+
+  return { defaultName, instances };
+}
+
+function configuration() {
+  if (!loaded) {
+    loaded = loadInstances();
+  }
+  return loaded;
+}
+
+// Load the profiles at startup so a bad file stops the server immediately
+export function validateInstances() {
+  try {
+    const { instances, defaultName } = configuration();
+    console.log(
+      `InfluxDB instances: ${[...instances.keys()].join(", ")} (default: ${defaultName})`,
+    );
+  } catch (error) {
+    console.error(`Error: invalid InfluxDB instances configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export function getDefaultInstanceName() {
+  return configuration().defaultName;
+}
+
+export function listInstances() {
+  return [...configuration().instances.values()];
+}
+
+export function hasInstance(name) {
+  return configuration().instances.has(name);
+}
+
+// Profile by name; undefined selects the default instance
+export function getInstance(name = getDefaultInstanceName()) {
+  const instance = configuration().instances.get(name);
+  if (!instance) {
+    throw new Error(
+      `Unknown InfluxDB instance "${name}". Configured instances: ${[...configuration().instances.keys()].join(", ")}`,
+    );
+  }
+  return instance;
+}
@@ -1,5 +1,9 @@
-import { influxRequest } from "../utils/influxClient.js";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import {
+  getInfluxToken,
+  getInfluxUrl,
+  influxRequest,
+} from "../utils/influxClient.js";
+import { readableBuckets } from "../utils/organizations.js";
 
 // Resource: List Buckets
 export async function listBuckets(uri) {
@@ -7,8 +11,8 @@ export async function listBuckets(uri) {
 
   try {
     // Add detailed debug logging
-    console.log(`INFLUXDB_URL: ${INFLUXDB_URL}`);
-    console.log(`INFLUXDB_TOKEN set: ${INFLUXDB_TOKEN ? "Yes" : "No"}`);
+    console.log(`InfluxDB URL: ${getInfluxUrl()}`);
+    console.log(`InfluxDB token set: ${getInfluxToken() ? "Yes" : "No"}`);
 
     console.log("Making request to InfluxDB API for buckets...");
     // Our influxRequest function already has built-in timeout
@@ -21,6 +25,10 @@ export async function listBuckets(uri) {
     // Also add timeout for JSON parsing
     console.log("Parsing response body for buckets...");
     const data = await response.json();
+    // Only the buckets the caller's policy lets it read
+    if (data.buckets) {
+      data.buckets = await readableBuckets(data.buckets);
+    }
     console.log(`Found ${data.buckets?.length || 0} buckets`);
 
     // If we have no buckets, return an empty array as stringified JSON in text field
@@ -1,5 +1,4 @@
-import fetch from "node-fetch";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { influxRequest } from "../utils/influxClient.js";
 
 // Tool: Create Bucket
 export async function createBucket({ name, orgID, retentionPeriodSeconds }) {
@@ -19,25 +18,14 @@ export async function createBucket({ name, orgID, retentionPeriodSeconds }) {
 
     console.log(`Creating bucket with data: ${JSON.stringify(bucketData)}`);
 
-    // Use fetch directly instead of our wrapper
-    const response = await fetch(`${INFLUXDB_URL}/api/v2/buckets`, {
+    const response = await influxRequest("/api/v2/buckets", {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Token ${INFLUXDB_TOKEN}`,
-      },
       body: JSON.stringify(bucketData),
+      retry: "unprocessed",
     });
 
     console.log(`Create bucket response status: ${response.status}`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to create bucket: ${response.status} ${errorText}`,
-      );
-    }
-
     const bucketResponse = await response.json();
 
     console.log(`=== CREATE-BUCKET TOOL COMPLETED SUCCESSFULLY ===`);
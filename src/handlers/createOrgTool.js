@@ -11,6 +11,7 @@ export async function createOrg({ name, description }) {
     const response = await influxRequest("/api/v2/orgs", {
       method: "POST",
       body: JSON.stringify(orgData),
+      retry: "unprocessed",
     });
 
     const org = await response.json();
@@ -1,10 +1,25 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { influxRequest, queryFlux } from "../utils/influxClient.js";
+import { fluxRows } from "../utils/fluxCsv.js";
+import { quoteFluxString } from "../utils/fluxAnalysis.js";
+import { organizationID, readableBuckets } from "../utils/organizations.js";
 
 // Tool: Get Bucket Info
 export async function getBucketInfo({ bucketName, org }) {
   try {
-    // First, get all buckets to find the one we want
-    const response = await influxRequest("/api/v2/buckets");
+    // Bucket names are only unique within an organization
+    const orgID = await organizationID(org);
+    if (!orgID) {
+      return {
+        content: [{
+          type: "text",
+          text: `Organization "${org}" not found`
+        }],
+        isError: true
+      };
+    }
+
+    // Then the organization's buckets, to find the one we want
+    const response = await influxRequest(`/api/v2/buckets?orgID=${encodeURIComponent(orgID)}`);
     const data = await response.json();
 
     if (!data.buckets) {
@@ -17,10 +32,12 @@ export async function getBucketInfo({ bucketName, org }) {
       };
     }
 
-    const bucket = data.buckets.find(b => b.name === bucketName);
+    const orgBuckets = data.buckets.filter(b => b.orgID === orgID);
+    const bucket = orgBuckets.find(b => b.name === bucketName);
 
     if (!bucket) {
-      const availableBuckets = data.buckets.map(b => b.name).join(', ');
+      // Only the buckets the caller may read are named
+      const availableBuckets = (await readableBuckets(orgBuckets)).map(b => b.name).join(', ');
       return {
         content: [{
           type: "text",
@@ -30,9 +47,10 @@ export async function getBucketInfo({ bucketName, org }) {
       };
     }
 
-    // Get additional statistics with a query
+    // Get additional statistics with a query (the name is quoted, though it
+    // already matched an existing bucket)
     const statsQuery = `
-      from(bucket: "${bucketName}")
+      from(bucket: ${quoteFluxString(bucketName)})
         |> range(start: -30d)
         |> group()
         |> count()
@@ -40,19 +58,9 @@ export async function getBucketInfo({ bucketName, org }) {
 
     let dataPointCount = "Unknown";
     try {
-      const statsResponse = await influxRequest(`/api/v2/query?org=${encodeURIComponent(org)}`, {
-        method: "POST",
-        body: JSON.stringify({ query: statsQuery, type: "flux" }),
-      });
-      const statsText = await statsResponse.text();
-      const lines = statsText.split('\n').filter(line => line.trim());
-      if (lines.length > 1) {
-        const lastLine = lines[lines.length - 2]; // Second to last line usually has the data
-        const columns = lastLine.split(',');
-        if (columns.length >= 4) {
-          dataPointCount = columns[3] || "0";
-        }
-      }
+      // group() |> count() leaves a single row with the total in _value
+      const [row] = fluxRows(await queryFlux(org, statsQuery));
+      dataPointCount = row?._value ?? 0;
     } catch (statsError) {
       dataPointCount = "Unable to calculate";
     }
@@ -1,61 +1,98 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getServerMajorVersion, queryFlux } from "../utils/influxClient.js";
+import { fluxRows } from "../utils/fluxCsv.js";
+import {
+  assertFluxName,
+  fluxMember,
+  quoteFluxString,
+} from "../utils/fluxAnalysis.js";
+import {
+  columnValues,
+  influxqlQuery,
+  quoteIdentifier,
+  splitDatabase,
+} from "../utils/influxql.js";
+import { quoteSqlIdentifier, quoteSqlString, sqlQuery } from "../utils/sql.js";
+
+// InfluxDB 1.x: SHOW FIELD KEYS / SHOW TAG KEYS (bucket is "db" or "db/rp")
+async function showSchema(bucket, measurement) {
+  const { db, rp } = splitDatabase(bucket);
+  const from = `${rp ? `${quoteIdentifier(rp)}.` : ""}${quoteIdentifier(measurement)}`;
+  const [fieldResult, tagResult] = await influxqlQuery({
+    db,
+    rp,
+    query: `SHOW FIELD KEYS FROM ${from}; SHOW TAG KEYS FROM ${from}`,
+  });
+  return {
+    fieldKeys: columnValues(fieldResult, "fieldKey"),
+    tagKeys: columnValues(tagResult, "tagKey"),
+  };
+}
+
+// InfluxDB 3: information_schema.columns, where tags are the dictionary-
+// encoded string columns and every other column except time is a field
+async function sqlSchema(bucket, measurement) {
+  const columns = await sqlQuery({
+    db: bucket,
+    query: `SELECT column_name, data_type FROM information_schema.columns WHERE table_schema = 'iox' AND table_name = ${quoteSqlString(measurement)} ORDER BY column_name`,
+  });
+  const isTag = (column) => column.data_type.startsWith("Dictionary(");
+
+  return {
+    fieldKeys: columns
+      .filter((column) => column.column_name !== "time" && !isTag(column))
+      .map((column) => column.column_name),
+    tagKeys: columns.filter(isTag).map((column) => column.column_name),
+  };
+}
+
+// InfluxDB 2.x: schema.measurementFieldKeys()/measurementTagKeys() over the last 30 days
+async function fluxSchema(org, bucket, measurement) {
+  // Get field keys for the measurement
+  const fieldKeysQuery = `
+    import "schema"
+    schema.measurementFieldKeys(
+      bucket: ${quoteFluxString(bucket)},
+      measurement: ${quoteFluxString(measurement)},
+      start: -30d
+    )
+  `;
+
+  // Get tag keys for the measurement
+  const tagKeysQuery = `
+    import "schema"
+    schema.measurementTagKeys(
+      bucket: ${quoteFluxString(bucket)},
+      measurement: ${quoteFluxString(measurement)},
+      start: -30d
+    )
+  `;
+
+  // Execute both queries
+  const [fieldTables, tagTables] = await Promise.all([
+    queryFlux(org, fieldKeysQuery),
+    queryFlux(org, tagKeysQuery),
+  ]);
+
+  // Both functions return one key per row in _value
+  const keysOf = (tables) =>
+    [...new Set(fluxRows(tables).map((row) => row._value).filter(Boolean))];
+
+  return { fieldKeys: keysOf(fieldTables), tagKeys: keysOf(tagTables) };
+}
 
 // Tool: Get Measurement Schema
 export async function getMeasurementSchema({ org, bucket, measurement }) {
   try {
-    // Get field keys for the measurement
-    const fieldKeysQuery = `
-      import "schema"
-      schema.measurementFieldKeys(
-        bucket: "${bucket}",
-        measurement: "${measurement}",
-        start: -30d
-      )
-    `;
-
-    // Get tag keys for the measurement
-    const tagKeysQuery = `
-      import "schema"
-      schema.measurementTagKeys(
-        bucket: "${bucket}",
-        measurement: "${measurement}",
-        start: -30d
-      )
-    `;
-
-    // Execute both queries
-    const [fieldResponse, tagResponse] = await Promise.all([
-      influxRequest(`/api/v2/query?org=${encodeURIComponent(org)}`, {
-        method: "POST",
-        body: JSON.stringify({ query: fieldKeysQuery, type: "flux" }),
-      }),
-      influxRequest(`/api/v2/query?org=${encodeURIComponent(org)}`, {
-        method: "POST",
-        body: JSON.stringify({ query: tagKeysQuery, type: "flux" }),
-      })
-    ]);
-
-    const fieldText = await fieldResponse.text();
-    const tagText = await tagResponse.text();
-
-    // Parse CSV responses
-    const parseKeys = (csvText) => {
-      const lines = csvText.split('\n').filter(line => line.trim());
-      const keys = [];
-      for (let i = 1; i < lines.length; i++) {
-        const columns = lines[i].split(',');
-        if (columns.length >= 2 && columns[1]) {
-          const key = columns[1].trim();
-          if (key && !keys.includes(key)) {
-            keys.push(key);
-          }
-        }
-      }
-      return keys;
-    };
+    assertFluxName("bucket", bucket);
+    assertFluxName("measurement", measurement);
 
-    const fieldKeys = parseKeys(fieldText);
-    const tagKeys = parseKeys(tagText);
+    const version = await getServerMajorVersion();
+    const influxql = version === 1;
+    const { fieldKeys, tagKeys } = influxql
+      ? await showSchema(bucket, measurement)
+      : version === 3
+        ? await sqlSchema(bucket, measurement)
+        : await fluxSchema(org, bucket, measurement);
 
     return {
       content: [{
@@ -74,11 +111,17 @@ ${fieldKeys.length > 0 ? fieldKeys.map(key => `   • ${key}`).join('\n') : '
 • Tags are always strings, fields can be numbers, strings, or booleans
 
 🔍 **Example Query:**
-from(bucket: "${bucket}")
+${version === 3
+  ? `SELECT ${fieldKeys.length > 0 ? quoteSqlIdentifier(fieldKeys[0]) : '*'} FROM ${quoteSqlIdentifier(measurement)}
+WHERE time > now() - INTERVAL '1 hour'${tagKeys.length > 0 ? ` AND ${quoteSqlIdentifier(tagKeys[0])} = 'your_value'` : ''}`
+  : influxql
+  ? `SELECT ${fieldKeys.length > 0 ? quoteIdentifier(fieldKeys[0]) : '*'} FROM ${quoteIdentifier(measurement)}
+WHERE time > now() - 1h${tagKeys.length > 0 ? ` AND ${quoteIdentifier(tagKeys[0])} = 'your_value'` : ''}`
+  : `from(bucket: ${quoteFluxString(bucket)})
   |> range(start: -1h)
-  |> filter(fn: (r) => r._measurement == "${measurement}")${tagKeys.length > 0 ? `
-  |> filter(fn: (r) => r.${tagKeys[0]} == "your_value")` : ''}${fieldKeys.length > 0 ? `
-  |> filter(fn: (r) => r._field == "${fieldKeys[0]}")` : ''}`
+  |> filter(fn: (r) => r._measurement == ${quoteFluxString(measurement)})${tagKeys.length > 0 ? `
+  |> filter(fn: (r) => ${fluxMember("r", tagKeys[0])} == "your_value")` : ''}${fieldKeys.length > 0 ? `
+  |> filter(fn: (r) => r._field == ${quoteFluxString(fieldKeys[0])})` : ''}`}`
       }]
     };
 
@@ -1,48 +1,67 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getServerMajorVersion, queryFlux } from "../utils/influxClient.js";
+import { fluxRows } from "../utils/fluxCsv.js";
+import { assertFluxName, quoteFluxString } from "../utils/fluxAnalysis.js";
+import {
+  columnValues,
+  influxqlQuery,
+  splitDatabase,
+} from "../utils/influxql.js";
+import { sqlQuery } from "../utils/sql.js";
 
-// Tool: Get Measurements
-export async function getMeasurements({ org, bucket }) {
-  try {
-    // Use a simple query to get all measurements from the bucket
-    const fluxQuery = `
-      from(bucket: "${bucket}")
-        |> range(start: -30d)
-        |> group(columns: ["_measurement"])
-        |> distinct(column: "_measurement")
-        |> keep(columns: ["_measurement"])
-        |> sort(columns: ["_measurement"])
-    `;
+// InfluxDB 1.x: SHOW MEASUREMENTS (bucket is "db" or "db/rp")
+async function showMeasurements(bucket) {
+  const [result] = await influxqlQuery({
+    ...splitDatabase(bucket),
+    query: "SHOW MEASUREMENTS",
+  });
+  return columnValues(result, "name");
+}
 
-    const response = await influxRequest(
-      `/api/v2/query?org=${encodeURIComponent(org)}`,
-      {
-        method: "POST",
-        body: JSON.stringify({ query: fluxQuery, type: "flux" }),
-      },
-    );
+// InfluxDB 3: tables in the database's "iox" schema (bucket is the database)
+async function sqlMeasurements(bucket) {
+  const rows = await sqlQuery({
+    db: bucket,
+    query: "SELECT table_name FROM information_schema.tables WHERE table_schema = 'iox' ORDER BY table_name",
+  });
+  return rows.map((row) => row.table_name);
+}
 
-    const responseText = await response.text();
+// InfluxDB 2.x: distinct _measurement values over the last 30 days
+async function fluxMeasurements(org, bucket) {
+  // Use a simple query to get all measurements from the bucket
+  const fluxQuery = `
+    from(bucket: ${quoteFluxString(bucket)})
+      |> range(start: -30d)
+      |> group(columns: ["_measurement"])
+      |> distinct(column: "_measurement")
+      |> keep(columns: ["_measurement"])
+      |> sort(columns: ["_measurement"])
+  `;
 
-    // Parse CSV response to extract measurement names
-    const lines = responseText.split('\n').filter(line => line.trim());
-    const measurements = [];
+  const rows = fluxRows(await queryFlux(org, fluxQuery));
+  return [...new Set(rows.map((row) => row._measurement).filter(Boolean))];
+}
 
-    // Skip headers and parse data rows
-    for (let i = 1; i < lines.length; i++) {
-      const columns = lines[i].split(',');
-      if (columns.length >= 4 && columns[3]) {
-        const measurement = columns[3].trim();
-        if (measurement && !measurements.includes(measurement)) {
-          measurements.push(measurement);
-        }
-      }
-    }
+// Tool: Get Measurements
+export async function getMeasurements({ org, bucket }) {
+  try {
+    assertFluxName("bucket", bucket);
+
+    const version = await getServerMajorVersion();
+    const influxql = version === 1;
+    const measurements = influxql
+      ? await showMeasurements(bucket)
+      : version === 3
+        ? await sqlMeasurements(bucket)
+        : await fluxMeasurements(org, bucket);
 
     if (measurements.length === 0) {
       return {
         content: [{
           type: "text",
-          text: `No measurements found in bucket "${bucket}" for the last 30 days.\n\nThis could mean:\n• The bucket is empty\n• No data in the last 30 days\n• Different time range needed`
+          text: version !== 2
+            ? `No measurements found in database "${bucket}".\n\nThis could mean:\n• The database is empty\n• The database name is misspelled`
+            : `No measurements found in bucket "${bucket}" for the last 30 days.\n\nThis could mean:\n• The bucket is empty\n• No data in the last 30 days\n• Different time range needed`
         }]
       };
     }
@@ -50,7 +69,7 @@ export async function getMeasurements({ org, bucket }) {
     return {
       content: [{
         type: "text",
-        text: `Found ${measurements.length} measurement(s) in bucket "${bucket}":\n\n${measurements.map(m => `• ${m}`).join('\n')}\n\n💡 Use query-data tool with these measurement names to explore the data further.`
+        text: `Found ${measurements.length} measurement(s) in bucket "${bucket}":\n\n${measurements.map(m => `• ${m}`).join('\n')}\n\n💡 Use ${{ 1: "influxql-query", 2: "query-data", 3: "sql-query" }[version]} tool with these measurement names to explore the data further.`
       }]
     };
 
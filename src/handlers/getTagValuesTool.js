@@ -1,60 +1,104 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getServerMajorVersion, queryFlux } from "../utils/influxClient.js";
+import { fluxRows } from "../utils/fluxCsv.js";
+import {
+  assertFluxName,
+  fluxMember,
+  quoteFluxString,
+} from "../utils/fluxAnalysis.js";
+import {
+  columnValues,
+  influxqlQuery,
+  quoteIdentifier,
+  splitDatabase,
+} from "../utils/influxql.js";
+import { quoteSqlIdentifier, quoteSqlString, sqlQuery } from "../utils/sql.js";
+
+// InfluxDB 1.x: SHOW TAG VALUES (bucket is "db" or "db/rp")
+async function showTagValues(bucket, tagKey, measurement) {
+  const { db, rp } = splitDatabase(bucket);
+  const from = measurement
+    ? ` FROM ${rp ? `${quoteIdentifier(rp)}.` : ""}${quoteIdentifier(measurement)}`
+    : "";
+  const [result] = await influxqlQuery({
+    db,
+    rp,
+    query: `SHOW TAG VALUES${from} WITH KEY = ${quoteIdentifier(tagKey)}`,
+  });
+  return [...new Set(columnValues(result, "value"))];
+}
+
+// InfluxDB 3: SELECT DISTINCT over the last 30 days, across every table that
+// has the tag unless a measurement is given
+async function sqlTagValues(bucket, tagKey, measurement) {
+  const tables = measurement
+    ? [measurement]
+    : (await sqlQuery({
+      db: bucket,
+      query: `SELECT table_name FROM information_schema.columns WHERE table_schema = 'iox' AND column_name = ${quoteSqlString(tagKey)}`,
+    })).map((row) => row.table_name);
+  if (tables.length === 0) {
+    return [];
+  }
+
+  const column = quoteSqlIdentifier(tagKey);
+  const rows = await sqlQuery({
+    db: bucket,
+    query: tables.map((table) =>
+      `SELECT DISTINCT ${column} AS value FROM ${quoteSqlIdentifier(table)} WHERE time > now() - INTERVAL '30 days' AND ${column} IS NOT NULL`
+    ).join(" UNION "),
+  });
+  return [...new Set(rows.map((row) => row.value))];
+}
+
+// InfluxDB 2.x: schema.tagValues() over the last 30 days
+async function fluxTagValues(org, bucket, tagKey, measurement) {
+  // Build the Flux query to get tag values
+  let fluxQuery;
+
+  if (measurement) {
+    // Get tag values for a specific measurement
+    fluxQuery = `
+      import "schema"
+      schema.tagValues(
+        bucket: ${quoteFluxString(bucket)},
+        tag: ${quoteFluxString(tagKey)},
+        predicate: (r) => r._measurement == ${quoteFluxString(measurement)},
+        start: -30d
+      )
+    `;
+  } else {
+    // Get tag values across all measurements
+    fluxQuery = `
+      import "schema"
+      schema.tagValues(
+        bucket: ${quoteFluxString(bucket)},
+        tag: ${quoteFluxString(tagKey)},
+        start: -30d
+      )
+    `;
+  }
+
+  // schema.tagValues() returns one value per row in _value
+  const rows = fluxRows(await queryFlux(org, fluxQuery));
+  return [...new Set(rows.map((row) => row._value).filter(Boolean))];
+}
 
 // Tool: Get Tag Values
 export async function getTagValues({ org, bucket, tagKey, measurement }) {
   try {
-    // Build the Flux query to get tag values
-    let fluxQuery;
-
+    assertFluxName("bucket", bucket);
+    assertFluxName("tag key", tagKey);
     if (measurement) {
-      // Get tag values for a specific measurement
-      fluxQuery = `
-        import "schema"
-        schema.tagValues(
-          bucket: "${bucket}",
-          tag: "${tagKey}",
-          predicate: (r) => r._measurement == "${measurement}",
-          start: -30d
-        )
-      `;
-    } else {
-      // Get tag values across all measurements
-      fluxQuery = `
-        import "schema"
-        schema.tagValues(
-          bucket: "${bucket}",
-          tag: "${tagKey}",
-          start: -30d
-        )
-      `;
+      assertFluxName("measurement", measurement);
     }
 
-    const response = await influxRequest(
-      `/api/v2/query?org=${encodeURIComponent(org)}`,
-      {
-        method: "POST",
-        body: JSON.stringify({ query: fluxQuery, type: "flux" }),
-      },
-    );
-
-    const responseText = await response.text();
-
-    // Parse CSV response to extract tag values
-    const lines = responseText.split('\n').filter(line => line.trim());
-    const values = [];
-
-    // Skip headers and parse data rows
-    for (let i = 1; i < lines.length; i++) {
-      const columns = lines[i].split(',');
-      if (columns.length >= 2 && columns[1]) {
-        const value = columns[1].trim();
-        // Remove quotes if present
-        const cleanValue = value.replace(/^"|"$/g, '');
-        if (cleanValue && !values.includes(cleanValue)) {
-          values.push(cleanValue);
-        }
-      }
-    }
+    const version = await getServerMajorVersion();
+    const influxql = version === 1;
+    const values = influxql
+      ? await showTagValues(bucket, tagKey, measurement)
+      : version === 3
+        ? await sqlTagValues(bucket, tagKey, measurement)
+        : await fluxTagValues(org, bucket, tagKey, measurement);
 
     if (values.length === 0) {
       const context = measurement ? ` for measurement "${measurement}"` : '';
@@ -69,9 +113,23 @@ export async function getTagValues({ org, bucket, tagKey, measurement }) {
     values.sort(); // Sort alphabetically
 
     const context = measurement ? ` for measurement "${measurement}"` : ' (across all measurements)';
-    const exampleFilter = measurement
-      ? `filter(fn: (r) => r._measurement == "${measurement}" and r.${tagKey} == "${values[0]}")`
-      : `filter(fn: (r) => r.${tagKey} == "${values[0]}")`;
+    const example = influxql
+      ? `\`\`\`sql
+SELECT * FROM ${quoteIdentifier(measurement || "your_measurement")}
+WHERE ${quoteIdentifier(tagKey)} = '${values[0]}' AND time > now() - 1h
+\`\`\``
+      : version === 3
+        ? `\`\`\`sql
+SELECT * FROM ${quoteSqlIdentifier(measurement || "your_measurement")}
+WHERE ${quoteSqlIdentifier(tagKey)} = ${quoteSqlString(values[0])} AND time > now() - INTERVAL '1 hour'
+\`\`\``
+        : `\`\`\`flux
+from(bucket: ${quoteFluxString(bucket)})
+  |> range(start: -1h)
+  |> ${measurement
+        ? `filter(fn: (r) => r._measurement == ${quoteFluxString(measurement)} and ${fluxMember("r", tagKey)} == ${quoteFluxString(values[0])})`
+        : `filter(fn: (r) => ${fluxMember("r", tagKey)} == ${quoteFluxString(values[0])})`}
+\`\`\``;
 
     return {
       content: [{
@@ -83,14 +141,10 @@ Found ${values.length} unique value${values.length > 1 ? 's' : ''}:
 ${values.slice(0, 50).map((value, index) => `${index + 1}. ${value}`).join('\n')}${values.length > 50 ? `\n... and ${values.length - 50} more values` : ''}
 
 💡 **Usage Example:**
-\`\`\`flux
-from(bucket: "${bucket}")
-  |> range(start: -1h)
-  |> ${exampleFilter}
-\`\`\`
+${example}
 
 🔍 **Filter Tips:**
-• Use these values in filter() functions for precise data selection
+• Use these values in ${version === 2 ? "filter() functions" : "WHERE clauses"} for precise data selection
 • Tag values are always strings in InfluxDB
 • Multiple values can be used with OR conditions`
       }]
@@ -105,4 +159,4 @@ from(bucket: "${bucket}")
       isError: true
     };
   }
-}
\ No newline at end of file
+}
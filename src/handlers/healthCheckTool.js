@@ -1,50 +1,115 @@
-import { influxRequest } from "../utils/influxClient.js";
-import { INFLUXDB_URL } from "../config/env.js";
+import {
+  canUseInstance,
+  influxRequest,
+  recordServerVersion,
+} from "../utils/influxClient.js";
+import { runWithRequestContext } from "../utils/requestContext.js";
+import { listInstances } from "../config/instances.js";
+import { breakerFor } from "../utils/circuitBreaker.js";
+import { isAllowedForRequest } from "../auth/policy.js";
 
-// Tool: Health Check
-export async function healthCheck() {
-  try {
-    const start = Date.now();
+// Query language used for each major server version
+const API_BY_VERSION = {
+  1: "InfluxQL (v1)",
+  2: "Flux (v2)",
+  3: "SQL / InfluxQL (v3)",
+};
 
-    // Try to ping the InfluxDB instance
-    const response = await influxRequest("/ping");
+// Ping one instance and describe the outcome
+async function checkInstance(instance) {
+  const start = Date.now();
+
+  try {
+    // Try to ping the InfluxDB instance; the ping gets through an open
+    // circuit, and closes it when the server answers
+    const response = await runWithRequestContext(
+      { instance: instance.name },
+      () => influxRequest("/ping", { probe: true, retry: false }),
+    );
+    // Read the (empty) body so the connection is free for the next request
+    await response.text();
     const duration = Date.now() - start;
 
     const headers = Object.fromEntries(response.headers.entries());
-    const version = headers["x-influxdb-version"] || "Unknown";
-    const build = headers["x-influxdb-build"] || "Unknown";
-
+    // A profile's "version" wins over what the server reports
+    const detected = recordServerVersion(instance.name, headers["x-influxdb-version"]);
     return {
-      content: [{
-        type: "text",
-        text: `✅ InfluxDB Health Check - HEALTHY
-
-📍 URL: ${INFLUXDB_URL}
-⚡ Response Time: ${duration}ms
-📦 Version: ${version}
-🔨 Build: ${build}
-🕐 Timestamp: ${new Date().toISOString()}
-
-Status: Connection successful, server is responding normally.`
-      }]
+      instance,
+      healthy: true,
+      duration,
+      api: API_BY_VERSION[instance.version ?? detected],
+      version: headers["x-influxdb-version"] || "Unknown",
+      build: headers["x-influxdb-build"] || "Unknown",
+      circuit: breakerFor(instance.name).status(),
     };
   } catch (error) {
     return {
-      content: [{
-        type: "text",
-        text: `❌ InfluxDB Health Check - UNHEALTHY
+      instance,
+      healthy: false,
+      error: error.message,
+      circuit: breakerFor(instance.name).status(),
+    };
+  }
+}
 
-📍 URL: ${INFLUXDB_URL}
-🚨 Error: ${error.message}
-🕐 Timestamp: ${new Date().toISOString()}
+// Circuit breaker line of a result (see utils/circuitBreaker.js)
+function formatCircuit({ state, consecutiveFailures, retryAt }) {
+  if (state === "closed") {
+    return `🔌 Circuit: closed`;
+  }
+  return `🔌 Circuit: ${state} after ${consecutiveFailures} consecutive failures${state === "open" ? `, requests paused until ${retryAt}` : ""}`;
+}
+
+function formatResult(result) {
+  if (result.healthy) {
+    return `✅ ${result.instance.name} - HEALTHY
 
-Status: Unable to connect to InfluxDB server. Please check:
+📍 URL: ${result.instance.url}
+⚡ Response Time: ${result.duration}ms
+📦 Version: ${result.version}
+🧭 Query API: ${result.api}
+🔨 Build: ${result.build}
+${formatCircuit(result.circuit)}`;
+  }
+
+  return `❌ ${result.instance.name} - UNHEALTHY
+
+📍 URL: ${result.instance.url}
+🚨 Error: ${result.error}
+${formatCircuit(result.circuit)}`;
+}
+
+// Tool: Health Check
+// Checks the requested instance, or when none is given every configured
+// instance the caller's policy allows and its session's token may be sent to
+export async function healthCheck({ instance } = {}) {
+  const targets = listInstances().filter((i) =>
+    instance
+      ? i.name === instance
+      : isAllowedForRequest({ instance: i.name }) && canUseInstance(i.name)
+  );
+  const results = await Promise.all(targets.map(checkInstance));
+  const unhealthy = results.filter((r) => !r.healthy);
+
+  const status = unhealthy.length === 0
+    ? "Status: Connection successful, all servers are responding normally."
+    : `Status: Unable to connect to ${unhealthy.map((r) => r.instance.name).join(", ")}. Please check:
 - InfluxDB server is running
 - URL and port are correct
 - Network connectivity
-- Authentication token is valid`
-      }],
-      isError: true
-    };
-  }
-}
\ No newline at end of file
+- Authentication token is valid`;
+
+  return {
+    content: [{
+      type: "text",
+      text: `${unhealthy.length === 0 ? "✅" : "❌"} InfluxDB Health Check - ${unhealthy.length === 0 ? "HEALTHY" : "UNHEALTHY"}
+
+${results.map(formatResult).join("\n\n")}
+
+🕐 Timestamp: ${new Date().toISOString()}
+
+${status}`,
+    }],
+    isError: unhealthy.length > 0,
+  };
+}
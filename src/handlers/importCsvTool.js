@@ -0,0 +1,43 @@
+import { convertCsv } from "../utils/csvImport.js";
+import { describeRecordsOutcome, writeRecords } from "../utils/lineWriter.js";
+
+// Tool: Import CSV
+export async function importCsv({ org, bucket, csv, ...mapping }) {
+  console.log(`=== IMPORT-CSV TOOL CALLED ===`);
+  console.log(`Importing ${csv.length} characters of CSV to org: ${org}, bucket: ${bucket}`);
+
+  let converted;
+  try {
+    converted = convertCsv(csv, mapping);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error importing CSV, nothing was written: ${error.message}` }],
+      isError: true,
+    };
+  }
+
+  const { precision, items } = converted;
+  const rowLabel = (index) => `row ${items[index].row}`;
+  const outcome = await writeRecords({ org, bucket, precision }, items, rowLabel);
+  if (outcome.error) {
+    console.error(`=== IMPORT-CSV TOOL ERROR: ${outcome.error.message} ===`);
+  }
+
+  const rowsWith = (status) => outcome.results
+    .map((result, index) => ({ row: items[index].row, ...result }))
+    .filter((result) => result.status === status);
+  return {
+    content: [{ type: "text", text: describeRecordsOutcome(outcome, rowLabel, "rows") }],
+    structuredContent: {
+      rows: items.length,
+      written: outcome.written,
+      rejected: rowsWith("rejected").map(({ row, error }) => ({ row, error })),
+      failed: rowsWith("failed").length,
+      queued: rowsWith("queued").length,
+      error: outcome.error?.message ?? null,
+    },
+    // Only an import that stored or queued nothing, or had a chunk fail, is
+    // an error
+    ...((outcome.error || outcome.written + outcome.queued === 0) && { isError: true }),
+  };
+}
@@ -0,0 +1,42 @@
+import {
+  getInfluxInstance,
+  getServerMajorVersion,
+} from "../utils/influxClient.js";
+import { findDbrpMappings, influxqlQuery } from "../utils/influxql.js";
+
+// Tool: InfluxQL Query
+export async function queryInfluxQL({ db, rp, query, epoch, org }) {
+  try {
+    // InfluxDB 2.x only answers InfluxQL for databases mapped to a bucket,
+    // so check the mapping first and explain how to add a missing one
+    if (await getServerMajorVersion() === 2) {
+      const mappingOrg = org ?? getInfluxInstance().org;
+      if (mappingOrg) {
+        const mappings = await findDbrpMappings(mappingOrg, db, rp);
+        if (mappings.length === 0) {
+          const target = rp ? `database "${db}" / retention policy "${rp}"` : `database "${db}" (default retention policy)`;
+          throw new Error(`No DBRP mapping for ${target} in organization "${mappingOrg}". InfluxDB 2.x serves InfluxQL through DBRP mappings; create one with:
+  influx v1 dbrp create --org ${mappingOrg} --db ${db} --rp ${rp || "autogen"} --bucket-id <bucket-id> --default`);
+        }
+        console.log(`InfluxQL ${db}/${rp || "(default)"} maps to bucket ${mappings[0].bucketID}`);
+      }
+    }
+
+    const results = await influxqlQuery({ db, rp, query, epoch });
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ results }),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error executing InfluxQL query: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,22 @@
+import { getDefaultInstanceName, listInstances } from "../config/instances.js";
+
+// Resource: List configured InfluxDB instances (tokens are never included)
+export async function listInstancesResource(uri) {
+  console.log("Processing list instances request");
+
+  const defaultName = getDefaultInstanceName();
+  const instances = listInstances().map((instance) => ({
+    name: instance.name,
+    url: instance.url,
+    org: instance.org ?? null,
+    description: instance.description ?? null,
+    default: instance.name === defaultName,
+  }));
+
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify({ default: defaultName, instances }),
+    }],
+  };
+}
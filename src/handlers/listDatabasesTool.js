@@ -1,13 +1,51 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getServerMajorVersion, influxRequest } from "../utils/influxClient.js";
+import { columnValues, influxqlQuery } from "../utils/influxql.js";
+import { readableBuckets } from "../utils/organizations.js";
+import { isAllowedForRequest } from "../auth/policy.js";
+
+// Database names from a list of rows, leaving out those the caller's
+// policy does not let it read
+const formatDatabases = (names) => {
+  const databases = names.filter((name) => isAllowedForRequest({ reads: [name] }));
+  return {
+    content: [{
+      type: "text",
+      text: databases.length > 0
+        ? `Found ${databases.length} databases:\n\n${databases.map(db => `• ${db}`).join('\n')}`
+        : "No databases found"
+    }]
+  };
+};
+
+// InfluxDB 1.x: SHOW DATABASES
+async function showDatabases() {
+  const [result] = await influxqlQuery({ query: "SHOW DATABASES" });
+  return formatDatabases(columnValues(result, "name"));
+}
+
+// InfluxDB 3: the database configuration API
+async function listV3Databases() {
+  const response = await influxRequest("/api/v3/configure/database?format=json");
+  const rows = await response.json();
+  return formatDatabases(rows.map((row) => row["iox::database"]));
+}
 
 // Tool: List Databases
 export async function listDatabases() {
   try {
+    const version = await getServerMajorVersion();
+    if (version === 1) {
+      return await showDatabases();
+    }
+    if (version === 3) {
+      return await listV3Databases();
+    }
+
     const response = await influxRequest("/api/v2/buckets");
     const data = await response.json();
 
     if (data.buckets) {
-      const bucketList = data.buckets.map(bucket => ({
+      const bucketList = (await readableBuckets(data.buckets)).map(bucket => ({
         name: bucket.name,
         id: bucket.id,
         orgID: bucket.orgID,
@@ -1,5 +1,6 @@
-import { influxRequest } from "../utils/influxClient.js";
-import { DEFAULT_ORG } from "../config/env.js";
+import { getInfluxInstance, queryFlux } from "../utils/influxClient.js";
+import { fluxRows } from "../utils/fluxCsv.js";
+import { assertFluxName, quoteFluxString } from "../utils/fluxAnalysis.js";
 
 // Resource: Get Measurements in a Bucket
 export async function bucketMeasurements(uri, { bucketName }) {
@@ -7,13 +8,16 @@ export async function bucketMeasurements(uri, { bucketName }) {
     `Processing measurements in bucket '${bucketName}' request - START`,
   );
 
-  if (!DEFAULT_ORG) {
-    console.error("Error: INFLUXDB_ORG environment variable is not set");
+  // The organization comes from INFLUXDB_ORG or the instance's "org"
+  const { name: instanceName, org } = getInfluxInstance();
+  if (!org) {
+    const message = `No organization configured for InfluxDB instance "${instanceName}" (set INFLUXDB_ORG or the instance's "org")`;
+    console.error(`Error: ${message}`);
     return {
       contents: [{
         uri: uri.href,
         text: JSON.stringify({
-          error: "INFLUXDB_ORG environment variable is not set",
+          error: message,
         }),
       }],
       error: true,
@@ -21,71 +25,29 @@ export async function bucketMeasurements(uri, { bucketName }) {
   }
 
   try {
+    assertFluxName("bucket", bucketName);
+
     // Use Flux query to get measurements
     console.log(
       `Creating Flux query for bucket '${bucketName}' measurements`,
     );
-    const queryBody = JSON.stringify({
-      query: `import "influxdata/influxdb/schema"
+    const query = `import "influxdata/influxdb/schema"
 
-schema.measurements(bucket: "${bucketName}")`,
-      type: "flux",
-    });
+schema.measurements(bucket: ${quoteFluxString(bucketName)})`;
 
     console.log(`Making InfluxDB API request for measurements...`);
-    const response = await influxRequest(
-      "/api/v2/query?org=" + encodeURIComponent(DEFAULT_ORG),
-      {
-        method: "POST",
-        body: queryBody,
-      },
-      5000, // Explicit timeout
-    );
-    console.log(
-      "Measurements API response received, status:",
-      response.status,
-    );
-
-    console.log("Reading response text...");
-    const responseText = await response.text();
+    // The call's deadline and the configured timeouts apply
+    const tables = await queryFlux(org, query);
+    console.log(`Measurements response parsed into ${tables.length} table(s)`);
 
-    console.log("Parsing CSV response...");
-    const lines = responseText.split("\n").filter((line) => line.trim() !== "");
-    console.log(`Found ${lines.length} lines in the response`);
+    // schema.measurements() returns one measurement per row in _value
+    const measurementsArray = fluxRows(tables)
+      .map((row) => row._value)
+      .filter(Boolean);
 
-    // Parse CSV response (Flux queries return CSV)
-    const headers = lines[0].split(",");
-    const valueIndex = headers.indexOf("_value");
-    console.log("Headers:", headers);
-    console.log("Value index:", valueIndex);
-
-    if (valueIndex === -1) {
-      console.log("No _value column found in the response");
-      return {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({
-            bucket: bucketName,
-            measurements: [],
-          }),
-        }],
-      };
-    }
-
-    console.log("Extracting measurement values...");
-    const measurements = lines.slice(1)
-      .map((line) => line.split(",")[valueIndex])
-      .filter((m) => m && !m.startsWith("#"))
-      .join("\n");
-
-    console.log(`Found ${measurements.split("\n").length} measurements`);
+    console.log(`Found ${measurementsArray.length} measurements`);
     console.log("Successfully processed measurements request - END");
 
-    // Create a proper JSON structure for measurements
-    const measurementsArray = measurements.split("\n").filter((m) =>
-      m.trim() !== ""
-    );
-
     return {
       contents: [{
         uri: uri.href,
@@ -1,5 +1,9 @@
-import { influxRequest } from "../utils/influxClient.js";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import {
+  getInfluxToken,
+  getInfluxUrl,
+  influxRequest,
+} from "../utils/influxClient.js";
+import { isAllowedForRequest } from "../auth/policy.js";
 
 // Resource: List Organizations
 export async function listOrganizations(uri) {
@@ -7,8 +11,8 @@ export async function listOrganizations(uri) {
 
   try {
     // Add detailed debug logging
-    console.log(`INFLUXDB_URL: ${INFLUXDB_URL}`);
-    console.log(`INFLUXDB_TOKEN set: ${INFLUXDB_TOKEN ? "Yes" : "No"}`);
+    console.log(`InfluxDB URL: ${getInfluxUrl()}`);
+    console.log(`InfluxDB token set: ${getInfluxToken() ? "Yes" : "No"}`);
 
     console.log("Making request to InfluxDB API...");
     // Our influxRequest function already has built-in timeout
@@ -21,6 +25,8 @@ export async function listOrganizations(uri) {
     // Also add timeout for JSON parsing
     console.log("Parsing response body...");
     const data = await response.json();
+    // Only the organizations the caller's policy allows
+    data.orgs = data.orgs?.filter((org) => isAllowedForRequest({ org: org.name }));
     console.log(`Found ${data.orgs?.length || 0} organizations`);
 
     // If we have no orgs, return an empty array as stringified JSON in text field
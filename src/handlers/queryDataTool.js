@@ -1,24 +1,65 @@
-import { influxRequest } from "../utils/influxClient.js";
+import {
+  getInfluxInstance,
+  getServerMajorVersion,
+  influxRequest,
+} from "../utils/influxClient.js";
+import { FLUX_CSV_DIALECT } from "../utils/fluxCsv.js";
+import { findFluxSideEffects } from "../utils/fluxAnalysis.js";
+import { formatTables, structuredTables } from "../utils/resultFormat.js";
+import {
+  describePage,
+  firstPage,
+  nextPage,
+  readQueryResult,
+} from "../utils/queryResults.js";
+
+// Result text plus the page notice, when the result is truncated
+function pageResult(page, format) {
+  const notice = describePage(page);
+  return {
+    content: [
+      { type: "text", text: formatTables(page.tables, format) },
+      ...(notice ? [{ type: "text", text: notice }] : []),
+    ],
+    structuredContent: {
+      tables: page.tables,
+      rowCount: page.page.rowCount,
+      page: page.page,
+    },
+  };
+}
 
 // Tool: Query Data
-export async function queryData({ org, query }) {
+export async function queryData({ org, query, format = "csv", cursor, stream = false }) {
   try {
+    // A cursor is only honoured for the query it was issued for
+    const key = JSON.stringify([getInfluxInstance().name, org, query]);
+    if (cursor) {
+      return pageResult(nextPage(cursor, { key }), format);
+    }
+
+    // Flux is not served by InfluxDB 3
+    if (await getServerMajorVersion() === 3) {
+      throw new Error(
+        `Flux is not available on InfluxDB 3 (instance "${getInfluxInstance().name}"). Use sql-query or influxql-query instead.`,
+      );
+    }
+
     const response = await influxRequest(
       `/api/v2/query?org=${encodeURIComponent(org)}`,
       {
         method: "POST",
-        body: JSON.stringify({ query, type: "flux" }),
+        body: JSON.stringify({ query, type: "flux", dialect: FLUX_CSV_DIALECT }),
+        // A query that writes (to(), http.post(), ...) is not retried
+        retry: findFluxSideEffects(query).length === 0,
       },
     );
 
-    const responseText = await response.text();
+    // Rows are parsed as they arrive; reading stops at the result caps
+    const { tables, truncated } = await readQueryResult(response, { stream });
+    const structured = structuredTables(tables);
 
-    return {
-      content: [{
-        type: "text",
-        text: responseText,
-      }],
-    };
+    return pageResult(firstPage(structured, { key, incomplete: truncated }), format);
   } catch (error) {
     return {
       content: [{
@@ -1,5 +1,32 @@
-import fetch from "node-fetch";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import {
+  getInfluxInstance,
+  getInfluxUrl,
+  influxRequest,
+} from "../utils/influxClient.js";
+import { FLUX_CSV_DIALECT } from "../utils/fluxCsv.js";
+import { findFluxSideEffects } from "../utils/fluxAnalysis.js";
+import { structuredTables } from "../utils/resultFormat.js";
+import { firstPage, nextPage, readQueryResult } from "../utils/queryResults.js";
+
+// Resource contents for one page of a query result
+function pageContents(uri, orgName, query, { tables, page }) {
+  // Tables may have different columns; list each column once
+  const headers = [...new Set(
+    tables.flatMap((table) => table.columns.map((column) => column.name)),
+  )];
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify({
+        query,
+        organization: orgName,
+        headers,
+        data: tables.flatMap((table) => table.records),
+        page,
+      }),
+    }],
+  };
+}
 
 // Resource: Query data as a resource
 export async function executeQuery(uri, { orgName, fluxQuery }) {
@@ -10,75 +37,42 @@ export async function executeQuery(uri, { orgName, fluxQuery }) {
     const decodedQuery = decodeURIComponent(fluxQuery);
     console.log(`Decoded query: ${decodedQuery.substring(0, 50)}...`);
 
-    // Direct fetch approach
-    const queryUrl = `${INFLUXDB_URL}/api/v2/query?org=${encodeURIComponent(orgName)
-      }`;
-    console.log(`Query URL: ${queryUrl}`);
+    // Later pages come from the cached result, same key as query-data uses
+    const key = JSON.stringify([getInfluxInstance().name, orgName, decodedQuery]);
+    const cursor = uri.searchParams.get("cursor");
+    if (cursor) {
+      return pageContents(uri, orgName, decodedQuery, nextPage(cursor, { key }));
+    }
 
-    const response = await fetch(queryUrl, {
+    const queryPath = `/api/v2/query?org=${encodeURIComponent(orgName)}`;
+    console.log(`Query URL: ${getInfluxUrl()}${queryPath}`);
+
+    const response = await influxRequest(queryPath, {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Token ${INFLUXDB_TOKEN}`,
-      },
-      body: JSON.stringify({ query: decodedQuery, type: "flux" }),
+      body: JSON.stringify({
+        query: decodedQuery,
+        type: "flux",
+        dialect: FLUX_CSV_DIALECT,
+      }),
+      retry: findFluxSideEffects(decodedQuery).length === 0,
     });
 
     console.log(`Query response status: ${response.status}`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to execute query: ${response.status} ${errorText}`,
-      );
-    }
-
-    const responseText = await response.text();
-    console.log(`Query response length: ${responseText.length}`);
+    // Parse annotated CSV into typed rows as it arrives, then cap them to
+    // one page
+    const { tables: parsed, truncated } = await readQueryResult(response);
+    const tables = structuredTables(parsed);
+    console.log(`Query response tables: ${tables.length}`);
 
     console.log(`=== QUERY RESOURCE COMPLETED SUCCESSFULLY ===`);
 
-    // Parse CSV to JSON
-    const lines = responseText.split("\n").filter((line) => line.trim() !== "");
-    let result;
-
-    if (lines.length > 1) {
-      const headers = lines[0].split(",");
-      const data = lines.slice(1).map((line) => {
-        const values = line.split(",");
-        const record = {};
-        headers.forEach((header, index) => {
-          record[header] = values[index];
-        });
-        return record;
-      });
-
-      result = {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({
-            query: decodedQuery,
-            organization: orgName,
-            headers: headers,
-            data: data,
-          }),
-        }],
-      };
-    } else {
-      // No results or headers only
-      result = {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({
-            query: decodedQuery,
-            organization: orgName,
-            data: [],
-          }),
-        }],
-      };
-    }
-
-    return result;
+    return pageContents(
+      uri,
+      orgName,
+      decodedQuery,
+      firstPage(tables, { key, incomplete: truncated }),
+    );
   } catch (error) {
     console.error(`=== QUERY RESOURCE ERROR: ${error.message} ===`);
     return {
@@ -0,0 +1,34 @@
+import {
+  getInfluxInstance,
+  getServerMajorVersion,
+} from "../utils/influxClient.js";
+import { sqlQuery } from "../utils/sql.js";
+
+// Tool: SQL Query (InfluxDB 3)
+export async function querySql({ db, query, params }) {
+  try {
+    const version = await getServerMajorVersion();
+    if (version !== 3) {
+      throw new Error(
+        `sql-query needs InfluxDB 3, but instance "${getInfluxInstance().name}" runs InfluxDB ${version}. Use ${version === 1 ? "influxql-query" : "query-data (Flux) or influxql-query"} instead.`,
+      );
+    }
+
+    const rows = await sqlQuery({ db, query, params });
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(rows),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error executing SQL query: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,13 @@
+import { describeValidation, validateLineProtocol } from "../utils/lineProtocol.js";
+
+// Tool: Validate Line Protocol (checked locally, nothing is sent to InfluxDB)
+export async function validateLineProtocolTool({ data, precision = "ns" }) {
+  const result = validateLineProtocol(data, { precision });
+  return {
+    content: [{ type: "text", text: describeValidation(result) }],
+    structuredContent: {
+      valid: result.errors.length === 0,
+      ...result,
+    },
+  };
+}
@@ -1,58 +1,72 @@
-import fetch from "node-fetch";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { describeValidation, validateLineProtocol } from "../utils/lineProtocol.js";
+import {
+  describeLineRanges,
+  firstWriteError,
+  queuedLineCount,
+  writeLines,
+} from "../utils/lineWriter.js";
 
 // Tool: Write Data
-export async function writeData({ org, bucket, data, precision }) {
+export async function writeData({ org, bucket, data, precision, dryRun = false }) {
   // Add extremely clear logging
   console.log(`=== WRITE-DATA TOOL CALLED ===`);
   console.log(
     `Writing to org: ${org}, bucket: ${bucket}, data length: ${data.length}`,
   );
 
-  try {
-    // Simplified approach focusing on core functionality
-    let endpoint = `/api/v2/write?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)
-      }`;
-    if (precision) {
-      endpoint += `&precision=${precision}`;
-    }
-
-    console.log(`Write URL: ${INFLUXDB_URL}${endpoint}`);
-
-    // Use fetch directly instead of our wrapper to eliminate any potential issues
-    const response = await fetch(`${INFLUXDB_URL}${endpoint}`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "text/plain; charset=utf-8",
-        "Authorization": `Token ${INFLUXDB_TOKEN}`,
-      },
-      body: data,
-    });
-
-    console.log(`Write response status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to write data: ${response.status} ${errorText}`,
-      );
-    }
-
-    console.log(`=== WRITE-DATA TOOL COMPLETED SUCCESSFULLY ===`);
+  // Check every line first, so a bad batch is not half written
+  const validation = validateLineProtocol(data, { precision });
+  if (validation.errors.length > 0 || dryRun) {
+    const summary = describeValidation(validation);
     return {
       content: [{
         type: "text",
-        text: "Data written successfully",
+        text: dryRun
+          ? `Dry run, nothing was written. ${summary}`
+          : `No data was written. ${summary}`,
       }],
+      ...(validation.errors.length > 0 && { isError: true }),
     };
-  } catch (error) {
+  }
+
+  // Blank lines are not sent, but ranges are reported in the numbers of
+  // the lines given
+  const lines = [];
+  const lineNumbers = [];
+  data.split("\n").forEach((line, index) => {
+    if (line.trim() !== "") {
+      lines.push(line);
+      lineNumbers.push(index + 1);
+    }
+  });
+  const outcome = await writeLines({ org, bucket, precision }, lines);
+  const error = firstWriteError(outcome);
+
+  if (error) {
     console.error(`=== WRITE-DATA TOOL ERROR: ${error.message} ===`);
+    const failed = outcome.chunks.filter((chunk) => chunk.error && !chunk.queued).length;
     return {
       content: [{
         type: "text",
-        text: `Error writing data: ${error.message}`,
+        text: `Error writing data: wrote ${outcome.written} of ${lines.length} lines; ${failed} of ${outcome.chunks.length} chunks failed:\n${describeLineRanges(outcome, (position) => lineNumbers[position])}`,
       }],
       isError: true,
     };
   }
+
+  // Chunks InfluxDB could not take now are sent again from the buffer
+  const queued = queuedLineCount(outcome);
+  const result = queued > 0
+    ? `Wrote ${outcome.written} of ${lines.length} lines; ${queued} lines are queued in the write buffer and will be retried (see write-queue-status):\n${describeLineRanges(outcome, (position) => lineNumbers[position])}`
+    : "Data written successfully";
+
+  console.log(`=== WRITE-DATA TOOL COMPLETED SUCCESSFULLY ===`);
+  return {
+    content: [{
+      type: "text",
+      text: validation.warnings.length > 0
+        ? `${result}\n\n${describeValidation(validation)}`
+        : result,
+    }],
+  };
 }
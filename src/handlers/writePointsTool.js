@@ -0,0 +1,38 @@
+import { pointToLine } from "../utils/lineProtocol.js";
+import { describeRecordsOutcome, writeRecords } from "../utils/lineWriter.js";
+
+const pointLabel = (index) => `point ${index}`;
+
+// Tool: Write Points
+export async function writePoints({ org, bucket, points, precision = "ns" }) {
+  console.log(`=== WRITE-POINTS TOOL CALLED ===`);
+  console.log(`Writing ${points.length} points to org: ${org}, bucket: ${bucket}`);
+
+  // Points that cannot be converted are rejected; the rest are written
+  const items = points.map((point) => {
+    try {
+      return { line: pointToLine(point, { precision }) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+  const outcome = await writeRecords({ org, bucket, precision }, items, pointLabel);
+  if (outcome.error) {
+    console.error(`=== WRITE-POINTS TOOL ERROR: ${outcome.error.message} ===`);
+  }
+
+  const count = (status) => outcome.results.filter((result) => result.status === status).length;
+  return {
+    content: [{ type: "text", text: describeRecordsOutcome(outcome, pointLabel, "points") }],
+    structuredContent: {
+      written: outcome.written,
+      rejected: count("rejected"),
+      failed: count("failed"),
+      queued: count("queued"),
+      points: outcome.results.map((result, index) => ({ index, ...result })),
+    },
+    // Only a write that stored or queued nothing, or had a chunk fail, is
+    // an error
+    ...((outcome.error || outcome.written + outcome.queued === 0) && { isError: true }),
+  };
+}
@@ -0,0 +1,14 @@
+import { writeBufferStatus } from "../utils/writeBuffer.js";
+
+// Resource: State of the local write buffer (the line protocol itself is
+// not included)
+export async function writeQueueResource(uri) {
+  console.log("Processing write queue request");
+
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify(writeBufferStatus()),
+    }],
+  };
+}
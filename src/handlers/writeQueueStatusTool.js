@@ -0,0 +1,37 @@
+import { writeBufferStatus } from "../utils/writeBuffer.js";
+
+// Entries shown in the text; structuredContent lists more
+const TEXT_ENTRY_LIMIT = 20;
+
+// Tool: Write Queue Status (state of the local write buffer)
+export async function writeQueueStatus() {
+  const status = writeBufferStatus();
+  if (!status.enabled) {
+    return {
+      content: [{
+        type: "text",
+        text: "The write buffer is disabled; failed writes are not retried. Set WRITE_BUFFER_DIR to enable it.",
+      }],
+      structuredContent: status,
+    };
+  }
+
+  const lines = [
+    `${status.pending} writes (${status.lines} lines, ${status.bytes} of ${status.maxBytes} bytes) are queued in ${status.directory}; drop policy: ${status.dropPolicy}.`,
+    `Since start: ${status.buffered} buffered, ${status.delivered} delivered, ${status.dropped} dropped, ${status.refused} refused because the buffer was full.`,
+  ];
+  for (const entry of status.entries.slice(0, TEXT_ENTRY_LIMIT)) {
+    lines.push(`- ${entry.id}: ${entry.lines} lines for ${entry.org}/${entry.bucket} on ${entry.instance}, ${entry.attempts} retries, next at ${entry.nextAttemptAt}; last error: ${entry.lastError ?? "none"}`);
+  }
+  if (status.pending > TEXT_ENTRY_LIMIT) {
+    lines.push(`- ... and ${status.pending - TEXT_ENTRY_LIMIT} more`);
+  }
+  if (status.lastDrop) {
+    const { id, lines: count, org, bucket, at, reason } = status.lastDrop;
+    lines.push(`Last dropped: ${id} (${count} lines for ${org}/${bucket}) at ${at}: ${reason}`);
+  }
+  return {
+    content: [{ type: "text", text: lines.join("\n") }],
+    structuredContent: status,
+  };
+}
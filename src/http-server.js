@@ -2,757 +2,262 @@
 
 import express from 'express';
 import cors from 'cors';
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
-import { z } from "zod";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
 
 // Import config
-import { validateEnvironment } from "./config/env.js";
+import {
+  INFLUXDB_TOKEN_PASSTHROUGH,
+  READ_ONLY,
+  validateEnvironment,
+} from "./config/env.js";
+import {
+  getDefaultInstanceName,
+  hasInstance,
+  listInstances,
+  validateInstances,
+} from "./config/instances.js";
+import { validateGuardrails } from "./config/guardrails.js";
+import { startWriteBuffer } from "./utils/writeBuffer.js";
 
 // Import utilities
 import { configureLogger } from "./utils/loggerConfig.js";
 import { HttpTransport } from "./utils/httpTransport.js";
-
-// Import resource handlers
-import { listOrganizations } from "./handlers/organizationsHandler.js";
-import { listBuckets } from "./handlers/bucketsHandler.js";
-import { bucketMeasurements } from "./handlers/measurementsHandler.js";
-import { executeQuery } from "./handlers/queryHandler.js";
-
-// Import tool handlers
-import { writeData } from "./handlers/writeDataTool.js";
-import { queryData } from "./handlers/queryDataTool.js";
-import { createBucket } from "./handlers/createBucketTool.js";
-import { createOrg } from "./handlers/createOrgTool.js";
-import { listDatabases } from "./handlers/listDatabasesTool.js";
-import { healthCheck } from "./handlers/healthCheckTool.js";
-import { getMeasurements } from "./handlers/getMeasurementsTool.js";
-import { getMeasurementSchema } from "./handlers/getMeasurementSchemaTool.js";
-import { getBucketInfo } from "./handlers/getBucketInfoTool.js";
-import { getTagValues } from "./handlers/getTagValuesTool.js";
-
-// Import prompt handlers
-import { fluxQueryExamplesPrompt } from "./prompts/fluxQueryExamplesPrompt.js";
-import { lineProtocolGuidePrompt } from "./prompts/lineProtocolGuidePrompt.js";
+import { runWithRequestContext } from "./utils/requestContext.js";
+import { breakerStatuses } from "./utils/circuitBreaker.js";
+import { createAuthenticator } from "./auth/authenticator.js";
+import {
+  FORBIDDEN_ERROR_CODE,
+  UNAUTHORIZED_ERROR_CODE,
+} from "./auth/authError.js";
+import {
+  authorizeAccess,
+  authorizeToolCall,
+  isToolAllowed,
+} from "./auth/policy.js";
+
+// Import the shared tool/resource/prompt catalogue
+import {
+  callTool,
+  getPrompt,
+  listPrompts,
+  listResources,
+  listResourceTemplates,
+  listTools,
+  readResource,
+  resourceAccess,
+  toolAccess,
+} from "./registry.js";
 
 // Configure logger and validate environment
 configureLogger();
-validateEnvironment();
+validateEnvironment({ requireToken: INFLUXDB_TOKEN_PASSTHROUGH !== 'required' });
+validateInstances();
+validateGuardrails();
+startWriteBuffer();
+if (READ_ONLY) {
+  console.log('Read-only mode: mutating tools are disabled');
+}
 
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0'; // Bind to all interfaces for deployment
+const SESSION_IDLE_TIMEOUT_MS = Number(process.env.MCP_SESSION_IDLE_TIMEOUT_MS) || 30 * 60 * 1000;
+const SSE_REPLAY_BUFFER_SIZE = Number(process.env.MCP_SSE_REPLAY_BUFFER_SIZE) || 100;
+const MAX_SESSIONS = Number(process.env.MCP_MAX_SESSIONS) || 1000;
+// Origins browsers may call /mcp from: comma-separated, "*" for any. Unset,
+// requests carrying an Origin header are refused (clients that send none,
+// i.e. anything but a browser page, are unaffected)
+const ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Inbound authentication: API keys and/or JWTs (disabled when none configured)
+let authenticator;
+try {
+  authenticator = createAuthenticator({
+    apiKeysFile: process.env.MCP_API_KEYS_FILE,
+    jwtSecret: process.env.MCP_JWT_SECRET,
+    jwtJwksFile: process.env.MCP_JWT_JWKS_FILE,
+    jwtIssuer: process.env.MCP_JWT_ISSUER,
+    jwtAudience: process.env.MCP_JWT_AUDIENCE,
+    jwtRequiredScope: process.env.MCP_JWT_REQUIRED_SCOPE,
+  });
+} catch (error) {
+  console.error(`Error: failed to configure authentication: ${error.message}`);
+  process.exit(1);
+}
 
-// Helper functions for genai-toolbox style handling
-async function getToolsList() {
-  return [
-    {
-      name: "write-data",
-      description: "Write time-series data to InfluxDB using line protocol format. Line protocol is a text-based format for writing points to InfluxDB. Format: 'measurement,tag1=value1,tag2=value2 field1=value1,field2=value2 [timestamp]'. Example: 'temperature,location=office,sensor=A temp=23.5 1609459200000000000'",
-      inputSchema: {
-        type: "object",
-        properties: {
-          org: {
-            type: "string",
-            description: "InfluxDB organization name (logical workspace for users, buckets, and resources)"
-          },
-          bucket: {
-            type: "string",
-            description: "InfluxDB bucket name (container for time-series data with retention policy)"
-          },
-          data: {
-            type: "string",
-            description: "Data in InfluxDB line protocol format. Each line represents one data point. Format: 'measurement[,tag_set] field_set [timestamp]'. Multiple lines separated by newlines for batch writes."
-          },
-          precision: {
-            type: "string",
-            enum: ["ns", "us", "ms", "s"],
-            description: "Timestamp precision: 'ns' (nanoseconds), 'us' (microseconds), 'ms' (milliseconds), 's' (seconds). Defaults to nanoseconds if not specified."
-          }
-        },
-        required: ["org", "bucket", "data"]
-      }
-    },
-    {
-      name: "query-data",
-      description: "Execute Flux queries to retrieve and analyze time-series data from InfluxDB. Flux is InfluxDB's functional data scripting language for querying, analyzing, and acting on time-series data. Supports filtering, aggregation, transformations, and more. Example query: 'from(bucket: \"my-bucket\") |> range(start: -1h) |> filter(fn: (r) => r._measurement == \"temperature\")'",
-      inputSchema: {
-        type: "object",
-        properties: {
-          org: {
-            type: "string",
-            description: "InfluxDB organization name that contains the data to query"
-          },
-          query: {
-            type: "string",
-            description: "Flux query string. Must start with from() function to specify bucket. Common patterns: range() for time filtering, filter() for field/tag filtering, aggregateWindow() for downsampling, group() for grouping data. Returns CSV-formatted results."
-          }
-        },
-        required: ["org", "query"]
-      }
-    },
-    {
-      name: "create-bucket",
-      description: "Create a new InfluxDB bucket (data container). Buckets are containers for time-series data with configurable retention policies. Each bucket belongs to an organization and stores measurements with automatic data expiration based on retention rules. Used to organize and manage data lifecycle.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          name: {
-            type: "string",
-            description: "Unique bucket name within the organization. Use descriptive names like 'sensors-prod', 'metrics-dev', etc."
-          },
-          orgID: {
-            type: "string",
-            description: "Organization ID (not name) that will own this bucket. Get this from the organizations list or create-org response."
-          },
-          retentionPeriodSeconds: {
-            type: "number",
-            description: "Optional data retention period in seconds. Data older than this will be automatically deleted. Examples: 3600 (1 hour), 86400 (1 day), 2592000 (30 days). If not specified, data is kept indefinitely."
-          }
-        },
-        required: ["name", "orgID"]
-      }
-    },
-    {
-      name: "create-org",
-      description: "Create a new InfluxDB organization (workspace). Organizations are logical workspaces that contain users, buckets, dashboards, and other resources. They provide multi-tenancy and access control. Each organization has its own isolated data and user management. Typically represents a company, team, or project.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          name: {
-            type: "string",
-            description: "Unique organization name. Use descriptive names like 'my-company', 'dev-team', 'production-env'. Must be unique across the InfluxDB instance."
-          },
-          description: {
-            type: "string",
-            description: "Optional human-readable description of the organization's purpose, team, or use case. Example: 'Production monitoring for web services'"
-          }
-        },
-        required: ["name"]
-      }
-    },
-    {
-      name: "list-databases",
-      description: "List all InfluxDB buckets/databases with metadata information including retention policies, creation dates, and basic statistics.",
-      inputSchema: {
-        type: "object",
-        properties: {},
-        required: []
-      }
-    },
-    {
-      name: "health-check",
-      description: "Check InfluxDB server connection, health status, version information, and response time. Useful for monitoring and troubleshooting.",
-      inputSchema: {
-        type: "object",
-        properties: {},
-        required: []
-      }
-    },
-    {
-      name: "get-measurements",
-      description: "List all measurements (tables) in a specific bucket. Shows what data is available for querying in the last 30 days.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          org: {
-            type: "string",
-            description: "Organization name that contains the bucket"
-          },
-          bucket: {
-            type: "string",
-            description: "Bucket name to list measurements from"
-          }
-        },
-        required: ["org", "bucket"]
-      }
-    },
-    {
-      name: "get-measurement-schema",
-      description: "Get detailed schema information for a specific measurement including all field keys (values) and tag keys (indexed metadata) with usage examples.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          org: {
-            type: "string",
-            description: "Organization name"
-          },
-          bucket: {
-            type: "string",
-            description: "Bucket name containing the measurement"
-          },
-          measurement: {
-            type: "string",
-            description: "Measurement name to get schema for"
-          }
-        },
-        required: ["org", "bucket", "measurement"]
-      }
-    },
-    {
-      name: "get-bucket-info",
-      description: "Get comprehensive information about a specific bucket including configuration, retention policy, statistics, and creation details.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          bucketName: {
-            type: "string",
-            description: "Name of the bucket to get information for"
-          },
-          org: {
-            type: "string",
-            description: "Organization name (used for statistics queries)"
-          }
-        },
-        required: ["bucketName", "org"]
-      }
-    },
-    {
-      name: "get-tag-values",
-      description: "Get all unique values for a specific tag key, optionally filtered by measurement. Useful for discovering available filter options.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          org: {
-            type: "string",
-            description: "Organization name"
-          },
-          bucket: {
-            type: "string",
-            description: "Bucket name to search in"
-          },
-          tagKey: {
-            type: "string",
-            description: "Tag key to get values for (e.g., 'location', 'sensor', 'host')"
-          },
-          measurement: {
-            type: "string",
-            description: "Optional: specific measurement to filter by"
-          }
-        },
-        required: ["org", "bucket", "tagKey"]
-      }
-    }
-  ];
+if (!authenticator) {
+  console.log('Warning: no MCP_API_KEYS_FILE or MCP_JWT_* configured, /mcp is unauthenticated');
 }
 
-async function handleToolCall(params) {
-  const { name, arguments: args } = params;
+// InfluxDB token a client supplied, from the X-InfluxDB-Token header or the
+// "influxdb/token" entry of the initialize request's _meta
+function clientInfluxToken(message, headers) {
+  return headers['x-influxdb-token'] || message.params?._meta?.['influxdb/token'] || null;
+}
 
-  try {
-    switch (name) {
-      case 'write-data':
-        return await writeData(args);
-      case 'query-data':
-        return await queryData(args);
-      case 'create-bucket':
-        return await createBucket(args);
-      case 'create-org':
-        return await createOrg(args);
-      case 'list-databases':
-        return await listDatabases(args);
-      case 'health-check':
-        return await healthCheck(args);
-      case 'get-measurements':
-        return await getMeasurements(args);
-      case 'get-measurement-schema':
-        return await getMeasurementSchema(args);
-      case 'get-bucket-info':
-        return await getBucketInfo(args);
-      case 'get-tag-values':
-        return await getTagValues(args);
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      error: error.message,
-      isError: true
-    };
-  }
+// Instance the client's token is for, from the X-InfluxDB-Instance header or
+// the "influxdb/instance" entry of _meta (the default instance otherwise)
+function clientInfluxInstance(message, headers) {
+  return headers['x-influxdb-instance'] || message.params?._meta?.['influxdb/instance'] || getDefaultInstanceName();
 }
 
-// Create Express app
-const app = express();
+// Bind the client's InfluxDB token, and the one instance it may be sent to,
+// to its session on initialize. Later requests may not switch to a
+// different token or call a tool on another instance
+function bindInfluxCredentials(message, session, headers) {
+  if (INFLUXDB_TOKEN_PASSTHROUGH === 'off') {
+    return;
+  }
 
-// CORS configuration - allow all origins
-const corsOptions = {
-  origin: true, // Allow all origins
-  credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'Cache-Control']
-};
+  const token = clientInfluxToken(message, headers);
 
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+  if (message.method === 'initialize') {
+    if (!token && INFLUXDB_TOKEN_PASSTHROUGH === 'required') {
+      throw new McpError(
+        UNAUTHORIZED_ERROR_CODE,
+        'An InfluxDB token is required: send it in the X-InfluxDB-Token header or as _meta["influxdb/token"] in initialize'
+      );
+    }
+    const instance = clientInfluxInstance(message, headers);
+    if (token && !hasInstance(instance)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown InfluxDB instance "${instance}"; see the influxdb://instances resource`);
+    }
+    session.influxToken = token;
+    session.influxInstance = token ? instance : null;
+    console.log(`Session ${session.id} uses ${token ? `its own InfluxDB token for instance "${instance}"` : 'the server InfluxDB token'}`);
+    return;
+  }
 
-// Create MCP server instance
-const server = new McpServer({
-  name: "InfluxDB",
-  version: "0.1.1",
-});
+  if (token && token !== session.influxToken) {
+    throw new McpError(
+      FORBIDDEN_ERROR_CODE,
+      'X-InfluxDB-Token does not match the token bound to this session; initialize a new session to change it'
+    );
+  }
 
-// Register resources
-server.resource("orgs", "influxdb://orgs", listOrganizations);
-server.resource("buckets", "influxdb://buckets", listBuckets);
-
-// Register tools
-server.tool(
-  "write-data",
-  {
-    org: z.string().describe("The organization name"),
-    bucket: z.string().describe("The bucket name"),
-    data: z.string().describe("Data in InfluxDB line protocol format"),
-    precision: z.enum(["ns", "us", "ms", "s"]).optional().describe(
-      "Timestamp precision (ns, us, ms, s)",
-    ),
-  },
-  writeData,
-);
-
-server.tool(
-  "query-data",
-  {
-    org: z.string().describe("The organization name"),
-    query: z.string().describe("Flux query string"),
-  },
-  queryData,
-);
-
-server.tool(
-  "create-bucket",
-  {
-    name: z.string().describe("The bucket name"),
-    orgID: z.string().describe("The organization ID"),
-    retentionPeriodSeconds: z.number().optional().describe(
-      "Retention period in seconds (optional)",
-    ),
-  },
-  createBucket,
-);
-
-server.tool(
-  "create-org",
-  {
-    name: z.string().describe("The organization name"),
-    description: z.string().optional().describe(
-      "Organization description (optional)",
-    ),
-  },
-  createOrg,
-);
-
-// Register prompts
-server.prompt("flux-query-examples", {}, fluxQueryExamplesPrompt);
-server.prompt("line-protocol-guide", {}, lineProtocolGuidePrompt);
+  const instance = message.method === 'tools/call' ? message.params?.arguments?.instance : undefined;
+  if (session.influxToken && instance !== undefined && instance !== session.influxInstance) {
+    throw new McpError(
+      FORBIDDEN_ERROR_CODE,
+      `This session's InfluxDB token is bound to instance "${session.influxInstance}"; initialize a new session to use "${instance}"`
+    );
+  }
+}
 
-// Create HTTP transport
-const httpTransport = new HttpTransport();
+// Dispatch a JSON-RPC request to the shared catalogue and return its result
+async function dispatch(message, { session, principal, signal, sendNotification }) {
+  const params = message.params || {};
+  const extra = { signal, _meta: params._meta, sendNotification };
 
-// Configure MCP server to handle HTTP requests
-httpTransport.onMessage(async (message) => {
-  try {
-    if (message.method === 'initialize') {
+  switch (message.method) {
+    case 'initialize':
       return {
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          protocolVersion: "2024-11-05",
-          capabilities: {
-            tools: {},
-            resources: {},
-            prompts: {}
-          },
-          serverInfo: {
-            name: "InfluxDB MCP Server",
-            version: "0.1.1"
-          }
-        }
-      };
-    }
-
-    if (message.method === 'tools/list') {
-      return {
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          tools: [
-            {
-              name: "write-data",
-              description: "Write time-series data to InfluxDB using line protocol format. Line protocol is a text-based format for writing points to InfluxDB. Format: 'measurement,tag1=value1,tag2=value2 field1=value1,field2=value2 [timestamp]'. Example: 'temperature,location=office,sensor=A temp=23.5 1609459200000000000'",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  org: {
-                    type: "string",
-                    description: "InfluxDB organization name (logical workspace for users, buckets, and resources)"
-                  },
-                  bucket: {
-                    type: "string",
-                    description: "InfluxDB bucket name (container for time-series data with retention policy)"
-                  },
-                  data: {
-                    type: "string",
-                    description: "Data in InfluxDB line protocol format. Each line represents one data point. Format: 'measurement[,tag_set] field_set [timestamp]'. Multiple lines separated by newlines for batch writes."
-                  },
-                  precision: {
-                    type: "string",
-                    enum: ["ns", "us", "ms", "s"],
-                    description: "Timestamp precision: 'ns' (nanoseconds), 'us' (microseconds), 'ms' (milliseconds), 's' (seconds). Defaults to nanoseconds if not specified."
-                  }
-                },
-                required: ["org", "bucket", "data"]
-              }
-            },
-            {
-              name: "query-data",
-              description: "Execute Flux queries to retrieve and analyze time-series data from InfluxDB. Flux is InfluxDB's functional data scripting language for querying, analyzing, and acting on time-series data. Supports filtering, aggregation, transformations, and more. Example query: 'from(bucket: \"my-bucket\") |> range(start: -1h) |> filter(fn: (r) => r._measurement == \"temperature\")'",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  org: {
-                    type: "string",
-                    description: "InfluxDB organization name that contains the data to query"
-                  },
-                  query: {
-                    type: "string",
-                    description: "Flux query string. Must start with from() function to specify bucket. Common patterns: range() for time filtering, filter() for field/tag filtering, aggregateWindow() for downsampling, group() for grouping data. Returns CSV-formatted results."
-                  }
-                },
-                required: ["org", "query"]
-              }
-            },
-            {
-              name: "create-bucket",
-              description: "Create a new InfluxDB bucket (data container). Buckets are containers for time-series data with configurable retention policies. Each bucket belongs to an organization and stores measurements with automatic data expiration based on retention rules. Used to organize and manage data lifecycle.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  name: {
-                    type: "string",
-                    description: "Unique bucket name within the organization. Use descriptive names like 'sensors-prod', 'metrics-dev', etc."
-                  },
-                  orgID: {
-                    type: "string",
-                    description: "Organization ID (not name) that will own this bucket. Get this from the organizations list or create-org response."
-                  },
-                  retentionPeriodSeconds: {
-                    type: "number",
-                    description: "Optional data retention period in seconds. Data older than this will be automatically deleted. Examples: 3600 (1 hour), 86400 (1 day), 2592000 (30 days). If not specified, data is kept indefinitely."
-                  }
-                },
-                required: ["name", "orgID"]
-              }
-            },
-            {
-              name: "create-org",
-              description: "Create a new InfluxDB organization (workspace). Organizations are logical workspaces that contain users, buckets, dashboards, and other resources. They provide multi-tenancy and access control. Each organization has its own isolated data and user management. Typically represents a company, team, or project.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  name: {
-                    type: "string",
-                    description: "Unique organization name. Use descriptive names like 'my-company', 'dev-team', 'production-env'. Must be unique across the InfluxDB instance."
-                  },
-                  description: {
-                    type: "string",
-                    description: "Optional human-readable description of the organization's purpose, team, or use case. Example: 'Production monitoring for web services'"
-                  }
-                },
-                required: ["name"]
-              }
-            },
-            {
-              name: "list-databases",
-              description: "List all InfluxDB buckets/databases with metadata information including retention policies, creation dates, and basic statistics.",
-              inputSchema: {
-                type: "object",
-                properties: {},
-                required: []
-              }
-            },
-            {
-              name: "health-check",
-              description: "Check InfluxDB server connection, health status, version information, and response time. Useful for monitoring and troubleshooting.",
-              inputSchema: {
-                type: "object",
-                properties: {},
-                required: []
-              }
-            },
-            {
-              name: "get-measurements",
-              description: "List all measurements (tables) in a specific bucket. Shows what data is available for querying in the last 30 days.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  org: {
-                    type: "string",
-                    description: "Organization name that contains the bucket"
-                  },
-                  bucket: {
-                    type: "string",
-                    description: "Bucket name to list measurements from"
-                  }
-                },
-                required: ["org", "bucket"]
-              }
-            },
-            {
-              name: "get-measurement-schema",
-              description: "Get detailed schema information for a specific measurement including all field keys (values) and tag keys (indexed metadata) with usage examples.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  org: {
-                    type: "string",
-                    description: "Organization name"
-                  },
-                  bucket: {
-                    type: "string",
-                    description: "Bucket name containing the measurement"
-                  },
-                  measurement: {
-                    type: "string",
-                    description: "Measurement name to get schema for"
-                  }
-                },
-                required: ["org", "bucket", "measurement"]
-              }
-            },
-            {
-              name: "get-bucket-info",
-              description: "Get comprehensive information about a specific bucket including configuration, retention policy, statistics, and creation details.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  bucketName: {
-                    type: "string",
-                    description: "Name of the bucket to get information for"
-                  },
-                  org: {
-                    type: "string",
-                    description: "Organization name (used for statistics queries)"
-                  }
-                },
-                required: ["bucketName", "org"]
-              }
-            },
-            {
-              name: "get-tag-values",
-              description: "Get all unique values for a specific tag key, optionally filtered by measurement. Useful for discovering available filter options.",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  org: {
-                    type: "string",
-                    description: "Organization name"
-                  },
-                  bucket: {
-                    type: "string",
-                    description: "Bucket name to search in"
-                  },
-                  tagKey: {
-                    type: "string",
-                    description: "Tag key to get values for (e.g., 'location', 'sensor', 'host')"
-                  },
-                  measurement: {
-                    type: "string",
-                    description: "Optional: specific measurement to filter by"
-                  }
-                },
-                required: ["org", "bucket", "tagKey"]
-              }
-            }
-          ]
+        protocolVersion: session.protocolVersion,
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {}
+        },
+        serverInfo: {
+          name: "InfluxDB MCP Server",
+          version: "0.1.1"
         }
       };
-    }
-
-    if (message.method === 'tools/call') {
-      const { name, arguments: args } = message.params;
-
-      try {
-        let result;
-        switch (name) {
-          case 'write-data':
-            result = await writeData(args);
-            break;
-          case 'query-data':
-            result = await queryData(args);
-            break;
-          case 'create-bucket':
-            result = await createBucket(args);
-            break;
-          case 'create-org':
-            result = await createOrg(args);
-            break;
-          case 'list-databases':
-            result = await listDatabases(args);
-            break;
-          case 'health-check':
-            result = await healthCheck(args);
-            break;
-          case 'get-measurements':
-            result = await getMeasurements(args);
-            break;
-          case 'get-measurement-schema':
-            result = await getMeasurementSchema(args);
-            break;
-          case 'get-bucket-info':
-            result = await getBucketInfo(args);
-            break;
-          case 'get-tag-values':
-            result = await getTagValues(args);
-            break;
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          result: result
-        };
-      } catch (error) {
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          error: {
-            code: -32603,
-            message: error.message
-          }
-        };
-      }
-    }
-
-    if (message.method === 'resources/list') {
+    case 'ping':
+      return {};
+    case 'tools/list':
       return {
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          resources: [
-            {
-              uri: "influxdb://orgs",
-              name: "Organizations",
-              description: "List InfluxDB organizations",
-              mimeType: "application/json"
-            },
-            {
-              uri: "influxdb://buckets",
-              name: "Buckets",
-              description: "List InfluxDB buckets",
-              mimeType: "application/json"
-            }
-          ]
-        }
+        tools: listTools().filter((tool) => isToolAllowed(principal, tool.name))
       };
-    }
-
-    if (message.method === 'resources/read') {
-      const { uri } = message.params;
-
-      try {
-        let result;
-        if (uri === 'influxdb://orgs') {
-          result = await listOrganizations();
-        } else if (uri === 'influxdb://buckets') {
-          result = await listBuckets();
-        } else {
-          throw new Error(`Unknown resource: ${uri}`);
-        }
+    case 'tools/call':
+      // Authorization policy is enforced before the tool is dispatched (what
+      // a call touches is only worked out when there is a policy to check)
+      authorizeToolCall(
+        principal,
+        params.name,
+        principal?.policy ? await toolAccess(params.name, params.arguments) : {}
+      );
+      return await callTool(params.name, params.arguments, extra);
+    case 'resources/list':
+      return { resources: listResources() };
+    case 'resources/templates/list':
+      return { resourceTemplates: listResourceTemplates() };
+    case 'resources/read':
+      authorizeAccess(principal, `resource ${params.uri}`, resourceAccess(params.uri));
+      return await readResource(params.uri, extra);
+    case 'prompts/list':
+      return { prompts: listPrompts() };
+    case 'prompts/get':
+      return await getPrompt(params.name, params.arguments);
+    default:
+      throw new McpError(ErrorCode.MethodNotFound, `Method not found: ${message.method}`);
+  }
+}
 
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          result: result
-        };
-      } catch (error) {
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          error: {
-            code: -32603,
-            message: error.message
-          }
-        };
-      }
-    }
+// Create Express app
+const app = express();
 
-    if (message.method === 'prompts/list') {
-      return {
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          prompts: [
-            {
-              name: "flux-query-examples",
-              description: "Examples of Flux query patterns"
-            },
-            {
-              name: "line-protocol-guide",
-              description: "Guide for InfluxDB line protocol format"
-            }
-          ]
-        }
-      };
-    }
+// CORS configuration, for the origins in MCP_ALLOWED_ORIGINS only. The
+// middleware also answers preflight requests
+const corsOptions = {
+  origin: ALLOWED_ORIGINS.includes('*') ? true : ALLOWED_ORIGINS,
+  credentials: true,
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'X-InfluxDB-Token', 'X-InfluxDB-Instance', 'Cache-Control', 'MCP-Protocol-Version', 'Mcp-Session-Id', 'Last-Event-ID'],
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+};
 
-    if (message.method === 'prompts/get') {
-      const { name, arguments: args } = message.params;
-
-      try {
-        let result;
-        if (name === 'flux-query-examples') {
-          result = await fluxQueryExamplesPrompt(args);
-        } else if (name === 'line-protocol-guide') {
-          result = await lineProtocolGuidePrompt(args);
-        } else {
-          throw new Error(`Unknown prompt: ${name}`);
-        }
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '10mb' }));
 
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          result: result
-        };
-      } catch (error) {
-        return {
-          jsonrpc: "2.0",
-          id: message.id,
-          error: {
-            code: -32603,
-            message: error.message
-          }
-        };
-      }
-    }
+// Create HTTP transport
+const httpTransport = new HttpTransport({
+  sessionIdleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  replayBufferSize: SSE_REPLAY_BUFFER_SIZE,
+  maxSessions: MAX_SESSIONS,
+  allowedOrigins: ALLOWED_ORIGINS,
+  authenticator: authenticator
+});
 
-    // Handle ping
-    if (message.method === 'ping') {
-      return {
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {}
-      };
-    }
+// Route every JSON-RPC message through the shared catalogue
+httpTransport.onMessage(async (message, context) => {
+  // Notifications (e.g. notifications/initialized) need no response
+  if (message.id === undefined) {
+    return null;
+  }
 
-    // Unknown method
+  try {
+    bindInfluxCredentials(message, context.session, context.headers);
+
+    // Handlers reach InfluxDB with the session's token when one is bound;
+    // the session id keeps query cursors private to the session, and the
+    // principal lets listings leave out what its policy does not allow
+    const result = await runWithRequestContext(
+      {
+        influxToken: context.session.influxToken,
+        influxTokenInstance: context.session.influxInstance,
+        sessionId: context.session.id,
+        principal: context.principal,
+      },
+      () => dispatch(message, context)
+    );
     return {
       jsonrpc: "2.0",
       id: message.id,
-      error: {
-        code: -32601,
-        message: `Method not found: ${message.method}`
-      }
+      result: result
     };
-
   } catch (error) {
-    console.error('Error handling message:', error);
+    if (!(error instanceof McpError)) {
+      console.error('Error handling message:', error);
+    }
     return {
       jsonrpc: "2.0",
       id: message.id,
       error: {
-        code: -32603,
-        message: "Internal error"
+        code: error instanceof McpError ? error.code : ErrorCode.InternalError,
+        message: error.message
       }
     };
   }
@@ -762,55 +267,6 @@ httpTransport.onMessage(async (message) => {
 // Alternative direct MCP endpoint (genai-toolbox style)
 app.post('/mcp', async (req, res) => {
   try {
-    // Set CORS headers for maximum compatibility
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', '*');
-
-    const message = req.body;
-
-    // Handle initialize request
-    if (message.method === 'initialize') {
-      return res.json({
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          protocolVersion: "2024-11-05",
-          capabilities: {
-            tools: {},
-            resources: {},
-            prompts: {}
-          },
-          serverInfo: {
-            name: "InfluxDB MCP Server",
-            version: "0.1.1"
-          }
-        }
-      });
-    }
-
-    // Handle tools/list request
-    if (message.method === 'tools/list') {
-      return res.json({
-        jsonrpc: "2.0",
-        id: message.id,
-        result: {
-          tools: await getToolsList()
-        }
-      });
-    }
-
-    // Handle tool calls
-    if (message.method === 'tools/call') {
-      const result = await handleToolCall(message.params);
-      return res.json({
-        jsonrpc: "2.0",
-        id: message.id,
-        result: result
-      });
-    }
-
-    // Fallback to original transport
     await httpTransport.handleRequest(req, res);
   } catch (error) {
     console.error('Error in MCP endpoint:', error);
@@ -826,37 +282,27 @@ app.post('/mcp', async (req, res) => {
   }
 });
 
-// GET endpoint for MCP info (genai-toolbox style)
-app.get('/mcp', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.json({
-    name: "InfluxDB MCP Server",
-    version: "0.1.1",
-    transport: "http",
-    capabilities: {
-      tools: {},
-      resources: {},
-      prompts: {}
-    },
-    protocolVersion: "2024-11-05",
-    serverInfo: {
-      name: "InfluxDB MCP Server",
-      version: "0.1.1"
-    }
-  });
+// GET opens the session's SSE stream (or returns server info without SSE Accept)
+app.get('/mcp', async (req, res) => {
+  await httpTransport.handleRequest(req, res);
 });
 
-// OPTIONS for CORS preflight
-app.options('/mcp', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', '*');
-  res.sendStatus(200);
+// DELETE terminates a session
+app.delete('/mcp', async (req, res) => {
+  await httpTransport.handleRequest(req, res);
 });
 
 // Health check endpoint
+// Reports the circuit breaker of every InfluxDB instance; "degraded" while
+// any circuit is open (the server itself is still up)
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: 'influxdb-mcp-server' });
+  const influxdb = breakerStatuses(listInstances().map((instance) => instance.name));
+  const degraded = Object.values(influxdb).some((breaker) => breaker.state !== 'closed');
+  res.json({
+    status: degraded ? 'degraded' : 'healthy',
+    service: 'influxdb-mcp-server',
+    influxdb
+  });
 });
 
 // Root endpoint with server info
@@ -883,10 +329,10 @@ app.listen(PORT, HOST, () => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('Shutting down HTTP server...');
-  process.exit(0);
+  httpTransport.close().finally(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
   console.log('Shutting down HTTP server...');
-  process.exit(0);
+  httpTransport.close().finally(() => process.exit(0));
 });
\ No newline at end of file
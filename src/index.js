@@ -1,34 +1,29 @@
 #!/usr/bin/env node
 
-import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { z } from "zod";
 
 // Import config
-import { validateEnvironment } from "./config/env.js";
+import { READ_ONLY, validateEnvironment } from "./config/env.js";
+import { validateInstances } from "./config/instances.js";
+import { validateGuardrails } from "./config/guardrails.js";
+import { startWriteBuffer } from "./utils/writeBuffer.js";
 
 // Import utilities
 import { configureLogger } from "./utils/loggerConfig.js";
 
-// Import resource handlers
-import { listOrganizations } from "./handlers/organizationsHandler.js";
-import { listBuckets } from "./handlers/bucketsHandler.js";
-import { bucketMeasurements } from "./handlers/measurementsHandler.js";
-import { executeQuery } from "./handlers/queryHandler.js";
-
-// Import tool handlers
-import { writeData } from "./handlers/writeDataTool.js";
-import { queryData } from "./handlers/queryDataTool.js";
-import { createBucket } from "./handlers/createBucketTool.js";
-import { createOrg } from "./handlers/createOrgTool.js";
-
-// Import prompt handlers
-import { fluxQueryExamplesPrompt } from "./prompts/fluxQueryExamplesPrompt.js";
-import { lineProtocolGuidePrompt } from "./prompts/lineProtocolGuidePrompt.js";
+// Import the shared tool/resource/prompt catalogue
+import { registerCatalogue } from "./registry.js";
 
 // Configure logger and validate environment
 configureLogger();
 validateEnvironment();
+validateInstances();
+validateGuardrails();
+startWriteBuffer();
+if (READ_ONLY) {
+  console.log("Read-only mode: mutating tools are disabled");
+}
 
 // Create MCP server
 const server = new McpServer({
@@ -36,76 +31,9 @@ const server = new McpServer({
   version: "0.1.1",
 });
 
-// Register resources
-server.resource("orgs", "influxdb://orgs", listOrganizations);
-
-server.resource("buckets", "influxdb://buckets", listBuckets);
-
-server.resource(
-  "bucket-measurements",
-  new ResourceTemplate("influxdb://bucket/{bucketName}/measurements", {
-    list: undefined,
-  }),
-  bucketMeasurements,
-);
-
-server.resource(
-  "query",
-  new ResourceTemplate("influxdb://query/{orgName}/{fluxQuery}", {
-    list: undefined,
-  }),
-  executeQuery,
-);
-
-// Register tools
-server.tool(
-  "write-data",
-  {
-    org: z.string().describe("The organization name"),
-    bucket: z.string().describe("The bucket name"),
-    data: z.string().describe("Data in InfluxDB line protocol format"),
-    precision: z.enum(["ns", "us", "ms", "s"]).optional().describe(
-      "Timestamp precision (ns, us, ms, s)",
-    ),
-  },
-  writeData,
-);
-
-server.tool(
-  "query-data",
-  {
-    org: z.string().describe("The organization name"),
-    query: z.string().describe("Flux query string"),
-  },
-  queryData,
-);
-
-server.tool(
-  "create-bucket",
-  {
-    name: z.string().describe("The bucket name"),
-    orgID: z.string().describe("The organization ID"),
-    retentionPeriodSeconds: z.number().optional().describe(
-      "Retention period in seconds (optional)",
-    ),
-  },
-  createBucket,
-);
-
-server.tool(
-  "create-org",
-  {
-    name: z.string().describe("The organization name"),
-    description: z.string().optional().describe(
-      "Organization description (optional)",
-    ),
-  },
-  createOrg,
-);
-
-// Register prompts
-server.prompt("flux-query-examples", {}, fluxQueryExamplesPrompt);
-server.prompt("line-protocol-guide", {}, lineProtocolGuidePrompt);
+// Register tools, resources and prompts on the underlying protocol server so
+// the stdio transport exposes exactly the same catalogue as the HTTP server
+registerCatalogue(server.server);
 
 // Add a global error handler
 process.on("unhandledRejection", (reason, promise) => {
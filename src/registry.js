@@ -0,0 +1,974 @@
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+// Import resource handlers
+import { listOrganizations } from "./handlers/organizationsHandler.js";
+import { listBuckets } from "./handlers/bucketsHandler.js";
+import { bucketMeasurements } from "./handlers/measurementsHandler.js";
+import { executeQuery } from "./handlers/queryHandler.js";
+
+// Import tool handlers
+import { writeData } from "./handlers/writeDataTool.js";
+import { writePoints } from "./handlers/writePointsTool.js";
+import { importCsv } from "./handlers/importCsvTool.js";
+import { validateLineProtocolTool } from "./handlers/validateLineProtocolTool.js";
+import { writeQueueStatus } from "./handlers/writeQueueStatusTool.js";
+import { queryData } from "./handlers/queryDataTool.js";
+import { createBucket } from "./handlers/createBucketTool.js";
+import { createOrg } from "./handlers/createOrgTool.js";
+import { listDatabases } from "./handlers/listDatabasesTool.js";
+import { healthCheck } from "./handlers/healthCheckTool.js";
+import { getMeasurements } from "./handlers/getMeasurementsTool.js";
+import { getMeasurementSchema } from "./handlers/getMeasurementSchemaTool.js";
+import { getBucketInfo } from "./handlers/getBucketInfoTool.js";
+import { getTagValues } from "./handlers/getTagValuesTool.js";
+import { queryInfluxQL } from "./handlers/influxqlQueryTool.js";
+import { querySql } from "./handlers/sqlQueryTool.js";
+import { listInstancesResource } from "./handlers/instancesHandler.js";
+import { writeQueueResource } from "./handlers/writeQueueHandler.js";
+
+// Import utilities
+import {
+  extractBucketReferences,
+  findFluxSideEffects,
+} from "./utils/fluxAnalysis.js";
+import { analyzeInfluxQL, influxqlBuckets } from "./utils/influxql.js";
+import { getInfluxInstance } from "./utils/influxClient.js";
+import { organizationName } from "./utils/organizations.js";
+import { fluxGuardrailViolations } from "./utils/fluxGuardrails.js";
+import { OUTPUT_FORMATS } from "./utils/resultFormat.js";
+import { FIELD_TYPES, PRECISIONS } from "./utils/lineProtocol.js";
+import { TIMESTAMP_FORMATS } from "./utils/csvImport.js";
+import { runWithRequestContext } from "./utils/requestContext.js";
+import { createPartialResultSender, createProgressReporter } from "./utils/progress.js";
+import { getDefaultInstanceName, getInstance, hasInstance } from "./config/instances.js";
+import {
+  INFLUXDB_TIMEOUT_MS,
+  INFLUXDB_TOOL_TIMEOUTS_MS,
+  READ_ONLY,
+  WRITE_BUFFER_DROP_POLICIES,
+} from "./config/env.js";
+import { FORBIDDEN_ERROR_CODE } from "./auth/authError.js";
+
+// Import prompt handlers
+import { fluxQueryExamplesPrompt } from "./prompts/fluxQueryExamplesPrompt.js";
+import { lineProtocolGuidePrompt } from "./prompts/lineProtocolGuidePrompt.js";
+
+/**
+ * Single catalogue of every tool, resource and prompt exposed by the server.
+ * Both the stdio entry point (src/index.js) and the HTTP entry point
+ * (src/http-server.js) are built from these definitions, so anything added
+ * here is available identically on both transports.
+ *
+ * `access` describes which organization and buckets a call touches, derived
+ * from its arguments, so authorization policies can be enforced centrally:
+ * (args) => ({ org, reads: [bucket], writes: [bucket], unresolved: [reason] })
+ * (or a promise of one, when it has to ask InfluxDB, e.g. for DBRP mappings)
+ *
+ * Tools with an `outputSchema` (a zod shape) also return `structuredContent`
+ * matching it.
+ *
+ * Every tool also accepts an optional `instance` argument naming the
+ * InfluxDB connection profile to run against (see config/instances.js).
+ */
+
+// structuredContent of tools returning Flux tables (see utils/resultFormat.js)
+const fluxTablesOutput = {
+  tables: z.array(z.object({
+    table: z.number(),
+    columns: z.array(z.object({
+      name: z.string(),
+      type: z.string(),
+      group: z.boolean(),
+    })),
+    groupKey: z.record(z.any()),
+    records: z.array(z.record(z.any())),
+  })),
+  rowCount: z.number(),
+  page: z.object({
+    offset: z.number(),
+    rowCount: z.number(),
+    totalRows: z.number(),
+    nextCursor: z.string().nullable(),
+    incomplete: z.boolean(),
+  }).optional(),
+};
+
+// structuredContent item of validate-line-protocol (see utils/lineProtocol.js)
+const lineProtocolProblem = z.object({
+  line: z.number(),
+  column: z.number(),
+  message: z.string(),
+});
+
+// Added to every tool's input schema
+const instanceArgument = z.string().optional().describe(
+  "Name of the InfluxDB instance (connection profile) to use, as listed by the influxdb://instances resource. Defaults to the default instance.",
+);
+
+// Longest time limit a client may ask for on a single call
+const MAX_TIMEOUT_MS = 10 * 60 * 1000;
+
+const timeoutArgument = z.number().int().positive().max(MAX_TIMEOUT_MS).optional().describe(
+  "Time limit in milliseconds for this call, including every InfluxDB request it makes. Defaults to the tool's configured timeout.",
+);
+
+const inputShape = (tool) => ({
+  ...tool.inputSchema,
+  instance: instanceArgument,
+  timeoutMs: timeoutArgument,
+});
+
+// Run fn with an abort signal in the request context (picked up by
+// influxRequest) that fires when the client cancels the request through
+// extra.signal (notifications/cancelled) or after timeoutMs. A progress
+// reporter joins the context when the request carries a progressToken.
+async function runWithDeadline(what, extra, timeoutMs, context, fn) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new Error(`${what} timed out after ${timeoutMs} ms`));
+  }, timeoutMs);
+  const cancel = () => controller.abort(new Error(`${what} was cancelled by the client`));
+  if (extra?.signal?.aborted) {
+    cancel();
+  } else {
+    extra?.signal?.addEventListener("abort", cancel, { once: true });
+  }
+
+  try {
+    return await runWithRequestContext(
+      {
+        ...context,
+        timeoutMs,
+        deadline: Date.now() + timeoutMs,
+        signal: controller.signal,
+        progress: createProgressReporter(extra),
+        partialResult: createPartialResultSender(extra),
+      },
+      fn,
+    );
+  } finally {
+    clearTimeout(timer);
+    extra?.signal?.removeEventListener("abort", cancel);
+  }
+}
+
+// Access requirement of a Flux script run in an organization
+const fluxAccess = (org, query) => {
+  const { reads, writes, unresolved } = extractBucketReferences(query ?? "");
+  return { org, reads, writes, unresolved };
+};
+
+// Access requirement of InfluxQL run against a database: the buckets its
+// databases map to (see influxqlBuckets). INTO can target any database, so
+// it cannot be checked statically
+const influxqlAccess = async ({ org, db, rp, query }) => {
+  // Without `org`, the DBRP mappings of the instance's organization are used
+  const mappingOrg = org ?? getInfluxInstance().org;
+  const { modifies, into } = analyzeInfluxQL(query ?? "");
+  const buckets = await influxqlBuckets({ org: mappingOrg, db, rp, query: query ?? "" });
+  return {
+    org: mappingOrg,
+    reads: buckets,
+    writes: modifies ? buckets : [],
+    unresolved: into ? ["InfluxQL SELECT ... INTO"] : [],
+  };
+};
+
+// Side effects of a Flux script (writes, HTTP requests, notifications)
+const fluxSideEffects = (query) =>
+  findFluxSideEffects(query ?? "").map(({ name }) => `${name}()`);
+
+// In READ_ONLY mode, refuse requests whose side effects are not empty
+function assertReadOnly(what, sideEffects) {
+  if (READ_ONLY && sideEffects.length > 0) {
+    throw new McpError(
+      FORBIDDEN_ERROR_CODE,
+      `Server is read-only: ${what} would run ${[...new Set(sideEffects)].join(", ")}`,
+    );
+  }
+}
+
+// Refuse Flux that breaks the query guardrails, saying how to fix it
+function assertGuardrails(what, problems) {
+  if (problems.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Query rejected for ${what}:\n- ${problems.join("\n- ")}`,
+    );
+  }
+}
+
+const allTools = [
+  {
+    name: "write-data",
+    description: "Write time-series data to InfluxDB using line protocol format. Line protocol is a text-based format for writing points to InfluxDB. Format: 'measurement,tag1=value1,tag2=value2 field1=value1,field2=value2 [timestamp]'. Example: 'temperature,location=office,sensor=A temp=23.5 1609459200000000000'",
+    inputSchema: {
+      org: z.string().describe(
+        "InfluxDB organization name (logical workspace for users, buckets, and resources)",
+      ),
+      bucket: z.string().describe(
+        "InfluxDB bucket name (container for time-series data with retention policy)",
+      ),
+      data: z.string().describe(
+        "Data in InfluxDB line protocol format. Each line represents one data point. Format: 'measurement[,tag_set] field_set [timestamp]'. Multiple lines separated by newlines for batch writes.",
+      ),
+      precision: z.enum(PRECISIONS).optional().describe(
+        "Timestamp precision: 'ns' (nanoseconds), 'us' (microseconds), 'ms' (milliseconds), 's' (seconds). Defaults to nanoseconds if not specified.",
+      ),
+      dryRun: z.boolean().optional().describe(
+        "Only validate the data (as validate-line-protocol does) and report problems; nothing is written. Data with errors is never written, dry run or not.",
+      ),
+    },
+    annotations: {
+      title: "Write Data",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, writes: [bucket] }),
+    timeoutMs: 30000,
+    handler: writeData,
+  },
+  {
+    name: "write-points",
+    description: "Write time-series points given as JSON records instead of line protocol; they are escaped and converted for you. Each point is { measurement, tags, fields, types, timestamp }, e.g. { \"measurement\": \"temperature\", \"tags\": { \"location\": \"office\" }, \"fields\": { \"temp\": 23.5, \"count\": 3 }, \"types\": { \"count\": \"integer\" }, \"timestamp\": \"2024-05-01T12:00:00Z\" }. Invalid points are rejected and the rest are written; the result gives the outcome of every point.",
+    inputSchema: {
+      org: z.string().describe(
+        "InfluxDB organization name (logical workspace for users, buckets, and resources)",
+      ),
+      bucket: z.string().describe(
+        "InfluxDB bucket name (container for time-series data with retention policy)",
+      ),
+      points: z.array(z.object({
+        measurement: z.string().describe("Measurement name"),
+        tags: z.record(z.union([z.string(), z.number(), z.boolean(), z.null()])).optional().describe(
+          "Tag set (indexed metadata); values are written as strings, and null or empty ones are left out",
+        ),
+        fields: z.record(z.union([z.number(), z.string(), z.boolean(), z.null()])).describe(
+          "Field set (the values); at least one field must be non-null",
+        ),
+        types: z.record(z.enum(FIELD_TYPES)).optional().describe(
+          "Field type hints by field key. Without one, numbers are written as floats, strings as strings and booleans as booleans. Give integers above 2^53 as strings.",
+        ),
+        timestamp: z.union([z.string(), z.number()]).optional().describe(
+          "ISO-8601 date-time with a zone (e.g. '2024-05-01T12:00:00.123Z'), or an epoch value in `precision` units. Defaults to the server's time.",
+        ),
+      })).min(1).describe("Points to write"),
+      precision: z.enum(PRECISIONS).optional().describe(
+        "Precision the points are written with, and the unit of epoch timestamps: 'ns' (default), 'us', 'ms' or 's'",
+      ),
+    },
+    outputSchema: {
+      written: z.number(),
+      rejected: z.number(),
+      failed: z.number(),
+      queued: z.number(),
+      points: z.array(z.object({
+        index: z.number(),
+        status: z.enum(["written", "rejected", "failed", "queued"]),
+        error: z.string().nullable(),
+      })),
+    },
+    annotations: {
+      title: "Write Points",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, writes: [bucket] }),
+    timeoutMs: 30000,
+    handler: writePoints,
+  },
+  {
+    name: "import-csv",
+    description: "Import CSV text (a header row, then one point per row) into a bucket. A mapping says which column holds the timestamp and in which format, which columns are tags, which are fields and of what type, and the measurement name or the column holding it. Rows that cannot be converted are rejected and reported by row number; the rest are written in chunks.",
+    inputSchema: {
+      org: z.string().describe(
+        "InfluxDB organization name (logical workspace for users, buckets, and resources)",
+      ),
+      bucket: z.string().describe(
+        "InfluxDB bucket name (container for time-series data with retention policy)",
+      ),
+      csv: z.string().describe(
+        "CSV text. The first row names the columns; fields may be quoted as in RFC 4180.",
+      ),
+      measurement: z.string().optional().describe(
+        "Measurement name for every row. Give this or measurementColumn.",
+      ),
+      measurementColumn: z.string().optional().describe(
+        "Column holding each row's measurement name. Give this or measurement.",
+      ),
+      timestampColumn: z.string().optional().describe(
+        "Column holding each row's time. Without one, InfluxDB assigns the time of the write, and rows of the same series overwrite each other.",
+      ),
+      timestampFormat: z.enum(TIMESTAMP_FORMATS).optional().describe(
+        "Format of the timestamp column: 'iso8601' (default; e.g. '2024-05-01T12:00:00Z' or '2024-05-01 12:00:00', read as UTC without a zone) or epoch values in 's', 'ms', 'us' or 'ns'",
+      ),
+      tagColumns: z.array(z.string()).optional().describe(
+        "Columns written as tags (indexed metadata); empty cells are left out",
+      ),
+      fieldColumns: z.record(z.enum(FIELD_TYPES)).describe(
+        "Columns written as fields, with their types, e.g. { \"temp\": \"float\", \"count\": \"integer\", \"ok\": \"boolean\" }. Empty cells are left out; booleans may be true/false, yes/no or 1/0.",
+      ),
+      delimiter: z.string().length(1).optional().describe(
+        "Column delimiter, e.g. ';' or a tab. Defaults to ','.",
+      ),
+    },
+    outputSchema: {
+      rows: z.number(),
+      written: z.number(),
+      rejected: z.array(z.object({
+        row: z.number(),
+        error: z.string(),
+      })),
+      failed: z.number(),
+      queued: z.number(),
+      error: z.string().nullable(),
+    },
+    annotations: {
+      title: "Import CSV",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, writes: [bucket] }),
+    timeoutMs: 60000,
+    handler: importCsv,
+  },
+  {
+    name: "validate-line-protocol",
+    description: "Check line protocol without writing it: escaping, field types, integer (i) and unsigned (u) suffixes, duplicate fields, field type conflicts within the batch, and timestamps that do not fit the precision. Reports each problem with its line and column. write-data runs the same checks before it writes.",
+    inputSchema: {
+      data: z.string().describe(
+        "Data in InfluxDB line protocol format, one point per line",
+      ),
+      precision: z.enum(PRECISIONS).optional().describe(
+        "Timestamp precision the data would be written with: 'ns' (default), 'us', 'ms' or 's'",
+      ),
+    },
+    outputSchema: {
+      valid: z.boolean(),
+      points: z.number(),
+      errors: z.array(lineProtocolProblem),
+      warnings: z.array(lineProtocolProblem),
+    },
+    annotations: {
+      title: "Validate Line Protocol",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    // Checked locally, so it touches no instance
+    access: () => ({}),
+    timeoutMs: 10000,
+    handler: validateLineProtocolTool,
+  },
+  {
+    name: "write-queue-status",
+    description: "Show the local write buffer: writes that failed because InfluxDB was unreachable or overloaded and are retried in the background. Lists each queued write with its bucket, size, retries and last error, and counts of writes buffered, delivered, dropped and refused since the server started.",
+    inputSchema: {},
+    outputSchema: {
+      enabled: z.boolean(),
+      directory: z.string().nullable(),
+      maxBytes: z.number(),
+      dropPolicy: z.enum(WRITE_BUFFER_DROP_POLICIES),
+      pending: z.number(),
+      bytes: z.number(),
+      lines: z.number(),
+      buffered: z.number(),
+      delivered: z.number(),
+      dropped: z.number(),
+      refused: z.number(),
+      lastDrop: z.object({
+        id: z.string(),
+        instance: z.string(),
+        org: z.string(),
+        bucket: z.string(),
+        lines: z.number(),
+        reason: z.string(),
+        at: z.string(),
+      }).nullable(),
+      entries: z.array(z.object({
+        id: z.string(),
+        instance: z.string(),
+        org: z.string(),
+        bucket: z.string(),
+        lines: z.number(),
+        bytes: z.number(),
+        attempts: z.number(),
+        createdAt: z.string(),
+        nextAttemptAt: z.string(),
+        lastError: z.string().nullable(),
+      })),
+    },
+    annotations: {
+      title: "Write Queue Status",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    // Served from the local buffer, so it touches no instance; it lists
+    // only the writes the caller's policy lets it see
+    access: () => ({ instance: undefined }),
+    handler: writeQueueStatus,
+  },
+  {
+    name: "query-data",
+    description: "Execute Flux queries to retrieve and analyze time-series data from InfluxDB. Flux is InfluxDB's functional data scripting language for querying, analyzing, and acting on time-series data. Supports filtering, aggregation, transformations, and more. Example query: 'from(bucket: \"my-bucket\") |> range(start: -1h) |> filter(fn: (r) => r._measurement == \"temperature\")'",
+    inputSchema: {
+      org: z.string().describe(
+        "InfluxDB organization name that contains the data to query",
+      ),
+      query: z.string().describe(
+        "Flux query string. Must start with from() function to specify bucket. Common patterns: range() for time filtering, filter() for field/tag filtering, aggregateWindow() for downsampling, group() for grouping data.",
+      ),
+      format: z.enum(OUTPUT_FORMATS).optional().describe(
+        "Result format: 'csv' (default; annotated CSV), 'json' (typed records grouped by Flux table, with column types and group keys), 'markdown' (one table per Flux table) or 'jsonl' (one JSON record per line).",
+      ),
+      cursor: z.string().optional().describe(
+        "Cursor from a truncated result (page.nextCursor) to fetch its next page without re-running the query. Pass the same org and query it was issued for.",
+      ),
+      stream: z.boolean().optional().describe(
+        "Send the rows of the first page as notifications/influxdb/partialResult while the query is still being read. Requires a progressToken in the request's _meta.",
+      ),
+    },
+    outputSchema: fluxTablesOutput,
+    annotations: {
+      title: "Query Data",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, query }) => fluxAccess(org, query),
+    sideEffects: ({ query }) => fluxSideEffects(query),
+    guardrails: ({ query }) => fluxGuardrailViolations(query),
+    timeoutMs: 60000,
+    handler: queryData,
+  },
+  {
+    name: "influxql-query",
+    description: "Execute InfluxQL queries through the /query endpoint. Works natively against InfluxDB 1.x and against InfluxDB 2.x through DBRP (database/retention policy) mappings, which are checked before the query runs. Returns the JSON results (series with columns and values). Example query: 'SELECT mean(\"temp\") FROM \"temperature\" WHERE time > now() - 1h GROUP BY time(5m)'",
+    inputSchema: {
+      db: z.string().describe(
+        "Database to query. On InfluxDB 2.x this is the database name of a DBRP mapping (often the bucket name).",
+      ),
+      rp: z.string().optional().describe(
+        "Optional retention policy. Defaults to the database's default retention policy (or default DBRP mapping on 2.x).",
+      ),
+      query: z.string().describe(
+        "InfluxQL query string. Several statements may be separated by semicolons.",
+      ),
+      epoch: z.enum(["ns", "u", "ms", "s", "m", "h"]).optional().describe(
+        "Return timestamps as Unix epochs in this precision instead of RFC3339 strings.",
+      ),
+      org: z.string().optional().describe(
+        "InfluxDB 2.x only: organization whose DBRP mappings are checked. Defaults to the instance's organization.",
+      ),
+    },
+    annotations: {
+      title: "InfluxQL Query",
+      readOnlyHint: false,
+      destructiveHint: true,
+      openWorldHint: false,
+    },
+    access: influxqlAccess,
+    sideEffects: ({ query }) => analyzeInfluxQL(query).modifies
+      ? ["InfluxQL statements that change data (INTO, DROP, DELETE, CREATE, ...)"]
+      : [],
+    timeoutMs: 60000,
+    handler: queryInfluxQL,
+  },
+  {
+    name: "sql-query",
+    description: "Execute SQL queries against an InfluxDB 3 database. Measurements are tables with a time column, tag columns and field columns; information_schema.tables and information_schema.columns describe them. Returns the rows as a JSON array. Example query: 'SELECT time, temp FROM temperature WHERE location = $location AND time > now() - INTERVAL \'1 hour\''",
+    inputSchema: {
+      db: z.string().describe("InfluxDB 3 database to query"),
+      query: z.string().describe(
+        "SQL query string. Use $name placeholders with `params` rather than pasting values into the query.",
+      ),
+      params: z.record(z.union([z.string(), z.number(), z.boolean()])).optional().describe(
+        "Optional values for $name placeholders in the query, e.g. { \"location\": \"office\" }",
+      ),
+    },
+    annotations: {
+      title: "SQL Query",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ db }) => ({ reads: [db] }),
+    timeoutMs: 60000,
+    handler: querySql,
+  },
+  {
+    name: "create-bucket",
+    description: "Create a new InfluxDB bucket (data container). Buckets are containers for time-series data with configurable retention policies. Each bucket belongs to an organization and stores measurements with automatic data expiration based on retention rules. Used to organize and manage data lifecycle.",
+    inputSchema: {
+      name: z.string().describe(
+        "Unique bucket name within the organization. Use descriptive names like 'sensors-prod', 'metrics-dev', etc.",
+      ),
+      orgID: z.string().describe(
+        "Organization ID (not name) that will own this bucket. Get this from the organizations list or create-org response.",
+      ),
+      retentionPeriodSeconds: z.number().optional().describe(
+        "Optional data retention period in seconds. Data older than this will be automatically deleted. Examples: 3600 (1 hour), 86400 (1 day), 2592000 (30 days). If not specified, data is kept indefinitely.",
+      ),
+    },
+    annotations: {
+      title: "Create Bucket",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    // Policies name organizations, so the org is checked by name
+    access: async ({ name, orgID }) => ({ org: await organizationName(orgID), writes: [name] }),
+    handler: createBucket,
+  },
+  {
+    name: "create-org",
+    description: "Create a new InfluxDB organization (workspace). Organizations are logical workspaces that contain users, buckets, dashboards, and other resources. They provide multi-tenancy and access control. Each organization has its own isolated data and user management. Typically represents a company, team, or project.",
+    inputSchema: {
+      name: z.string().describe(
+        "Unique organization name. Use descriptive names like 'my-company', 'dev-team', 'production-env'. Must be unique across the InfluxDB instance.",
+      ),
+      description: z.string().optional().describe(
+        "Optional human-readable description of the organization's purpose, team, or use case. Example: 'Production monitoring for web services'",
+      ),
+    },
+    annotations: {
+      title: "Create Organization",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    access: ({ name }) => ({ org: name }),
+    handler: createOrg,
+  },
+  {
+    name: "list-databases",
+    description: "List all InfluxDB buckets/databases with metadata information including retention policies, creation dates, and basic statistics.",
+    inputSchema: {},
+    annotations: {
+      title: "List Databases",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    // Lists only the buckets the caller's policy lets it read
+    access: () => ({}),
+    handler: listDatabases,
+  },
+  {
+    name: "health-check",
+    description: "Check InfluxDB server connection, health status, version information, and response time. Reports every configured instance unless `instance` is given. Useful for monitoring and troubleshooting.",
+    inputSchema: {},
+    annotations: {
+      title: "Health Check",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    // Without `instance` it checks every instance the caller's policy
+    // allows, rather than the default instance
+    access: ({ instance }) => ({ instance }),
+    handler: healthCheck,
+  },
+  {
+    name: "get-measurements",
+    description: "List all measurements (tables) in a specific bucket. Shows what data is available for querying in the last 30 days.",
+    inputSchema: {
+      org: z.string().describe("Organization name that contains the bucket"),
+      bucket: z.string().describe("Bucket name to list measurements from"),
+    },
+    annotations: {
+      title: "Get Measurements",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, reads: [bucket] }),
+    handler: getMeasurements,
+  },
+  {
+    name: "get-measurement-schema",
+    description: "Get detailed schema information for a specific measurement including all field keys (values) and tag keys (indexed metadata) with usage examples.",
+    inputSchema: {
+      org: z.string().describe("Organization name"),
+      bucket: z.string().describe("Bucket name containing the measurement"),
+      measurement: z.string().describe("Measurement name to get schema for"),
+    },
+    annotations: {
+      title: "Get Measurement Schema",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, reads: [bucket] }),
+    handler: getMeasurementSchema,
+  },
+  {
+    name: "get-bucket-info",
+    description: "Get comprehensive information about a specific bucket including configuration, retention policy, statistics, and creation details.",
+    inputSchema: {
+      bucketName: z.string().describe(
+        "Name of the bucket to get information for",
+      ),
+      org: z.string().describe(
+        "Organization name (used for statistics queries)",
+      ),
+    },
+    annotations: {
+      title: "Get Bucket Info",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucketName }) => ({ org, reads: [bucketName] }),
+    handler: getBucketInfo,
+  },
+  {
+    name: "get-tag-values",
+    description: "Get all unique values for a specific tag key, optionally filtered by measurement. Useful for discovering available filter options.",
+    inputSchema: {
+      org: z.string().describe("Organization name"),
+      bucket: z.string().describe("Bucket name to search in"),
+      tagKey: z.string().describe(
+        "Tag key to get values for (e.g., 'location', 'sensor', 'host')",
+      ),
+      measurement: z.string().optional().describe(
+        "Optional: specific measurement to filter by",
+      ),
+    },
+    annotations: {
+      title: "Get Tag Values",
+      readOnlyHint: true,
+      openWorldHint: false,
+    },
+    access: ({ org, bucket }) => ({ org, reads: [bucket] }),
+    handler: getTagValues,
+  },
+];
+
+// In READ_ONLY mode mutating tools are not registered at all. Tools that
+// mutate only for some arguments (e.g. Flux calling to()) stay, and each call
+// is checked with their sideEffects()
+export const tools = READ_ONLY
+  ? allTools.filter((tool) => tool.annotations.readOnlyHint || tool.sideEffects)
+  : allTools;
+
+export const resources = [
+  {
+    name: "instances",
+    uri: "influxdb://instances",
+    description: "List the configured InfluxDB instances (connection profiles)",
+    mimeType: "application/json",
+    // Served from configuration, so it touches no instance
+    access: () => ({}),
+    handler: listInstancesResource,
+  },
+  {
+    name: "write-queue",
+    uri: "influxdb://write-queue",
+    description: "State of the local write buffer: queued writes awaiting retry and delivery counts",
+    mimeType: "application/json",
+    // Served from the local buffer, so it touches no instance; it lists
+    // only the writes the caller's policy lets it see
+    access: () => ({}),
+    handler: writeQueueResource,
+  },
+  {
+    name: "orgs",
+    uri: "influxdb://orgs",
+    description: "List InfluxDB organizations",
+    mimeType: "application/json",
+    // Lists only the organizations the caller's policy allows
+    access: () => ({ instance: getDefaultInstanceName() }),
+    handler: listOrganizations,
+  },
+  {
+    name: "buckets",
+    uri: "influxdb://buckets",
+    description: "List InfluxDB buckets",
+    mimeType: "application/json",
+    // Lists only the buckets the caller's policy lets it read
+    access: () => ({ instance: getDefaultInstanceName() }),
+    handler: listBuckets,
+  },
+];
+
+export const resourceTemplates = [
+  {
+    name: "bucket-measurements",
+    uriTemplate: "influxdb://bucket/{bucketName}/measurements",
+    description: "List measurements in a bucket (uses the default instance's organization)",
+    mimeType: "application/json",
+    access: ({ bucketName }) => ({ org: getInstance().org, reads: [bucketName] }),
+    handler: bucketMeasurements,
+  },
+  {
+    name: "query",
+    uriTemplate: "influxdb://query/{orgName}/{fluxQuery}",
+    description: "Run a URL-encoded Flux query against an organization and return the rows as JSON. Large results are paged: append ?cursor=<nextCursor> to the same URI for the next page",
+    mimeType: "application/json",
+    access: ({ orgName, fluxQuery }) =>
+      fluxAccess(orgName, decodeURIComponent(fluxQuery)),
+    sideEffects: ({ fluxQuery }) => fluxSideEffects(decodeURIComponent(fluxQuery)),
+    guardrails: ({ fluxQuery }) => fluxGuardrailViolations(decodeURIComponent(fluxQuery)),
+    handler: executeQuery,
+  },
+];
+
+export const prompts = [
+  {
+    name: "flux-query-examples",
+    description: "Examples of Flux query patterns",
+    handler: fluxQueryExamplesPrompt,
+  },
+  {
+    name: "line-protocol-guide",
+    description: "Guide for InfluxDB line protocol format",
+    handler: lineProtocolGuidePrompt,
+  },
+];
+
+// Result for tools/list, with JSON Schema generated from the zod shapes
+export function listTools() {
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: zodToJsonSchema(z.object(inputShape(tool)), {
+      strictUnions: true,
+    }),
+    annotations: tool.annotations,
+    ...(tool.outputSchema && {
+      outputSchema: zodToJsonSchema(z.object(tool.outputSchema), {
+        strictUnions: true,
+      }),
+    }),
+  }));
+}
+
+// Validate arguments against the tool's zod shape and run its handler
+export async function callTool(name, args, extra) {
+  const tool = tools.find((t) => t.name === name);
+  if (!tool) {
+    throw new McpError(ErrorCode.InvalidParams, `Tool ${name} not found`);
+  }
+
+  const parseResult = await z.object(inputShape(tool)).safeParseAsync(
+    args ?? {},
+  );
+  if (!parseResult.success) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for tool ${name}: ${parseResult.error.message}`,
+    );
+  }
+
+  const { instance } = parseResult.data;
+  if (instance !== undefined && !hasInstance(instance)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown InfluxDB instance "${instance}"; see the influxdb://instances resource`,
+    );
+  }
+
+  if (tool.sideEffects) {
+    assertReadOnly(`tool "${name}"`, tool.sideEffects(parseResult.data));
+  }
+  if (tool.guardrails) {
+    assertGuardrails(`tool "${name}"`, tool.guardrails(parseResult.data));
+  }
+
+  // Per call, then per tool (operator override, then the tool's default)
+  const timeoutMs = parseResult.data.timeoutMs
+    ?? INFLUXDB_TOOL_TIMEOUTS_MS[name]
+    ?? tool.timeoutMs
+    ?? INFLUXDB_TIMEOUT_MS;
+
+  try {
+    return await runWithDeadline(
+      `Tool ${name}`,
+      extra,
+      timeoutMs,
+      { instance },
+      () => tool.handler(parseResult.data, extra),
+    );
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: error instanceof Error ? error.message : String(error),
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Access requirement for a tools/call request (empty for unknown tools).
+// Working it out may take requests to InfluxDB (e.g. for DBRP mappings),
+// made on the instance the call selects
+export async function toolAccess(name, args) {
+  const tool = tools.find((t) => t.name === name);
+  if (!tool) {
+    return {};
+  }
+  const instance = args?.instance ?? getDefaultInstanceName();
+  return {
+    instance,
+    ...(tool.access
+      ? await runWithRequestContext({ instance }, () => tool.access(args ?? {}))
+      : {}),
+  };
+}
+
+export function listResources() {
+  return resources.map(({ name, uri, description, mimeType }) => ({
+    uri,
+    name,
+    description,
+    mimeType,
+  }));
+}
+
+export function listResourceTemplates() {
+  return resourceTemplates.map((
+    { name, uriTemplate, description, mimeType },
+  ) => ({
+    uriTemplate,
+    name,
+    description,
+    mimeType,
+  }));
+}
+
+const compiledTemplates = resourceTemplates.map((template) => ({
+  template,
+  matcher: new UriTemplate(template.uriTemplate),
+}));
+
+// Templates match the URI without its query string, which handlers read
+// from the URL (e.g. ?cursor= on the query resource)
+const withoutQueryString = (uri) => uri.split("?")[0];
+
+// Resolve a resource URI against the static resources, then the templates
+export async function readResource(uri, extra) {
+  const url = new URL(uri);
+
+  const resource = resources.find((r) => r.uri === uri);
+  if (resource) {
+    return await runWithDeadline(
+      `Resource ${uri}`,
+      extra,
+      INFLUXDB_TIMEOUT_MS,
+      {},
+      () => resource.handler(url, extra),
+    );
+  }
+
+  for (const { template, matcher } of compiledTemplates) {
+    const variables = matcher.match(withoutQueryString(uri));
+    if (variables) {
+      if (template.sideEffects) {
+        assertReadOnly(`resource ${uri}`, template.sideEffects(variables));
+      }
+      if (template.guardrails) {
+        assertGuardrails(`resource ${uri}`, template.guardrails(variables));
+      }
+      return await runWithDeadline(
+        `Resource ${uri}`,
+        extra,
+        INFLUXDB_TIMEOUT_MS,
+        {},
+        () => template.handler(url, variables, extra),
+      );
+    }
+  }
+
+  throw new McpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+}
+
+// Access requirement for a resources/read request (resources always read
+// from the default instance)
+export function resourceAccess(uri) {
+  const instance = getDefaultInstanceName();
+
+  const resource = resources.find((r) => r.uri === uri);
+  if (resource?.access) {
+    return resource.access();
+  }
+
+  for (const { template, matcher } of compiledTemplates) {
+    const variables = matcher.match(withoutQueryString(uri));
+    if (variables) {
+      return { instance, ...(template.access ? template.access(variables) : {}) };
+    }
+  }
+  return { instance };
+}
+
+export function listPrompts() {
+  return prompts.map(({ name, description }) => ({ name, description }));
+}
+
+export async function getPrompt(name, args, extra) {
+  const prompt = prompts.find((p) => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Prompt ${name} not found`);
+  }
+  return await prompt.handler(args ?? {}, extra);
+}
+
+// The SDK only hands handlers an abort signal; add the request's _meta and
+// a way to send notifications/progress back over the same connection
+const withProgress = (server, request, extra) => ({
+  ...extra,
+  _meta: request.params._meta,
+  sendNotification: (notification) => server.notification(notification),
+});
+
+// Install the catalogue on a low-level SDK Server (used by the stdio entry point)
+export function registerCatalogue(server) {
+  server.registerCapabilities({
+    tools: {},
+    resources: {},
+    prompts: {},
+  });
+
+  server.setRequestHandler(ListToolsRequestSchema, () => ({
+    tools: listTools(),
+  }));
+  server.setRequestHandler(
+    CallToolRequestSchema,
+    (request, extra) =>
+      callTool(request.params.name, request.params.arguments, withProgress(server, request, extra)),
+  );
+  server.setRequestHandler(ListResourcesRequestSchema, () => ({
+    resources: listResources(),
+  }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, () => ({
+    resourceTemplates: listResourceTemplates(),
+  }));
+  server.setRequestHandler(
+    ReadResourceRequestSchema,
+    (request, extra) =>
+      readResource(request.params.uri, withProgress(server, request, extra)),
+  );
+  server.setRequestHandler(ListPromptsRequestSchema, () => ({
+    prompts: listPrompts(),
+  }));
+  server.setRequestHandler(
+    GetPromptRequestSchema,
+    (request, extra) =>
+      getPrompt(request.params.name, request.params.arguments, extra),
+  );
+}
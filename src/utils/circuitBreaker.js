@@ -0,0 +1,106 @@
+import {
+  INFLUXDB_BREAKER_COOLDOWN_MS,
+  INFLUXDB_BREAKER_THRESHOLD,
+} from "../config/env.js";
+import { InfluxUnavailableError } from "./influxErrors.js";
+
+/**
+ * Circuit breaker for one InfluxDB instance. After INFLUXDB_BREAKER_THRESHOLD
+ * failures in a row (network errors, timeouts, 5xx) the circuit opens and
+ * requests fail at once instead of waiting on a server that is down. After
+ * INFLUXDB_BREAKER_COOLDOWN_MS one trial request is let through (half-open):
+ * its success closes the circuit, its failure opens it again.
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.threshold = options.threshold || INFLUXDB_BREAKER_THRESHOLD;
+    this.cooldownMs = options.cooldownMs || INFLUXDB_BREAKER_COOLDOWN_MS;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Ask to send a request. Throws while the circuit is open; a probe (the
+   * health check) is always let through so it can report and close it.
+   */
+  beforeRequest({ probe = false } = {}) {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half-open";
+    }
+    if (probe || this.state === "closed") {
+      return;
+    }
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const retryIn = Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+    throw new InfluxUnavailableError(
+      `InfluxDB instance "${this.name}" is unavailable: ${this.failures} requests failed in a row (last: ${this.lastError}). Requests are paused; the next attempt is allowed in ${Math.ceil(retryIn / 1000)} s.`,
+      { retryAt: new Date(this.openedAt + this.cooldownMs) },
+    );
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      console.log(`Circuit for InfluxDB instance "${this.name}" closed`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // A request that ended without saying anything about the server (e.g.
+  // cancelled by the client, or 429) frees the half-open trial slot
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+    if (this.state === "half-open" || this.failures >= this.threshold) {
+      if (this.state !== "open") {
+        console.error(`Circuit for InfluxDB instance "${this.name}" opened after ${this.failures} failures`);
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  // State for health reports
+  status() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      ...(this.failures > 0 ? { lastError: this.lastError } : {}),
+      ...(this.openedAt
+        ? { retryAt: new Date(this.openedAt + this.cooldownMs).toISOString() }
+        : {}),
+    };
+  }
+}
+
+// One breaker per instance name, created on first use
+const breakers = new Map();
+
+export function breakerFor(instanceName) {
+  if (!breakers.has(instanceName)) {
+    breakers.set(instanceName, new CircuitBreaker(instanceName));
+  }
+  return breakers.get(instanceName);
+}
+
+// Breaker state of each instance, for /health and the health-check tool
+export function breakerStatuses(instanceNames) {
+  return Object.fromEntries(
+    instanceNames.map((name) => [name, breakerFor(name).status()]),
+  );
+}
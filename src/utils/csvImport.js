@@ -0,0 +1,131 @@
+import { parseCsvRecords } from "./fluxCsv.js";
+import { pointToLine } from "./lineProtocol.js";
+
+/**
+ * Conversion of plain CSV (a header row, then one point per row) to line
+ * protocol for the import-csv tool. A mapping names the columns:
+ *
+ *   { measurement | measurementColumn, timestampColumn, timestampFormat,
+ *     tagColumns: [column], fieldColumns: { column: type }, delimiter }
+ */
+
+// "iso8601" date-times, or epoch values in the given unit
+export const TIMESTAMP_FORMATS = ["iso8601", "s", "ms", "us", "ns"];
+
+const TRUE_VALUES = new Set(["true", "t", "yes", "y", "1"]);
+const FALSE_VALUES = new Set(["false", "f", "no", "n", "0"]);
+
+// ISO-8601 as exports write it: a space may separate date and time, the
+// time may be missing and a date-time without a zone is UTC
+function normalizeIsoTimestamp(text) {
+  const value = text.trim().replace(/^(\d{4}-\d{2}-\d{2})[ T]/, "$1T");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T00:00:00Z`;
+  }
+  return /(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value : `${value}Z`;
+}
+
+// Spreadsheet-style booleans; anything else is left for pointToLine to reject
+function normalizeBoolean(text) {
+  const value = text.trim().toLowerCase();
+  if (TRUE_VALUES.has(value)) {
+    return true;
+  }
+  return FALSE_VALUES.has(value) ? false : text;
+}
+
+// Position of each mapped column in the header; throws on a bad mapping
+function resolveColumns(header, mapping) {
+  const { measurement, measurementColumn, timestampColumn, tagColumns = [], fieldColumns } = mapping;
+  if ((measurement === undefined) === (measurementColumn === undefined)) {
+    throw new Error("Give exactly one of measurement (a name for every row) and measurementColumn");
+  }
+  if (Object.keys(fieldColumns).length === 0) {
+    throw new Error("fieldColumns must map at least one column to a field type");
+  }
+
+  const positionOf = (column) => {
+    const position = header.indexOf(column);
+    if (position === -1) {
+      throw new Error(`Column "${column}" is not in the CSV header (${header.map((name) => `"${name}"`).join(", ")})`);
+    }
+    return position;
+  };
+  const used = [measurementColumn, timestampColumn, ...tagColumns, ...Object.keys(fieldColumns)]
+    .filter((column) => column !== undefined);
+  const twice = used.find((column, i) => used.indexOf(column) !== i);
+  if (twice !== undefined) {
+    throw new Error(`Column "${twice}" is mapped more than once`);
+  }
+
+  return {
+    measurement: measurementColumn === undefined ? null : positionOf(measurementColumn),
+    timestamp: timestampColumn === undefined ? null : positionOf(timestampColumn),
+    tags: tagColumns.map((column) => [column, positionOf(column)]),
+    fields: Object.entries(fieldColumns).map(([column, type]) => [column, type, positionOf(column)]),
+  };
+}
+
+/**
+ * Convert CSV text under a mapping. Returns { precision, items }: the
+ * precision to write with (the unit of epoch timestamps, else ns) and, per
+ * data row, { row, line } or { row, error } when the row cannot be
+ * converted. `row` counts CSV records with the header as row 1, as a
+ * spreadsheet would. Throws when the mapping does not fit the header.
+ */
+export function convertCsv(text, mapping) {
+  const { delimiter = ",", measurement, timestampFormat = "iso8601" } = mapping;
+  const records = parseCsvRecords(text.replace(/^\uFEFF/, ""), { delimiter });
+  const headerIndex = records.findIndex((record) => record.length > 0);
+  if (headerIndex === -1) {
+    throw new Error("The CSV is empty; it needs a header row naming its columns");
+  }
+  const header = records[headerIndex].map((name) => name.trim());
+  const columns = resolveColumns(header, mapping);
+  const precision = timestampFormat === "iso8601" ? "ns" : timestampFormat;
+
+  const items = [];
+  records.forEach((record, index) => {
+    if (index <= headerIndex || record.length === 0) {
+      return;
+    }
+    const row = index + 1;
+    if (record.length !== header.length) {
+      items.push({ row, error: `Row has ${record.length} columns, the header has ${header.length}` });
+      return;
+    }
+
+    const fields = {};
+    const types = {};
+    for (const [column, type, position] of columns.fields) {
+      const cell = record[position];
+      // Empty cells are missing values
+      fields[column] = cell.trim() === "" ? null : type === "boolean" ? normalizeBoolean(cell) : cell;
+      types[column] = type;
+    }
+    const tags = Object.fromEntries(columns.tags.map(([column, position]) => [column, record[position]]));
+
+    try {
+      let timestamp;
+      if (columns.timestamp !== null) {
+        const cell = record[columns.timestamp];
+        if (cell.trim() === "") {
+          throw new Error(`Column "${mapping.timestampColumn}" is empty`);
+        }
+        timestamp = timestampFormat === "iso8601" ? normalizeIsoTimestamp(cell) : cell.trim();
+      }
+      const line = pointToLine({
+        measurement: columns.measurement === null ? measurement : record[columns.measurement],
+        tags,
+        fields,
+        types,
+        timestamp,
+      }, { precision });
+      items.push({ row, line });
+    } catch (error) {
+      items.push({ row, error: error.message });
+    }
+  });
+
+  return { precision, items };
+}
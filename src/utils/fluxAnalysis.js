@@ -0,0 +1,489 @@
+/**
+ * Lightweight static analysis of Flux scripts.
+ * This is not a full Flux parser: it tokenizes the script (so comments and
+ * string contents are never mistaken for code) and recognises the call
+ * shapes the server needs to reason about, such as from()/to() arguments.
+ * It also provides the quoting helpers used to build Flux from user input.
+ */
+
+// Tokens after which a "/" starts a regex literal rather than a division
+const REGEX_PRECEDERS = new Set(["=~", "!~", "(", ",", ":", "[", "{", "==", "!="]);
+
+/**
+ * Split a Flux script into tokens: { type, value, start, end }
+ * Types: "string", "regex", "ident", "number", "duration", "punct"
+ * An interpolated string ("a${x}b") becomes string parts around the tokens
+ * of each `${}` expression, so the code inside it is analysed like the rest.
+ */
+export function tokenizeFlux(source) {
+  const tokens = [];
+  scanFlux(source, 0, tokens, false);
+  return tokens;
+}
+
+// Tokenize source from position i into tokens. Inside an interpolation,
+// stop at the "}" that ends it and return its position
+function scanFlux(source, i, tokens, interpolation) {
+  let depth = 0;
+
+  const push = (type, start, end) => {
+    tokens.push({ type, value: source.slice(start, end), start, end });
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (ch === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      continue;
+    }
+
+    // String literals (escapes are kept raw; see unquoteFluxString)
+    if (ch === '"') {
+      let partStart = i;
+      i++;
+      while (i < source.length && source[i] !== '"') {
+        if (source[i] === "\\") {
+          i += 2;
+        } else if (source[i] === "$" && source[i + 1] === "{") {
+          i += 2;
+          push("string", partStart, i);
+          // The "}" ending the expression starts the next part
+          partStart = scanFlux(source, i, tokens, true);
+          i = partStart + 1;
+        } else {
+          i++;
+        }
+      }
+      i++;
+      push("string", partStart, i);
+      continue;
+    }
+
+    // Regex literals
+    const previous = tokens[tokens.length - 1];
+    if (ch === "/" && (!previous || REGEX_PRECEDERS.has(previous.value))) {
+      i++;
+      while (i < source.length && source[i] !== "/" && source[i] !== "\n") {
+        i += source[i] === "\\" ? 2 : 1;
+      }
+      i++;
+      push("regex", start, i);
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < source.length && /[A-Za-z0-9_]/.test(source[i])) i++;
+      push("ident", start, i);
+      continue;
+    }
+
+    // Numbers, durations (1h30m) and date/time literals (2024-01-01T00:00:00Z)
+    if (/[0-9]/.test(ch)) {
+      while (i < source.length && /[0-9A-Za-z.:+\-]/.test(source[i])) {
+        // Stop at a "-" or "+" that is an operator rather than part of a date
+        if ((source[i] === "-" || source[i] === "+") && !/[0-9]/.test(source[i + 1] || "")) {
+          break;
+        }
+        i++;
+      }
+      const value = source.slice(start, i);
+      push(/^[0-9]+(ns|us|µs|ms|s|m|h|d|w|mo|y)/.test(value) && !/[-:]/.test(value)
+        ? "duration"
+        : "number", start, i);
+      continue;
+    }
+
+    // Multi-character operators
+    const two = source.slice(i, i + 2);
+    if (["|>", "=>", "==", "!=", "=~", "!~", "<=", ">=", "<-"].includes(two)) {
+      i += 2;
+      push("punct", start, i);
+      continue;
+    }
+
+    if (ch === "{") {
+      depth++;
+    } else if (ch === "}") {
+      if (interpolation && depth === 0) {
+        return i;
+      }
+      depth--;
+    }
+    i++;
+    push("punct", start, i);
+  }
+
+  return i;
+}
+
+/**
+ * Decode a Flux string literal token ("...") into its value
+ */
+export function unquoteFluxString(literal) {
+  return literal
+    .slice(1, -1)
+    .replace(/\\(.)/g, (_, c) => ({ n: "\n", r: "\r", t: "\t" }[c] ?? c));
+}
+
+/**
+ * Encode a value as a Flux string literal, the inverse of unquoteFluxString.
+ * Backslashes, quotes and "${" (string interpolation) are escaped, so the
+ * value can neither end the literal nor run code inside it.
+ */
+export function quoteFluxString(value) {
+  const escaped = String(value)
+    .replace(/[\\"]/g, "\\$&")
+    .replace(/\$\{/g, "\\${")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+  return `"${escaped}"`;
+}
+
+const FLUX_KEYWORDS = new Set([
+  "and", "builtin", "else", "exists", "if", "import", "not", "option", "or",
+  "package", "return", "testing", "then",
+]);
+
+/**
+ * Flux expression reading a column of a record: `r.host` for plain
+ * identifiers, `r["host-name"]` for anything else (including keywords).
+ */
+export function fluxMember(record, column) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(column) && !FLUX_KEYWORDS.has(column)
+    ? `${record}.${column}`
+    : `${record}[${quoteFluxString(column)}]`;
+}
+
+/**
+ * Check a bucket, measurement or tag name before it goes into a query:
+ * it must be a non-empty string without control characters.
+ */
+export function assertFluxName(kind, value) {
+  if (typeof value !== "string" || value === "" || /[\u0000-\u001f\u007f]/.test(value)) {
+    throw new Error(`Invalid ${kind} ${JSON.stringify(value)}: names must be non-empty and free of control characters`);
+  }
+  return value;
+}
+
+// Qualified name of the call whose function identifier is tokens[i], so
+// "experimental.to" is told apart from "to" and "r.to" is never "to"
+function callName(tokens, i) {
+  const qualifier = tokens[i - 1]?.value === "." && tokens[i - 2]?.type === "ident"
+    ? tokens[i - 2].value
+    : null;
+  return qualifier ? `${qualifier}.${tokens[i].value}` : tokens[i].value;
+}
+
+// Named arguments of the call whose "(" is tokens[open], and the index of its
+// closing ")"
+function callArguments(tokens, open) {
+  const args = {};
+  let depth = 0;
+  let current = null;
+  let j = open;
+  for (; j < tokens.length; j++) {
+    const t = tokens[j];
+    if (["(", "[", "{"].includes(t.value)) {
+      depth++;
+      if (depth === 1) continue;
+    } else if ([")", "]", "}"].includes(t.value)) {
+      depth--;
+      if (depth === 0) break;
+    }
+
+    if (depth === 1 && t.type === "ident" && tokens[j + 1]?.value === ":") {
+      current = t.value;
+      args[current] = [];
+      j++;
+      continue;
+    }
+    if (depth === 1 && t.value === ",") {
+      current = null;
+      continue;
+    }
+    if (current) {
+      args[current].push(t);
+    }
+  }
+  return { args, close: j };
+}
+
+/**
+ * Find every call to the given function names (optionally package-qualified,
+ * e.g. "experimental.to"), or every call when names is omitted, and return
+ * their named arguments as token lists.
+ * Returns [{ name, start, args: { argName: [tokens] } }]
+ */
+export function findFluxCalls(tokens, names) {
+  const calls = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== "ident" || tokens[i + 1]?.value !== "(") {
+      continue;
+    }
+
+    const name = callName(tokens, i);
+    if (names && !names.includes(name)) {
+      continue;
+    }
+
+    const { args, close } = callArguments(tokens, i + 1);
+    calls.push({ name, start: token.start, end: tokens[close]?.end, args });
+  }
+
+  return calls;
+}
+
+/**
+ * Uses of the given functions as values rather than calls: bound to another
+ * name (`f = from`), passed as an argument or returned. Such a function can
+ * then be called under a name no check knows about.
+ * Returns [{ name, start }]
+ */
+export function findFluxFunctionValues(tokens, names) {
+  const uses = [];
+  tokens.forEach((token, i) => {
+    // Calls, and record keys or argument names (`to: ...`), are not values
+    if (token.type !== "ident" || ["(", ":"].includes(tokens[i + 1]?.value)) {
+      return;
+    }
+    const name = callName(tokens, i);
+    if (names.includes(name)) {
+      uses.push({ name, start: token.start });
+    }
+  });
+  return uses;
+}
+
+// Functions that read a bucket into a pipeline, and that write to one
+export const FLUX_SOURCE_FUNCTIONS = ["from", "v1.from", "influxdb.from"];
+export const FLUX_SINK_FUNCTIONS = ["to", "experimental.to", "influxdb.to", "influxdb.wideTo"];
+
+// Calls piped after the expression ending at tokens[end], and the index
+// of the last token of the chain
+function pipedStages(tokens, end) {
+  const stages = [];
+  let i = end + 1;
+  while (tokens[i]?.value === "|>") {
+    let j = i + 1;
+    while (tokens[j]?.type === "ident" && tokens[j + 1]?.value === "."
+      && tokens[j + 2]?.type === "ident") {
+      j += 2;
+    }
+    if (tokens[j]?.type !== "ident" || tokens[j + 1]?.value !== "(") {
+      break;
+    }
+    const { args, close } = callArguments(tokens, j + 1);
+    stages.push({ name: callName(tokens, j), args });
+    i = close + 1;
+  }
+  return stages;
+}
+
+/**
+ * Data pipelines of a Flux script: every from() call with the calls piped
+ * after it. Pipelines assigned to a variable are followed to where the
+ * variable is piped on (`data = from(...)` then `data |> range(...)`), so
+ * there is one entry per path the data takes.
+ * Returns [{ source: { name, start, args }, stages: [{ name, args }] }]
+ */
+export function findFluxPipelines(source) {
+  const tokens = tokenizeFlux(source);
+  const pipelines = [];
+
+  // Continue a pipeline whose first token is tokens[head] through the
+  // variable it is assigned to, if that variable is piped anywhere
+  const follow = (from, head, stages, seen) => {
+    const variable = tokens[head - 1]?.value === "=" && tokens[head - 2]?.type === "ident"
+      ? tokens[head - 2].value
+      : null;
+    const uses = [];
+    if (variable && !seen.has(variable)) {
+      tokens.forEach((t, k) => {
+        if (t.type === "ident" && t.value === variable
+          && tokens[k + 1]?.value === "|>" && tokens[k - 1]?.value !== ".") {
+          uses.push(k);
+        }
+      });
+    }
+
+    if (uses.length === 0) {
+      pipelines.push({ source: from, stages });
+      return;
+    }
+    for (const k of uses) {
+      follow(from, k, [...stages, ...pipedStages(tokens, k)], new Set([...seen, variable]));
+    }
+  };
+
+  tokens.forEach((token, i) => {
+    if (token.type !== "ident" || tokens[i + 1]?.value !== "(") {
+      return;
+    }
+    const name = callName(tokens, i);
+    if (!FLUX_SOURCE_FUNCTIONS.includes(name)) {
+      return;
+    }
+    const { args, close } = callArguments(tokens, i + 1);
+    const head = name.includes(".") ? i - 2 : i;
+    follow({ name, start: token.start, args }, head, pipedStages(tokens, close), new Set());
+  });
+
+  return pipelines;
+}
+
+const DURATION_UNIT_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  "µs": 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  mo: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Length of a Flux duration literal such as "1h30m" in milliseconds, or
+ * null when the text is not one. A month counts as 30 days, a year as 365.
+ */
+export function parseFluxDuration(text) {
+  const part = /(\d+)(ns|us|µs|ms|mo|s|m|h|d|w|y)/y;
+  let total = 0;
+  let match;
+  while ((match = part.exec(text))) {
+    total += Number(match[1]) * DURATION_UNIT_MS[match[2]];
+    if (part.lastIndex === text.length) {
+      return total;
+    }
+  }
+  return null;
+}
+
+/**
+ * Buckets a Flux script reads from and writes to: the `bucket` argument of
+ * every call, so schema.tagValues(), influxdb.cardinality() and functions
+ * the script defines count too. Calls to to() and its package variants
+ * write; all others read.
+ * Bucket arguments that are not plain string literals (variables, bucketID,
+ * interpolated strings), from() or to() used as a value and buckets() cannot
+ * be resolved statically and are reported via `unresolved` so callers can
+ * decide how strict to be.
+ */
+export function extractBucketReferences(source) {
+  const tokens = tokenizeFlux(source);
+  const reads = new Set();
+  const writes = new Set();
+  const unresolved = [];
+
+  for (const call of findFluxCalls(tokens)) {
+    const bucketArg = call.args.bucket;
+    if (bucketArg && bucketArg.length === 1 && bucketArg[0].type === "string"
+      && !bucketArg[0].value.includes("${")) {
+      (FLUX_SINK_FUNCTIONS.includes(call.name) ? writes : reads).add(unquoteFluxString(bucketArg[0].value));
+    } else if (bucketArg || call.args.bucketID) {
+      unresolved.push(`${call.name}() with a non-literal bucket`);
+    }
+  }
+  for (const { name } of findFluxFunctionValues(tokens, [...FLUX_SOURCE_FUNCTIONS, ...FLUX_SINK_FUNCTIONS])) {
+    unresolved.push(`${name} used as a value, so the buckets it is called with cannot be checked`);
+  }
+  if (findFluxCalls(tokens, ["buckets"]).length > 0) {
+    unresolved.push("buckets() lists every bucket");
+  }
+
+  return {
+    reads: [...reads],
+    writes: [...writes],
+    unresolved,
+  };
+}
+
+// Functions with effects outside the query, by package name: writes to
+// InfluxDB (including the _monitoring bucket) and to SQL databases and
+// brokers, InfluxDB API calls, HTTP requests and notifications.
+// Every package's `endpoint()` (notification endpoints) counts as well.
+const SIDE_EFFECT_FUNCTIONS = {
+  experimental: ["to"],
+  influxdb: ["to", "wideTo", "api"],
+  monitor: ["check", "notify", "deadman"],
+  http: ["post"],
+  requests: ["do", "post"],
+  sql: ["to"],
+  mqtt: ["to", "publish"],
+  kafka: ["to"],
+  slack: ["message"],
+  pagerduty: ["sendEvent"],
+  opsgenie: ["sendAlert"],
+  telegram: ["message"],
+  discord: ["send"],
+  teams: ["message"],
+  webexteams: ["message"],
+  victorops: ["alert"],
+  servicenow: ["event"],
+  sensu: ["event"],
+  zenoss: ["event"],
+  bigpanda: ["sendEvent"],
+  pushbullet: ["pushNote", "pushData"],
+};
+
+// Names imported packages are used under: { alias: packageName }
+function importedPackages(tokens) {
+  const packages = {};
+  tokens.forEach((token, i) => {
+    if (token.type !== "ident" || token.value !== "import") {
+      return;
+    }
+    const alias = tokens[i + 1]?.type === "ident" ? tokens[i + 1].value : null;
+    const path = tokens[alias ? i + 2 : i + 1];
+    if (path?.type === "string") {
+      const name = unquoteFluxString(path.value).split("/").pop();
+      packages[alias ?? name] = name;
+    }
+  });
+  return packages;
+}
+
+/**
+ * Calls in a Flux script that write data or reach outside InfluxDB, such as
+ * to(), experimental.to(), http.post() or sql.to(). Aliased imports are
+ * followed, so `import h "http"` makes h.post() count. Such a function used
+ * as a value (`w = to`, `fn: http.post`) counts as well, since it can be
+ * called under another name.
+ * Returns [{ name, start }], name as written in the script.
+ */
+export function findFluxSideEffects(source) {
+  const tokens = tokenizeFlux(source);
+  const packages = {
+    ...Object.fromEntries(Object.keys(SIDE_EFFECT_FUNCTIONS).map((name) => [name, name])),
+    ...importedPackages(tokens),
+  };
+
+  // to() is built in; everything else is package-qualified
+  const names = ["to"];
+  for (const [alias, name] of Object.entries(packages)) {
+    for (const fn of [...(SIDE_EFFECT_FUNCTIONS[name] ?? []), "endpoint"]) {
+      names.push(`${alias}.${fn}`);
+    }
+  }
+
+  return [
+    ...findFluxCalls(tokens, names).map(({ name, start }) => ({ name, start })),
+    ...findFluxFunctionValues(tokens, names),
+  ].sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,288 @@
+import { StringDecoder } from "node:string_decoder";
+
+/**
+ * Parser for the annotated CSV returned by Flux queries (/api/v2/query).
+ *
+ * The text is split into records following RFC 4180 (quoted fields may
+ * contain commas, quotes and line breaks). Flux adds to that:
+ * - annotation rows (#datatype, #group, #default) describing the columns of
+ *   the header row that follows them,
+ * - a leading annotation column, empty on header and data rows,
+ * - several tables in one response, separated by blank lines or new header
+ *   rows, and told apart within one header by the `table` column,
+ * - error tables (columns "error" and "reference") for failed queries.
+ *
+ * See https://docs.influxdata.com/influxdb/v2/reference/syntax/annotated-csv/
+ */
+
+// Ask /api/v2/query for every annotation so values can be typed
+export const FLUX_CSV_DIALECT = {
+  header: true,
+  annotations: ["datatype", "group", "default"],
+};
+
+/**
+ * Incremental CSV parser: push text as it arrives and get back the records
+ * it completes; end() returns the last one. Blank lines are kept as empty
+ * records because Flux uses them to separate tables. Other CSV (import-csv)
+ * may use another single-character delimiter.
+ */
+export function createCsvRecordParser({ delimiter = "," } = {}) {
+  let records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  // A quote or carriage return at the end of a chunk, held back until the
+  // next chunk shows whether it starts "" or \r\n
+  let carry = "";
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    // A line with nothing on it is a blank record, not one empty field
+    if (record.length > 0 || field !== "") {
+      endField();
+    }
+    records.push(record);
+    record = [];
+  };
+
+  function scan(text, final) {
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (!final && i === text.length - 1 && ((quoted && ch === '"') || ch === "\r")) {
+        carry = ch;
+        break;
+      }
+
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+        } else if (ch === '"') {
+          quoted = false;
+          i++;
+        } else {
+          field += ch;
+          i++;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        quoted = true;
+        i++;
+      } else if (ch === delimiter) {
+        endField();
+        i++;
+      } else if (ch === "\r" && text[i + 1] === "\n") {
+        endRecord();
+        i += 2;
+      } else if (ch === "\n" || ch === "\r") {
+        endRecord();
+        i++;
+      } else {
+        field += ch;
+        i++;
+      }
+    }
+  }
+
+  const takeRecords = () => {
+    const done = records;
+    records = [];
+    return done;
+  };
+
+  return {
+    push(text) {
+      const pending = carry + text;
+      carry = "";
+      scan(pending, false);
+      return takeRecords();
+    },
+    end() {
+      scan(carry, true);
+      carry = "";
+      if (field !== "" || record.length > 0) {
+        endRecord();
+      }
+      return takeRecords();
+    },
+  };
+}
+
+// Split CSV text into records (arrays of fields)
+export function parseCsvRecords(text, options) {
+  const parser = createCsvRecordParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+// Convert a field to the JavaScript value for its #datatype
+function convertValue(value, datatype) {
+  switch (datatype) {
+    case "long":
+    case "unsignedLong": {
+      // Integers a double cannot hold exactly stay as text, digits intact
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : value;
+    }
+    case "double":
+      if (value === "+Inf") return Infinity;
+      if (value === "-Inf") return -Infinity;
+      return Number(value);
+    case "boolean":
+      return value === "true";
+    default:
+      // string, dateTime:RFC3339(Nano), duration, base64Binary and unannotated
+      // columns stay as text
+      return value;
+  }
+}
+
+/**
+ * Builds typed tables from annotated CSV records one at a time:
+ * [{ columns: [{ name, datatype, group, default }], rows: [{ column: value }] }]
+ *
+ * add(record) returns the row a data record became, or null for blank,
+ * annotation and header records. Empty fields take the column's #default
+ * value, or null when there is none. Responses without annotations parse
+ * the same way with every value left as a string. An error table is thrown
+ * as an Error.
+ */
+export function createFluxTableBuilder() {
+  const tables = [];
+  let annotations = {};
+  let columns = null;
+  let table = null;
+
+  function add(record) {
+    // A blank line ends the current header section
+    if (record.length === 0 || (record.length === 1 && record[0] === "")) {
+      columns = null;
+      table = null;
+      annotations = {};
+      return null;
+    }
+
+    // Annotation rows come before the header they describe
+    if (record[0].startsWith("#")) {
+      if (columns) {
+        columns = null;
+        table = null;
+        annotations = {};
+      }
+      annotations[record[0].slice(1)] = record;
+      return null;
+    }
+
+    if (!columns) {
+      columns = record.map((name, index) => ({
+        name,
+        datatype: annotations.datatype?.[index],
+        group: annotations.group ? annotations.group[index] === "true" : undefined,
+        default: annotations.default?.[index] || undefined,
+      }));
+      return null;
+    }
+
+    const row = {};
+    columns.forEach((column, index) => {
+      // The leading annotation column carries no data
+      if (index === 0 && column.name === "") {
+        return;
+      }
+      const raw = record[index] ?? "";
+      const value = raw === "" ? column.default : raw;
+      row[column.name] = value === undefined ? null : convertValue(value, column.datatype);
+    });
+
+    if (columns.some((c) => c.name === "error") && columns.some((c) => c.name === "reference")) {
+      throw new Error(`Flux query error: ${row.error}${row.reference ? ` (reference ${row.reference})` : ""}`);
+    }
+
+    // Within one header section, a new `table` value starts a new table
+    if (!table || ("table" in row && row.table !== table.rows[0].table)) {
+      table = {
+        columns: columns.filter((c, index) => !(index === 0 && c.name === "")),
+        rows: [],
+      };
+      tables.push(table);
+    }
+    table.rows.push(row);
+    return row;
+  }
+
+  return { tables, add };
+}
+
+// Parse Flux annotated CSV text into typed tables (see createFluxTableBuilder)
+export function parseFluxCsv(text) {
+  const builder = createFluxTableBuilder();
+  for (const record of parseCsvRecords(text)) {
+    builder.add(record);
+  }
+  return builder.tables;
+}
+
+/**
+ * Parse a Flux query response body as it arrives, so a capped read stops
+ * early and the CSV text is never held in memory as a whole.
+ *
+ * Reading stops, with `truncated` set, once more than maxBytes have arrived
+ * (the partial last record is dropped) or a row beyond maxRows is seen.
+ * onChunk(tables, rowCount) runs after each chunk of the body is parsed.
+ */
+export async function readFluxCsv(body, { maxBytes = Infinity, maxRows = Infinity, onChunk } = {}) {
+  const parser = createCsvRecordParser();
+  const builder = createFluxTableBuilder();
+  const { tables } = builder;
+  const decoder = new StringDecoder("utf8");
+  let bytes = 0;
+  let rowCount = 0;
+
+  // Add records until a row goes over maxRows; false when one did
+  const addAll = (records) => {
+    for (const record of records) {
+      if (builder.add(record) && ++rowCount > maxRows) {
+        // Take the extra row back out of its table
+        const table = tables[tables.length - 1];
+        table.rows.pop();
+        if (table.rows.length === 0) {
+          tables.pop();
+        }
+        rowCount--;
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Leaving the loop early closes the stream and the connection with it
+  for await (const chunk of body) {
+    const room = maxBytes - bytes;
+    bytes += chunk.length;
+    const overBytes = chunk.length > room;
+    const complete = addAll(
+      parser.push(decoder.write(overBytes ? chunk.subarray(0, room) : chunk)),
+    );
+    onChunk?.(tables, rowCount);
+    if (overBytes || !complete) {
+      return { tables, truncated: true };
+    }
+  }
+
+  const complete = addAll([...parser.push(decoder.end()), ...parser.end()]);
+  onChunk?.(tables, rowCount);
+  return { tables, truncated: !complete };
+}
+
+// Every row of every table, in order
+export function fluxRows(tables) {
+  return tables.flatMap((table) => table.rows);
+}
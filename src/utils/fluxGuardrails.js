@@ -0,0 +1,155 @@
+import { getGuardrails, maxRangeFor } from "../config/guardrails.js";
+import {
+  FLUX_SOURCE_FUNCTIONS,
+  findFluxFunctionValues,
+  findFluxPipelines,
+  parseFluxDuration,
+  quoteFluxString,
+  tokenizeFlux,
+  unquoteFluxString,
+} from "./fluxAnalysis.js";
+
+/**
+ * Checks run on client Flux before it reaches InfluxDB (see
+ * config/guardrails.js for the settings). Each problem is reported with how
+ * to fix the query, so a client can correct it and retry.
+ */
+
+// Calls that reduce what a group() hands on to a bounded number of rows
+const BOUNDING_CALLS = new Set([
+  "aggregateWindow", "bottom", "count", "distinct", "first", "highestAverage",
+  "highestCurrent", "highestMax", "histogram", "histogramQuantile", "integral",
+  "last", "limit", "lowestAverage", "lowestCurrent", "lowestMin", "max", "mean",
+  "median", "min", "mode", "quantile", "reduce", "sample", "skew", "spread",
+  "stddev", "sum", "tail", "timeWeightedAvg", "top", "unique",
+]);
+
+// Bucket named by a string literal, or null
+function bucketOf({ args }) {
+  const bucket = args.bucket;
+  return bucket?.length === 1 && bucket[0].type === "string" && !bucket[0].value.includes("${")
+    ? unquoteFluxString(bucket[0].value)
+    : null;
+}
+
+// Time a range() bound stands for, in ms since the epoch, or null when it
+// is not a literal (relative duration, time, Unix seconds or now())
+function boundTime(tokens, now) {
+  const values = tokens.map((token) => token.value);
+  if (tokens.length === 2 && values[0] === "-" && tokens[1].type === "duration") {
+    return now - parseFluxDuration(values[1]);
+  }
+  if (tokens.length === 1 && tokens[0].type === "duration") {
+    return now + parseFluxDuration(values[0]);
+  }
+  if (tokens.length === 1 && tokens[0].type === "number") {
+    const time = /^\d+$/.test(values[0]) ? Number(values[0]) * 1000 : Date.parse(values[0]);
+    return Number.isNaN(time) ? null : time;
+  }
+  if (values.join("") === "now()") {
+    return now;
+  }
+  return null;
+}
+
+// Rough duration for messages, e.g. "400d" or "2h30m"
+function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.max(0, Math.round(ms));
+  for (const [unit, size] of [["d", 86400000], ["h", 3600000], ["m", 60000], ["s", 1000]]) {
+    if (rest >= size && parts.length < 2) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.join("") || "0s";
+}
+
+// group() with no columns puts every series into one table
+const isUnboundedGroup = (stage) =>
+  stage.name === "group"
+  && (!stage.args.columns || stage.args.columns.every((t) => ["[", "]"].includes(t.value)));
+
+// Problems with the range() of one pipeline
+function rangeProblems(label, bucket, range, now) {
+  const { requireRange, buckets } = getGuardrails();
+  const limit = maxRangeFor(bucket);
+  const limitText = limit
+    ? `the ${limit.text} allowed${bucket !== null && buckets.has(bucket) ? ` for bucket "${bucket}"` : ""}`
+    : null;
+
+  if (!range) {
+    if (!requireRange && !limit) {
+      return [];
+    }
+    return [
+      `${label} has no range(), so it would read all data${limit ? `, more than ${limitText}` : ""}. Pipe it into range() first, e.g. ${label} |> range(start: -${limit?.text ?? "1h"}).`,
+    ];
+  }
+
+  if (!limit) {
+    return [];
+  }
+  const start = range.args.start ? boundTime(range.args.start, now) : null;
+  const stop = range.args.stop ? boundTime(range.args.stop, now) : now;
+  if (start === null || stop === null) {
+    return [
+      `The range() after ${label} uses a start or stop that cannot be checked against ${limitText}. Use a relative duration such as start: -${limit.text} or an RFC3339 time.`,
+    ];
+  }
+  if (stop - start > limit.ms) {
+    return [
+      `The range() after ${label} spans ${formatDuration(stop - start)}, more than ${limitText}. Narrow it, e.g. range(start: -${limit.text}), or run several queries over shorter spans.`,
+    ];
+  }
+  return [];
+}
+
+/**
+ * Problems that keep a Flux query from running, as actionable messages.
+ * An empty list means the query passes every configured guardrail.
+ */
+export function fluxGuardrailViolations(query) {
+  const { requireRange, maxRange, maxFromCalls, rejectUnboundedGroup, buckets } = getGuardrails();
+  const pipelines = findFluxPipelines(query ?? "");
+  const now = Date.now();
+  const problems = [];
+
+  // Calls through another name (`f = from`) are not seen as pipelines, so
+  // neither their range() nor their number could be checked
+  if (requireRange || maxRange || maxFromCalls || buckets.size > 0) {
+    for (const { name } of findFluxFunctionValues(tokenizeFlux(query ?? ""), FLUX_SOURCE_FUNCTIONS)) {
+      problems.push(
+        `${name} is used as a value (e.g. f = ${name}), so the data it reads cannot be checked. Call ${name}() directly, e.g. ${name}(bucket: "my-bucket") |> range(start: -1h).`,
+      );
+    }
+  }
+
+  for (const { source, stages } of pipelines) {
+    const bucket = bucketOf(source);
+    const label = bucket !== null
+      ? `${source.name}(bucket: ${quoteFluxString(bucket)})`
+      : `${source.name}()`;
+
+    problems.push(...rangeProblems(label, bucket, stages.find((s) => s.name === "range"), now));
+
+    const group = stages.findIndex(isUnboundedGroup);
+    if (rejectUnboundedGroup && group !== -1
+      && !stages.slice(group + 1).some((s) => BOUNDING_CALLS.has(s.name))) {
+      problems.push(
+        `The group() after ${label} merges every series into one table and nothing aggregates it afterwards. Follow it with an aggregate or selector (e.g. |> count(), |> mean(), |> last()), or group by specific columns: group(columns: ["host"]).`,
+      );
+    }
+  }
+
+  const fromCalls = new Set(pipelines.map(({ source }) => source.start)).size;
+  if (maxFromCalls && fromCalls > maxFromCalls) {
+    problems.push(
+      `The query reads data with ${fromCalls} from() calls; at most ${maxFromCalls} are allowed. Split it into several queries.`,
+    );
+  }
+
+  // A pipeline followed through several variables reports the same problem
+  // once per path
+  return [...new Set(problems)];
+}
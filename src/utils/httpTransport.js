@@ -1,13 +1,26 @@
+import { SessionManager } from './sessionManager.js';
+import { AuthError, FORBIDDEN_ERROR_CODE } from '../auth/authError.js';
+
 /**
  * HTTP Transport for MCP Server using Streamable HTTP
  * Implements MCP-compatible HTTP transport with SSE support
  */
 
+// Protocol versions this transport can speak, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
 export class HttpTransport {
-  constructor() {
-    this.sessionId = null;
-    this.callbacks = new Map();
-    this.responseStream = null;
+  constructor(options = {}) {
+    this.sessions = new SessionManager({
+      idleTimeoutMs: options.sessionIdleTimeoutMs,
+      replayBufferSize: options.replayBufferSize,
+      maxSessions: options.maxSessions
+    });
+    // Optional inbound authenticator (see src/auth/authenticator.js)
+    this.authenticator = options.authenticator || null;
+    // Browser origins allowed to call /mcp ("*" for any)
+    this.allowedOrigins = options.allowedOrigins || [];
   }
 
   /**
@@ -15,24 +28,32 @@ export class HttpTransport {
    */
   async handleRequest(req, res) {
     try {
-      // More flexible CORS handling (genai-toolbox style)
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, MCP-Protocol-Version, Mcp-Session-Id');
+      // CORS headers come from the server's cors middleware (see
+      // MCP_ALLOWED_ORIGINS in http-server.js), but CORS alone does not
+      // stop a page from sending requests, e.g. after DNS rebinding
+      const origin = req.headers.origin;
+      if (!this.isAllowedOrigin(origin)) {
+        console.log(`Rejected ${req.method} ${req.path}: origin ${origin} is not allowed`);
+        this.sendJsonRpcError(res, 403, FORBIDDEN_ERROR_CODE, `Origin ${origin} is not allowed`, req.body?.id ?? null);
+        return;
+      }
 
       if (req.method === 'OPTIONS') {
         res.status(200).end();
         return;
       }
 
-      // Detect protocol version and session (genai-toolbox style)
-      this.detectProtocolVersion(req);
-      this.detectSession(req);
+      // Authenticate before any JSON-RPC method is looked at
+      if (!(await this.authenticate(req, res))) {
+        return;
+      }
 
       if (req.method === 'POST') {
         await this.handlePost(req, res);
       } else if (req.method === 'GET') {
         await this.handleGet(req, res);
+      } else if (req.method === 'DELETE') {
+        await this.handleDelete(req, res);
       } else {
         res.status(405).json({ error: 'Method not allowed' });
       }
@@ -48,7 +69,6 @@ export class HttpTransport {
   async handlePost(req, res) {
     try {
       // More flexible content type detection
-      const contentType = req.headers['content-type'] || '';
       const acceptHeader = req.headers.accept || '*/*';
       const supportsSSE = acceptHeader.includes('text/event-stream');
 
@@ -68,24 +88,48 @@ export class HttpTransport {
         return this.sendErrorResponse(res, new Error('Invalid message format'), 400);
       }
 
+      // initialize opens a new session; everything else must belong to one
+      let session;
+      if (message.method === 'initialize') {
+        session = this.sessions.create({
+          protocolVersion: this.negotiateProtocolVersion(message.params?.protocolVersion),
+          principal: req.auth
+        });
+        if (!session) {
+          return this.sendJsonRpcError(res, 503, -32000, 'Too many open sessions; try again later', message.id ?? null);
+        }
+        res.setHeader('Mcp-Session-Id', session.id);
+      } else {
+        session = this.resolveSession(req, res, message.id);
+        if (!session) {
+          return;
+        }
+      }
+
       // Handle requests with flexible protocol support
       if (message.method) {
-        const response = await this.processRequest(message, req);
+        const response = await this.processRequest(message, session, req, res, supportsSSE);
+
+        // A failed initialize must not leave a half-configured session behind
+        if (message.method === 'initialize' && response?.error) {
+          this.sessions.delete(session.id);
+          res.removeHeader('Mcp-Session-Id');
+        }
 
         if (message.id !== undefined && response) {
           // Send response in format client expects
           this.sendResponse(res, response, {
             supportsSSE: supportsSSE,
             method: message.method,
-            requestId: message.id
+            session: session
           });
         } else {
-          // Notification - send simple success
-          res.status(200).json({ success: true });
+          // Notifications and responses are acknowledged without a body
+          res.status(202).end();
         }
       } else {
         // Handle other message types
-        res.status(200).json({ received: true });
+        res.status(202).end();
       }
     } catch (error) {
       console.error('Error processing POST request:', error);
@@ -100,8 +144,13 @@ export class HttpTransport {
     // Check if this is an SSE connection request
     const acceptHeader = req.headers.accept || '';
     if (acceptHeader.includes('text/event-stream')) {
+      const session = this.resolveSession(req, res);
+      if (!session) {
+        return;
+      }
+
       // Start SSE connection
-      this.startSSEConnection(req, res);
+      this.startSSEConnection(req, res, session);
       return;
     }
 
@@ -115,7 +164,8 @@ export class HttpTransport {
         resources: {},
         prompts: {}
       },
-      protocolVersion: this.protocolVersion || '2024-11-05',
+      protocolVersion: LATEST_PROTOCOL_VERSION,
+      supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
       serverInfo: {
         name: 'InfluxDB MCP Server',
         version: '0.1.1'
@@ -124,40 +174,128 @@ export class HttpTransport {
   }
 
   /**
-   * Detect protocol version from headers (genai-toolbox style)
+   * Handle DELETE requests by terminating the session
+   */
+  async handleDelete(req, res) {
+    const session = this.resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(session.id);
+    res.status(200).end();
+  }
+
+  /**
+   * Run the configured authenticator and attach the caller's principal to
+   * req.auth. Writes a 401/403 response and returns false on failure.
    */
-  detectProtocolVersion(req) {
-    this.protocolVersion = req.headers['mcp-protocol-version'] ||
-                          req.query.protocolVersion ||
-                          '2024-11-05';
+  async authenticate(req, res) {
+    req.auth = null;
+    if (!this.authenticator) {
+      return true;
+    }
+
+    try {
+      req.auth = await this.authenticator.authenticate(req);
+      return true;
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        throw error;
+      }
+
+      console.log(`Rejected ${req.method} ${req.path}: ${error.message}`);
+      if (error.status === 401 || error.challenge) {
+        const challenge = error.challenge ? `, error="${error.challenge}"` : '';
+        res.setHeader('WWW-Authenticate', `Bearer realm="influxdb-mcp"${challenge}`);
+      }
+      this.sendJsonRpcError(res, error.status, error.code, error.message, req.body?.id ?? null);
+      return false;
+    }
   }
 
   /**
-   * Detect session information (genai-toolbox style)
+   * Pick the protocol version for a new session: the client's requested
+   * version when we support it, otherwise the latest we support
    */
-  detectSession(req) {
-    this.sessionId = req.headers['mcp-session-id'] ||
-                     req.query.session ||
-                     this.generateSessionId();
+  negotiateProtocolVersion(requestedVersion) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : LATEST_PROTOCOL_VERSION;
   }
 
   /**
-   * Generate session ID
+   * Look up the session named by the Mcp-Session-Id header.
+   * Writes a 400 (missing header) or 404 (unknown or expired session)
+   * response and returns null when there is no usable session.
    */
-  generateSessionId() {
-    return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  resolveSession(req, res, requestId = null) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      this.sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required', requestId);
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendJsonRpcError(res, 404, -32001, 'Session not found', requestId);
+      return null;
+    }
+
+    // A session may only be used by the principal that initialized it
+    const principalId = req.auth?.id ?? null;
+    if (session.principalId !== principalId) {
+      this.sendJsonRpcError(res, 403, FORBIDDEN_ERROR_CODE, 'Session belongs to a different principal', requestId);
+      return null;
+    }
+
+    const headerVersion = req.headers['mcp-protocol-version'];
+    if (headerVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(headerVersion)) {
+      this.sendJsonRpcError(res, 400, -32000, `Bad Request: Unsupported protocol version ${headerVersion}`, requestId);
+      return null;
+    }
+
+    return session;
   }
 
   /**
    * Process request with enhanced error handling
    */
-  async processRequest(message, req) {
+  async processRequest(message, session, req, res, supportsSSE) {
     if (!this.messageHandler) {
       throw new Error('No message handler configured');
     }
 
+    // Cancellation is handled here for every request the session has running
+    if (message.method === 'notifications/cancelled') {
+      this.sessions.cancelRequest(session, message.params?.requestId, message.params?.reason);
+      return null;
+    }
+
+    const tracked = message.id !== undefined;
+    const signal = tracked ? this.sessions.startRequest(session, message.id) : undefined;
+
+    // Notifications about this request (e.g. progress) go out on its own
+    // response as an SSE stream when the client accepts one, otherwise on
+    // the session's GET stream
+    const sendNotification = async (notification) => {
+      const jsonrpc = { jsonrpc: '2.0', ...notification };
+      if (supportsSSE && res && !res.writableEnded) {
+        this.openSSEResponse(res);
+        this.writeEvent(res, this.sessions.recordEvent(session, jsonrpc, { replayable: false }));
+      } else {
+        await this.send(jsonrpc, session.id);
+      }
+    };
+
     try {
-      const response = await this.messageHandler(message);
+      const response = await this.messageHandler(message, {
+        session,
+        principal: req.auth,
+        headers: req.headers,
+        signal,
+        sendNotification
+      });
       return response;
     } catch (error) {
       console.error('Error in message handler:', error);
@@ -170,6 +308,10 @@ export class HttpTransport {
           data: error.message
         }
       };
+    } finally {
+      if (tracked) {
+        this.sessions.finishRequest(session, message.id);
+      }
     }
   }
 
@@ -177,15 +319,15 @@ export class HttpTransport {
    * Send response in appropriate format
    */
   sendResponse(res, response, options = {}) {
-    const { supportsSSE, method, requestId } = options;
+    const { supportsSSE, method, session } = options;
 
-    // Use SSE for streaming if supported and appropriate
-    if (supportsSSE && this.shouldStream(method)) {
-      this.sendSSEResponse(res, response, requestId);
+    // Use SSE for streaming if supported and appropriate, or if the
+    // request's notifications already opened a stream
+    if (res.headersSent || (supportsSSE && this.shouldStream(method))) {
+      this.sendSSEResponse(res, response, session);
     } else {
       // Send JSON response with flexible headers
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(200).json(response);
     }
   }
@@ -204,30 +346,58 @@ export class HttpTransport {
     };
 
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.status(statusCode).json(errorResponse);
   }
 
+  /**
+   * Send a JSON-RPC shaped error with an HTTP status code
+   */
+  sendJsonRpcError(res, statusCode, code, message, id = null) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(statusCode).json({
+      jsonrpc: '2.0',
+      id: id,
+      error: {
+        code: code,
+        message: message
+      }
+    });
+  }
+
   /**
    * Start SSE connection (genai-toolbox style)
+   * A Last-Event-ID header resumes the stream, replaying buffered events
    */
-  startSSEConnection(req, res) {
+  startSSEConnection(req, res, session) {
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
+      'Mcp-Session-Id': session.id
     });
 
     // Send initial connection message
     res.write(`data: ${JSON.stringify({
       type: 'connection',
-      sessionId: this.sessionId,
-      protocolVersion: this.protocolVersion
+      sessionId: session.id,
+      protocolVersion: session.protocolVersion
     })}\n\n`);
 
-    this.responseStream = res;
+    // Redeliver whatever the client missed while it was disconnected
+    const lastEventId = req.headers['last-event-id'];
+    if (lastEventId !== undefined) {
+      const missed = this.sessions.eventsAfter(session, lastEventId);
+      console.log(`Session ${session.id}: resuming after event ${lastEventId}, replaying ${missed.length} event(s)`);
+      for (const event of missed) {
+        this.writeEvent(res, event);
+      }
+    }
+
+    // Only one standalone stream per session; a new GET replaces the old one
+    if (session.sseStream) {
+      session.sseStream.end();
+    }
+    session.sseStream = res;
 
     // Keep connection alive
     const keepAlive = setInterval(() => {
@@ -236,30 +406,48 @@ export class HttpTransport {
 
     req.on('close', () => {
       clearInterval(keepAlive);
-      this.responseStream = null;
+      if (session.sseStream === res) {
+        session.sseStream = null;
+        session.lastActivity = Date.now();
+      }
     });
   }
 
   /**
    * Send SSE response for streaming messages
    */
-  sendSSEResponse(res, response, requestId) {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*'
-    });
+  sendSSEResponse(res, response, session) {
+    this.openSSEResponse(res);
 
     // Send the response as SSE
-    const eventData = JSON.stringify(response);
-    res.write(`id: ${requestId}\n`);
-    res.write(`data: ${eventData}\n\n`);
+    this.writeEvent(res, this.sessions.recordEvent(session, response, { replayable: false }));
 
     // Close the stream after sending response
     res.end();
   }
 
+  /**
+   * Turn a POST response into an SSE stream, unless it already is one
+   */
+  openSSEResponse(res) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+  }
+
+  /**
+   * Write a single SSE event frame
+   */
+  writeEvent(res, event) {
+    res.write(`id: ${event.id}\n`);
+    res.write(`data: ${event.data}\n\n`);
+  }
+
   /**
    * Determine if a method should use streaming
    */
@@ -270,11 +458,11 @@ export class HttpTransport {
   }
 
   /**
-   * More flexible origin checking (genai-toolbox style)
+   * Whether a request with this Origin header may be served. Requests
+   * without one come from non-browser clients
    */
   isAllowedOrigin(origin) {
-    // Allow all origins for maximum compatibility (like genai-toolbox)
-    return true;
+    return !origin || this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
   }
 
   /**
@@ -285,14 +473,21 @@ export class HttpTransport {
   }
 
   /**
-   * Send message through HTTP transport
+   * Send a server-to-client message on a session's SSE stream
+   * Messages are buffered even when no stream is attached, so a client that
+   * reconnects with Last-Event-ID still receives them
    */
-  async send(message) {
+  async send(message, sessionId) {
     // For HTTP transport, messages are sent as responses to POST requests
     // This method would be used by the MCP server to send notifications
-    if (this.responseStream) {
-      const eventData = JSON.stringify(message);
-      this.responseStream.write(`data: ${eventData}\n\n`);
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    const event = this.sessions.recordEvent(session, message);
+    if (session.sseStream) {
+      this.writeEvent(session.sseStream, event);
     }
   }
 
@@ -308,9 +503,6 @@ export class HttpTransport {
    * Close the transport
    */
   async close() {
-    if (this.responseStream) {
-      this.responseStream.end();
-      this.responseStream = null;
-    }
+    this.sessions.closeAll();
   }
-}
\ No newline at end of file
+}
@@ -1,69 +1,435 @@
 import fetch from "node-fetch";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
-
-// Helper function for InfluxDB API requests with timeout
-export async function influxRequest(endpoint, options = {}, timeoutMs = 5000) {
-  const url = `${INFLUXDB_URL}${endpoint}`;
-  const defaultOptions = {
-    headers: {
-      Authorization: `Token ${INFLUXDB_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-  };
-
-  console.log(`Making request to: ${url}`);
-
-  try {
-    // Use AbortController for proper request cancellation
+import http from "node:http";
+import https from "node:https";
+import { promisify } from "node:util";
+import { gzip } from "node:zlib";
+import { getInstance } from "../config/instances.js";
+import {
+  INFLUXDB_MAX_RETRIES,
+  INFLUXDB_RETRY_BASE_MS,
+  INFLUXDB_RETRY_MAX_MS,
+  INFLUXDB_TIMEOUT_MS,
+  WRITE_GZIP,
+} from "../config/env.js";
+import { getRequestContext } from "./requestContext.js";
+import { FLUX_CSV_DIALECT, readFluxCsv } from "./fluxCsv.js";
+import { breakerFor } from "./circuitBreaker.js";
+import {
+  InfluxApiError,
+  InfluxCancelledError,
+  InfluxError,
+  InfluxNetworkError,
+  InfluxTimeoutError,
+  InfluxUnavailableError,
+} from "./influxErrors.js";
+
+const gzipAsync = promisify(gzip);
+
+// Connection profile selected for the current request (the `instance` tool
+// argument), falling back to the default instance
+export function getInfluxInstance() {
+  return getInstance(getRequestContext().instance);
+}
+
+export function getInfluxUrl() {
+  return getInfluxInstance().url;
+}
+
+// Whether the current request may reach the named instance: a token bound
+// to the HTTP session (pass-through credentials) only goes to the instance
+// it was bound to
+export function canUseInstance(name) {
+  const { influxToken, influxTokenInstance } = getRequestContext();
+  return !influxToken || influxTokenInstance === name;
+}
+
+// Token for the current request on an instance: the one bound to the HTTP
+// session when pass-through credentials are enabled, otherwise the
+// instance's token
+function tokenFor(instance) {
+  const { influxToken, influxTokenInstance } = getRequestContext();
+  if (!influxToken) {
+    return instance.token;
+  }
+  if (!canUseInstance(instance.name)) {
+    throw new Error(
+      `This session's InfluxDB token is bound to instance "${influxTokenInstance}" and is not sent to "${instance.name}"; pass instance: "${influxTokenInstance}" or open another session`,
+    );
+  }
+  return influxToken;
+}
+
+export function getInfluxToken() {
+  return tokenFor(getInfluxInstance());
+}
+
+// "1.8.10", "v2.7.1", "3.0.0" -> 1, 2, 3. Servers that do not report a
+// version (e.g. InfluxDB Cloud) speak v2.
+function majorVersionOf(versionHeader) {
+  const match = (versionHeader || "").match(/^v?(\d+)/);
+  return match ? Number(match[1]) : 2;
+}
+
+// Network errors raised before the request reached the server, so even a
+// write can safely be sent again
+const UNSENT_ERROR_CODES = new Set([
+  "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH",
+]);
+
+// Retry-After (seconds or an HTTP date) in ms, or null
+function retryAfterMs(header) {
+  if (!header) {
+    return null;
+  }
+  const ms = /^\d+$/.test(header.trim()) ? Number(header) * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : null;
+}
+
+// Wait before retry number `retry` (0-based): Retry-After when the server
+// sent one, otherwise full jitter over an exponentially growing window
+function backoffMs(retry, error) {
+  if (error instanceof InfluxApiError && error.retryAfterMs !== null) {
+    return error.retryAfterMs;
+  }
+  const window = Math.min(INFLUXDB_RETRY_MAX_MS, INFLUXDB_RETRY_BASE_MS * 2 ** retry);
+  return Math.round(Math.random() * window);
+}
+
+// Why the tool call's signal fired, as an InfluxCancelledError
+const cancelledError = (signal) =>
+  new InfluxCancelledError(signal.reason instanceof Error ? signal.reason.message : undefined);
+
+// Sleep that ends early when the call is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Whether a failed attempt may be sent again under the request's retry mode:
+// true for idempotent requests, "unprocessed" for ones (writes) that may
+// only be repeated when the server cannot have acted on the first attempt
+function isRetryable(error, retry) {
+  if (error instanceof InfluxApiError) {
+    return retry === "unprocessed"
+      ? error.status === 429 || error.status === 503
+      : Boolean(retry) && (error.status === 429 || error.status >= 500);
+  }
+  if (error instanceof InfluxNetworkError) {
+    return retry === "unprocessed" ? UNSENT_ERROR_CODES.has(error.code) : Boolean(retry);
+  }
+  // Timeouts, cancelled calls and open circuits
+  return false;
+}
+
+// Whether a write failed in a way the server cannot have acted on: it was
+// not reached, turned the write away (429, 503) or its circuit is open
+export const isUnprocessedFailure = (error) =>
+  isRetryable(error, "unprocessed") || error instanceof InfluxUnavailableError;
+
+// Whether a failed attempt says the server is unavailable
+const isServerFailure = (error) =>
+  error instanceof InfluxApiError
+    ? error.status >= 500
+    : error instanceof InfluxNetworkError || error instanceof InfluxTimeoutError;
+
+/**
+ * Client for one InfluxDB instance: every request to InfluxDB goes through
+ * request(), which adds the token, keeps connections alive, applies the
+ * call's time limit and cancellation, retries with backoff, consults the
+ * instance's circuit breaker and turns failures into the errors of
+ * influxErrors.js.
+ *
+ * Clients are shared per instance (see getInfluxClient); tests can swap in
+ * a fake with setInfluxClientFactory.
+ */
+export class InfluxClient {
+  constructor(instance) {
+    this.instance = instance;
+    const Agent = instance.url.startsWith("https:") ? https.Agent : http.Agent;
+    this.agent = new Agent({ keepAlive: true });
+    this.breaker = breakerFor(instance.name);
+    // Major server version, once detected (see serverMajorVersion)
+    this.majorVersion = null;
+  }
+
+  // Token for the current request (see tokenFor)
+  token() {
+    return tokenFor(this.instance);
+  }
+
+  // One attempt at a request (see request)
+  async send(url, options, limitMs, token) {
+    const { signal: callSignal } = getRequestContext();
+
+    // Use AbortController for proper request cancellation. node-fetch only
+    // sees its own signal, aborted before the headers arrive: aborting it
+    // later would fail a body that is still streaming with a bare
+    // AbortError, so the body is destroyed with the reason instead
     const controller = new AbortController();
+    const fetchController = new AbortController();
+    let response;
+    controller.signal.addEventListener("abort", () => {
+      if (response) {
+        response.body?.destroy(controller.signal.reason);
+      } else {
+        fetchController.abort();
+      }
+    }, { once: true });
+
     const timeoutId = setTimeout(() => {
-      controller.abort(`InfluxDB API request timed out after ${timeoutMs}ms`);
-    }, timeoutMs);
-
-    // Properly merge headers to avoid conflicts
-    // This ensures custom headers (like Content-Type) aren't overridden
-    const mergedHeaders = {
-      ...defaultOptions.headers,
-      ...options.headers || {},
+      controller.abort(new InfluxTimeoutError(limitMs));
+    }, limitMs);
+    const cancel = () => controller.abort(cancelledError(callSignal));
+    if (callSignal?.aborted) {
+      cancel();
+    } else {
+      callSignal?.addEventListener("abort", cancel, { once: true });
+    }
+    const release = () => {
+      clearTimeout(timeoutId);
+      callSignal?.removeEventListener("abort", cancel);
     };
 
-    // Add the abort signal to the request options
-    const requestOptions = {
-      ...defaultOptions,
-      ...options,
-      headers: mergedHeaders,
-      signal: controller.signal,
-    };
+    try {
+      // Custom headers (like Content-Type) win over the defaults
+      const requestOptions = {
+        ...options,
+        headers: {
+          Authorization: `Token ${token}`,
+          "Content-Type": "application/json",
+          ...options.headers || {},
+        },
+        agent: this.agent,
+        signal: fetchController.signal,
+      };
+
+      response = await fetch(url, requestOptions);
+
+      // Keep the time limit running until the caller has read the body.
+      // Responses without one (e.g. /ping) are done once headers arrive
+      if (response.status === 204 || response.headers.get("content-length") === "0") {
+        release();
+      } else {
+        response.body.once("close", release);
+      }
+
+      console.log(`Response status: ${response.status}`);
 
-    console.log(`Request options: ${JSON.stringify({
-      method: requestOptions.method,
-      headers: Object.keys(requestOptions.headers),
-    })
-      }`);
+      if (!response.ok) {
+        const errorText = await Promise.race([
+          response.text(),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error("Response text timeout")), 3000)
+          ),
+        ]);
+        throw InfluxApiError.fromResponse(
+          response,
+          errorText,
+          retryAfterMs(response.headers.get("retry-after")),
+        );
+      }
 
-    // Make the request
-    const response = await fetch(url, requestOptions);
+      return response;
+    } catch (error) {
+      if (!response) {
+        release();
+      }
+      // Report why an aborted request stopped rather than node-fetch's AbortError
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      if (error instanceof InfluxError) {
+        throw error;
+      }
+      throw new InfluxNetworkError(error.message, { code: error.code, cause: error });
+    }
+  }
+
+  /**
+   * Send a request to the instance and return the node-fetch response. An
+   * attempt is aborted after timeoutMs (by default the tool call's timeout,
+   * see registry.js) or when the client cancels the call, including while
+   * its body is still being read.
+   *
+   * options.retry says whether failures (network errors, 5xx, 429) are
+   * retried with backoff: true for idempotent requests (the default for
+   * GET), "unprocessed" to retry only failures the server cannot have acted
+   * on, or false. options.probe lets a request through an open circuit.
+   */
+  async request(endpoint, options = {}, timeoutMs) {
+    const { retry = !options.method || options.method === "GET", probe = false, ...fetchOptions } = options;
+    const { signal: callSignal, timeoutMs: callTimeoutMs } = getRequestContext();
+    const limitMs = timeoutMs ?? callTimeoutMs ?? INFLUXDB_TIMEOUT_MS;
+    const url = `${this.instance.url}${endpoint}`;
+    // Before the circuit breaker, so a token refused here is not a failure
+    const token = this.token();
 
-    // Clear the timeout since the request completed
-    clearTimeout(timeoutId);
+    for (let attempt = 0; ; attempt++) {
+      console.log(`Making request to: ${url}${attempt > 0 ? ` (retry ${attempt} of ${INFLUXDB_MAX_RETRIES})` : ""}`);
+      this.breaker.beforeRequest({ probe });
 
-    console.log(`Response status: ${response.status}`);
+      try {
+        const response = await this.send(url, fetchOptions, limitMs, token);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (isServerFailure(error)) {
+          this.breaker.recordFailure(error);
+        } else if (error instanceof InfluxApiError && error.status !== 429) {
+          // The server answered, so it is up
+          this.breaker.recordSuccess();
+        } else {
+          this.breaker.recordNeutral();
+        }
 
-    if (!response.ok) {
-      const errorText = await Promise.race([
-        response.text(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Response text timeout")), 3000)
-        ),
-      ]);
-      throw new Error(`InfluxDB API Error (${response.status}): ${errorText}`);
+        console.error(`Error in influxRequest to ${url}:`, error.message);
+        if (attempt >= INFLUXDB_MAX_RETRIES || !isRetryable(error, retry)) {
+          // Rethrow to be handled by the caller
+          throw error;
+        }
+
+        const waitMs = backoffMs(attempt, error);
+        // Retrying before the server's Retry-After would only be turned away
+        // again, so a wait longer than allowed (or than the call has left)
+        // ends here, with the Retry-After in the error
+        const { deadline } = getRequestContext();
+        if (error.retryAfterMs > INFLUXDB_RETRY_MAX_MS
+          || (error.retryAfterMs != null && deadline && Date.now() + waitMs > deadline)) {
+          throw error;
+        }
+        console.log(`Retrying ${url} in ${waitMs} ms`);
+        await sleep(waitMs, callSignal);
+      }
     }
+  }
 
+  // Run a Flux query and return its result as typed tables (see fluxCsv.js)
+  async queryFlux(org, query, timeoutMs) {
+    const response = await this.request(
+      `/api/v2/query?org=${encodeURIComponent(org)}`,
+      {
+        method: "POST",
+        body: JSON.stringify({ query, type: "flux", dialect: FLUX_CSV_DIALECT }),
+        retry: true,
+      },
+      timeoutMs,
+    );
+    const { tables } = await readFluxCsv(response.body);
+    return tables;
+  }
+
+  // Write line protocol to a bucket, gzipped unless WRITE_GZIP is off
+  async write({ org, bucket, precision }, text, timeoutMs) {
+    let endpoint = `/api/v2/write?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)}`;
+    if (precision) {
+      endpoint += `&precision=${precision}`;
+    }
+    const response = await this.request(
+      endpoint,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "text/plain; charset=utf-8",
+          ...(WRITE_GZIP && { "Content-Encoding": "gzip" }),
+        },
+        body: WRITE_GZIP ? await gzipAsync(text) : text,
+        // Points without a timestamp get the server's time, so a write the
+        // server may have applied is not sent again
+        retry: "unprocessed",
+      },
+      timeoutMs,
+    );
+    // Read the (empty) body so the connection is free for the next write
+    await response.text();
     return response;
-  } catch (error) {
-    // Log the error with more details
-    console.error(`Error in influxRequest to ${url}:`, error.message);
-    // Rethrow to be handled by the caller
-    throw error;
   }
+
+  // Remember the version the server reported in its /ping headers (also
+  // fed by the health-check tool, so a check refreshes the detected API)
+  recordServerVersion(versionHeader) {
+    this.majorVersion = majorVersionOf(versionHeader);
+    return this.majorVersion;
+  }
+
+  // Major version (1, 2 or 3) of the server. A profile's "version" setting
+  // skips detection; otherwise the X-Influxdb-Version header returned by
+  // /ping is used and remembered.
+  async serverMajorVersion() {
+    if (this.instance.version) {
+      return this.instance.version;
+    }
+
+    if (this.majorVersion === null) {
+      const response = await this.request("/ping");
+      // Read the (empty) body so the connection is free for the next request
+      await response.text();
+      const version = response.headers.get("x-influxdb-version");
+      this.recordServerVersion(version);
+      console.log(`InfluxDB instance "${this.instance.name}" reports version ${version || "unknown"}`);
+    }
+    return this.majorVersion;
+  }
+
+  // Close idle keep-alive connections
+  close() {
+    this.agent.destroy();
+  }
+}
+
+// One client per instance name, created on first use
+const clients = new Map();
+let clientFactory = (instance) => new InfluxClient(instance);
+
+// Client for the named instance, by default the current request's
+export function getInfluxClient(instanceName = getRequestContext().instance) {
+  const instance = getInstance(instanceName);
+  if (!clients.has(instance.name)) {
+    clients.set(instance.name, clientFactory(instance));
+  }
+  return clients.get(instance.name);
+}
+
+// Replace how clients are made (e.g. with a fake in tests); existing
+// clients are closed and dropped
+export function setInfluxClientFactory(factory) {
+  for (const client of clients.values()) {
+    client.close?.();
+  }
+  clients.clear();
+  clientFactory = factory ?? ((instance) => new InfluxClient(instance));
+}
+
+// Shorthands for the current request's client, used by the handlers
+
+export function influxRequest(endpoint, options, timeoutMs) {
+  return getInfluxClient().request(endpoint, options, timeoutMs);
+}
+
+export function queryFlux(org, query, timeoutMs) {
+  return getInfluxClient().queryFlux(org, query, timeoutMs);
+}
+
+export function writeLineProtocol(target, text, timeoutMs) {
+  return getInfluxClient().write(target, text, timeoutMs);
+}
+
+export function getServerMajorVersion() {
+  return getInfluxClient().serverMajorVersion();
+}
+
+export function recordServerVersion(instanceName, versionHeader) {
+  return getInfluxClient(instanceName).recordServerVersion(versionHeader);
 }
@@ -0,0 +1,81 @@
+/**
+ * Errors raised by InfluxClient (see influxClient.js). Every failure of an
+ * InfluxDB request is one of these, so callers can tell an error response
+ * from an unreachable server, a timeout or a cancelled call.
+ */
+
+export class InfluxError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = "InfluxError";
+  }
+}
+
+/**
+ * Error response from the InfluxDB API. `code` and `influxMessage` come from
+ * the JSON body ({ code, message } on 2.x, { error } on 1.x and 3.x) and
+ * fall back to the raw body text.
+ */
+export class InfluxApiError extends InfluxError {
+  constructor(status, { code, message, retryAfterMs = null } = {}) {
+    super(
+      `InfluxDB API Error (${status}${code ? `, ${code}` : ""}): ${message}`
+        + (retryAfterMs !== null ? ` (retry after ${Math.ceil(retryAfterMs / 1000)} s)` : ""),
+    );
+    this.name = "InfluxApiError";
+    this.status = status;
+    this.code = code;
+    this.influxMessage = message;
+    // Retry-After of a 429 or 503, in ms
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Build the error from a response whose body was read as text
+  static fromResponse(response, text, retryAfterMs) {
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Not JSON (proxies, older servers); the text is the message
+    }
+    return new InfluxApiError(response.status, {
+      code: typeof body?.code === "string" ? body.code : undefined,
+      message: body?.message ?? body?.error ?? (text.trim() || response.statusText),
+      retryAfterMs,
+    });
+  }
+}
+
+// The request never got a response (connection refused, DNS, reset, ...)
+export class InfluxNetworkError extends InfluxError {
+  constructor(message, { code, cause } = {}) {
+    super(message, { cause });
+    this.name = "InfluxNetworkError";
+    this.code = code;
+  }
+}
+
+export class InfluxTimeoutError extends InfluxError {
+  constructor(timeoutMs) {
+    super(`InfluxDB request timed out after ${timeoutMs} ms`);
+    this.name = "InfluxTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The tool call was cancelled by the client or ran out of time
+export class InfluxCancelledError extends InfluxError {
+  constructor(message = "Request cancelled") {
+    super(message);
+    this.name = "InfluxCancelledError";
+  }
+}
+
+// The instance's circuit breaker is open (see circuitBreaker.js)
+export class InfluxUnavailableError extends InfluxError {
+  constructor(message, { retryAt } = {}) {
+    super(message);
+    this.name = "InfluxUnavailableError";
+    this.retryAt = retryAt;
+  }
+}
@@ -0,0 +1,193 @@
+import { getServerMajorVersion, influxRequest } from "./influxClient.js";
+
+/**
+ * InfluxQL over the /query endpoint, served natively by InfluxDB 1.x and as a
+ * compatibility API (via DBRP mappings) by InfluxDB 2.x.
+ */
+
+// Quote an identifier (database, retention policy, measurement, key)
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Quote a string literal
+export function quoteString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+// A 1.x "bucket" is a database, optionally with a retention policy: "db/rp"
+export function splitDatabase(bucket) {
+  const [db, rp] = bucket.split("/", 2);
+  return { db, rp: rp || undefined };
+}
+
+/**
+ * Run InfluxQL and return the `results` array of the JSON response.
+ * Errors reported by the server (top level or per statement) are thrown.
+ */
+export async function influxqlQuery({ db, rp, query, epoch }) {
+  const params = new URLSearchParams({ q: query });
+  if (db) params.set("db", db);
+  if (rp) params.set("rp", rp);
+  if (epoch) params.set("epoch", epoch);
+
+  const response = await influxRequest("/query", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+    // Only statements that change nothing are safe to send twice
+    retry: !analyzeInfluxQL(query).modifies,
+  });
+  const data = await response.json();
+
+  if (data.error) {
+    throw new Error(`InfluxQL error: ${data.error}`);
+  }
+  const failed = (data.results || []).find((result) => result.error);
+  if (failed) {
+    throw new Error(
+      `InfluxQL error in statement ${failed.statement_id}: ${failed.error}`,
+    );
+  }
+
+  return data.results || [];
+}
+
+// Values of one column across every series of a statement result
+export function columnValues(result, column) {
+  const values = [];
+  for (const series of result?.series || []) {
+    const index = series.columns.indexOf(column);
+    if (index === -1) continue;
+    for (const row of series.values || []) {
+      values.push(row[index]);
+    }
+  }
+  return values;
+}
+
+// Statements that change data or server state
+const MODIFYING_KEYWORDS = /\b(INTO|DROP|DELETE|CREATE|ALTER|GRANT|REVOKE|KILL|SET\s+PASSWORD)\b/i;
+
+// One part of a dotted source name: a quoted or bare identifier or a regex
+const NAME_PART = /"(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)*\/|\w+/y;
+
+// Blank out the inside of quoted text (keeping its length, so positions
+// still line up with the query)
+const blankQuoted = (text, quote) =>
+  text.replace(
+    new RegExp(`${quote}(?:[^${quote}\\\\]|\\\\.)*${quote}`, "g"),
+    (match) => quote + " ".repeat(match.length - 2) + quote,
+  );
+
+const unquote = (part) =>
+  part.startsWith('"') ? part.slice(1, -1).replace(/\\(.)/g, "$1") : part;
+
+const skipSpace = (text, position) => position + text.slice(position).match(/^\s*/)[0].length;
+
+// Comma-separated sources starting at `position`, each as its dotted parts
+// ("db"."rp"."m" -> ['"db"', '"rp"', '"m"'], db..m -> ["db", "", "m"])
+function readSources(text, position) {
+  const sources = [];
+  for (let i = position; ;) {
+    const parts = [];
+    for (;;) {
+      i = skipSpace(text, i);
+      NAME_PART.lastIndex = i;
+      const match = NAME_PART.exec(text);
+      parts.push(match ? match[0] : "");
+      i = skipSpace(text, match ? NAME_PART.lastIndex : i);
+      if (text[i] !== ".") break;
+      i++;
+    }
+    sources.push(parts);
+    if (text[i] !== ",") return sources;
+    i++;
+  }
+}
+
+/**
+ * Coarse static checks on an InfluxQL query:
+ * `modifies` when any statement writes or changes the server (including
+ * SELECT ... INTO), `into` when it uses INTO, and `references`, the
+ * databases and retention policies it reads from other than through the
+ * `db` and `rp` it is run with: every FROM source ("db"."rp"."m" -> { db,
+ * rp }, "rp"."m" -> { db: null, rp }) and every ON <db> clause (SHOW
+ * MEASUREMENTS ON db, ...).
+ */
+export function analyzeInfluxQL(query) {
+  // Blank out string literals so their contents never look like keywords,
+  // and identifiers too when looking for keywords
+  const withoutStrings = blankQuoted(query, "'");
+  const withoutIdentifiers = blankQuoted(withoutStrings, '"');
+
+  const references = [];
+  for (const { index } of withoutIdentifiers.matchAll(/\bFROM\b/gi)) {
+    for (const parts of readSources(withoutStrings, index + "FROM".length)) {
+      if (parts.length >= 3) {
+        references.push({ db: unquote(parts[0]) || null, rp: unquote(parts[1]) || null });
+      } else if (parts.length === 2) {
+        references.push({ db: null, rp: unquote(parts[0]) || null });
+      }
+    }
+  }
+  for (const { index } of withoutIdentifiers.matchAll(/\bON\b/gi)) {
+    const [[name]] = readSources(withoutStrings, index + "ON".length);
+    if (name) {
+      references.push({ db: unquote(name), rp: null });
+    }
+  }
+
+  return {
+    modifies: MODIFYING_KEYWORDS.test(withoutIdentifiers),
+    into: /\bINTO\b/i.test(withoutIdentifiers),
+    references,
+  };
+}
+
+// DBRP mappings that would serve db (and rp) on an InfluxDB 2.x server
+export async function findDbrpMappings(org, db, rp) {
+  const params = new URLSearchParams({ org, db });
+  if (rp) params.set("rp", rp);
+
+  const response = await influxRequest(`/api/v2/dbrps?${params}`);
+  const data = await response.json();
+  const mappings = data.content || [];
+
+  // Without an explicit rp the server uses the database's default mapping
+  return rp ? mappings : mappings.filter((mapping) => mapping.default);
+}
+
+/**
+ * Buckets an InfluxQL query run with `db` and `rp` touches, for
+ * authorization: on InfluxDB 2.x the buckets its databases and retention
+ * policies are mapped to (a mapping can point at any bucket, whatever the
+ * database is called), elsewhere the database names themselves. A database
+ * without a mapping is given by its name, as the query cannot reach it.
+ */
+export async function influxqlBuckets({ org, db, rp, query }) {
+  const targets = [{ db, rp }, ...analyzeInfluxQL(query).references.map((reference) => ({
+    db: reference.db ?? db,
+    rp: reference.rp ?? (reference.db ? undefined : rp),
+  }))];
+
+  if (await getServerMajorVersion() !== 2 || !org) {
+    return [...new Set(targets.map((target) => target.db))];
+  }
+
+  const buckets = new Set();
+  const seen = new Set();
+  for (const target of targets) {
+    const key = JSON.stringify([target.db, target.rp ?? null]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const [mapping] = await findDbrpMappings(org, target.db, target.rp);
+    if (mapping) {
+      const response = await influxRequest(`/api/v2/buckets/${encodeURIComponent(mapping.bucketID)}`);
+      buckets.add((await response.json()).name);
+    } else {
+      buckets.add(target.db);
+    }
+  }
+  return [...buckets];
+}
@@ -0,0 +1,486 @@
+/**
+ * Line protocol parser, used to check writes before they reach InfluxDB:
+ *
+ *   measurement[,tag=value...] field=value[,field=value...] [timestamp]
+ *
+ * Problems carry 1-based line and column numbers. Errors are lines InfluxDB
+ * would reject (bad escaping, field values of no known type, out-of-range
+ * integers or timestamps, duplicate fields, field type conflicts within the
+ * batch); warnings are lines it would accept but that are probably not
+ * what was meant, such as a timestamp in another precision.
+ *
+ * See https://docs.influxdata.com/influxdb/v2/reference/syntax/line-protocol/
+ */
+
+export const PRECISIONS = ["ns", "us", "ms", "s"];
+
+const NS_PER_UNIT = { ns: 1n, us: 1000n, ms: 1000000n, s: 1000000000n };
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+const BOOLEANS = new Set(["t", "T", "true", "True", "TRUE", "f", "F", "false", "False", "FALSE"]);
+const FLOAT = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+// Timestamps are expected between these dates (in ns since the epoch); a
+// value outside is checked against the other precisions
+const PLAUSIBLE_FROM_NS = BigInt(Date.UTC(1990, 0, 1)) * 1000000n;
+const PLAUSIBLE_TO_NS = BigInt(Date.UTC(2100, 0, 1)) * 1000000n;
+
+// Parse failure at a column (0-based while parsing)
+class LineError extends Error {
+  constructor(column, message) {
+    super(message);
+    this.column = column;
+  }
+}
+
+/**
+ * Read from `start` up to the first unescaped delimiter. A backslash
+ * escapes the characters in `escapable`; before anything else it is a
+ * literal backslash. Returns the unescaped text and where it stopped.
+ */
+function readToken(line, start, delimiters, escapable) {
+  let text = "";
+  let i = start;
+  while (i < line.length && !delimiters.includes(line[i])) {
+    if (line[i] === "\\" && escapable.includes(line[i + 1])) {
+      text += line[i + 1];
+      i += 2;
+    } else {
+      text += line[i];
+      i++;
+    }
+  }
+  return { text, end: i };
+}
+
+// Double-quoted string field value starting at `start` (the opening quote)
+function readString(line, start) {
+  let text = "";
+  let i = start + 1;
+  while (i < line.length) {
+    if (line[i] === "\\" && (line[i + 1] === '"' || line[i + 1] === "\\")) {
+      text += line[i + 1];
+      i += 2;
+    } else if (line[i] === '"') {
+      return { text, end: i + 1 };
+    } else {
+      text += line[i];
+      i++;
+    }
+  }
+  throw new LineError(start, "String field value has no closing double quote; escape quotes inside it as \\\"");
+}
+
+// Type and value of an unquoted field value, or a LineError
+function parseFieldValue(raw, key, column) {
+  if (raw === "") {
+    throw new LineError(column, `Field "${key}" has no value`);
+  }
+  if (/^-?\d+i$/.test(raw)) {
+    const value = BigInt(raw.slice(0, -1));
+    if (value < INT64_MIN || value > INT64_MAX) {
+      throw new LineError(column, `Integer ${raw} of field "${key}" is outside the signed 64-bit range`);
+    }
+    return { type: "integer", value };
+  }
+  if (/^-?\d+u$/.test(raw)) {
+    const value = BigInt(raw.slice(0, -1));
+    if (value < 0n) {
+      throw new LineError(column, `Unsigned integer ${raw} of field "${key}" cannot be negative; use an i suffix for signed integers`);
+    }
+    if (value > UINT64_MAX) {
+      throw new LineError(column, `Unsigned integer ${raw} of field "${key}" is outside the 64-bit range`);
+    }
+    return { type: "unsigned", value };
+  }
+  if (BOOLEANS.has(raw)) {
+    return { type: "boolean", value: /^t/i.test(raw) };
+  }
+  if (FLOAT.test(raw)) {
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      throw new LineError(column, `Float ${raw} of field "${key}" is out of range`);
+    }
+    return { type: "float", value };
+  }
+
+  // Say what was probably meant
+  if (/^[+-]?[\d.]+([eE][+-]?\d+)?[iIuU]$/.test(raw)) {
+    throw new LineError(column, `Invalid number ${raw} for field "${key}": integers take a lowercase i (signed) or u (unsigned) suffix and no decimal point or exponent`);
+  }
+  throw new LineError(column, `Invalid value ${raw} for field "${key}": strings must be double-quoted (${key}="${raw}"), integers need an i suffix (1i), booleans are true or false`);
+}
+
+// Timestamp in ns for a precision, or null when it does not fit in int64
+function timestampNs(value, precision) {
+  const ns = value * NS_PER_UNIT[precision];
+  return ns < INT64_MIN || ns > INT64_MAX ? null : ns;
+}
+
+// Precision under which a timestamp lands between 1990 and 2100, if any
+function plausiblePrecision(value) {
+  return PRECISIONS.find((precision) => {
+    const ns = value * NS_PER_UNIT[precision];
+    return ns >= PLAUSIBLE_FROM_NS && ns < PLAUSIBLE_TO_NS;
+  });
+}
+
+/**
+ * Parse one line into { measurement, tags, fields, timestamp }. Tags and
+ * fields keep their 0-based column for later checks; timestamp is a BigInt
+ * or null. Throws LineError.
+ */
+function parseLine(line) {
+  let i = 0;
+  while (line[i] === " ") {
+    i++;
+  }
+
+  const measurement = readToken(line, i, ", ", ", ");
+  if (measurement.text === "") {
+    throw new LineError(i, "Line has no measurement name");
+  }
+  i = measurement.end;
+
+  const tags = [];
+  while (line[i] === ",") {
+    const column = i + 1;
+    const key = readToken(line, column, ",= ", ",= ");
+    if (key.text === "") {
+      throw new LineError(column, "Tag has no key; escape commas in the measurement name as \\,");
+    }
+    if (line[key.end] !== "=") {
+      throw new LineError(key.end, `Tag "${key.text}" has no =value; escape spaces, commas and equals signs in tag keys with a backslash`);
+    }
+    const value = readToken(line, key.end + 1, ",= ", ",= ");
+    if (line[value.end] === "=") {
+      throw new LineError(value.end, `Tag "${key.text}" has an unescaped = in its value; write it as \\=`);
+    }
+    if (value.text === "") {
+      throw new LineError(key.end + 1, `Tag "${key.text}" has an empty value; leave the tag out instead`);
+    }
+    tags.push({ key: key.text, value: value.text, column });
+    i = value.end;
+  }
+
+  if (i < line.length && line[i] !== " ") {
+    throw new LineError(i, "Expected a space before the field set");
+  }
+  while (line[i] === " ") {
+    i++;
+  }
+  if (i >= line.length) {
+    throw new LineError(i, "Line has no fields; a point needs at least one, e.g. value=1");
+  }
+
+  const fields = [];
+  for (;;) {
+    const column = i;
+    const key = readToken(line, i, ",= ", ",= ");
+    if (key.text === "") {
+      throw new LineError(column, "Field has no key");
+    }
+    if (line[key.end] !== "=") {
+      throw new LineError(key.end, `Field "${key.text}" has no =value; escape spaces, commas and equals signs in field keys with a backslash`);
+    }
+
+    i = key.end + 1;
+    let field;
+    if (line[i] === '"') {
+      const string = readString(line, i);
+      field = { type: "string", value: string.text };
+      i = string.end;
+    } else {
+      const raw = readToken(line, i, ", ", "");
+      field = parseFieldValue(raw.text, key.text, i);
+      i = raw.end;
+    }
+    fields.push({ key: key.text, ...field, column });
+
+    if (line[i] !== ",") {
+      break;
+    }
+    i++;
+  }
+
+  if (i < line.length && line[i] !== " ") {
+    throw new LineError(i, "Unexpected character after a field value; string values must be double-quoted");
+  }
+  while (line[i] === " ") {
+    i++;
+  }
+
+  let timestamp = null;
+  let timestampColumn = null;
+  if (i < line.length) {
+    const { text, end } = readToken(line, i, " ", "");
+    if (!/^-?\d+$/.test(text)) {
+      throw new LineError(i, `Invalid timestamp ${text}; timestamps are integers in the write's precision`);
+    }
+    timestamp = BigInt(text);
+    timestampColumn = i;
+    i = end;
+    while (line[i] === " ") {
+      i++;
+    }
+    if (i < line.length) {
+      throw new LineError(i, "Unexpected text after the timestamp");
+    }
+  }
+
+  return { measurement: measurement.text, tags, fields, timestamp, timestampColumn };
+}
+
+/**
+ * Check line protocol as InfluxDB would parse it with the given precision.
+ * Returns { points, errors, warnings }, each problem being
+ * { line, column, message } with 1-based numbers.
+ */
+export function validateLineProtocol(data, { precision = "ns" } = {}) {
+  const errors = [];
+  const warnings = [];
+  // Field types seen per measurement, for conflicts within the batch
+  const fieldTypes = new Map();
+  let points = 0;
+
+  data.split("\n").forEach((line, index) => {
+    const lineNumber = index + 1;
+    const problem = (list, column, message) =>
+      list.push({ line: lineNumber, column: column + 1, message });
+
+    if (line.endsWith("\r")) {
+      problem(errors, line.length - 1, "Line ends with a carriage return; use \\n line endings");
+      return;
+    }
+    if (line.trim() === "" || line.trimStart().startsWith("#")) {
+      return;
+    }
+
+    let point;
+    try {
+      point = parseLine(line);
+    } catch (error) {
+      if (!(error instanceof LineError)) {
+        throw error;
+      }
+      problem(errors, error.column, error.message);
+      return;
+    }
+    points++;
+
+    const seenTags = new Set();
+    for (const tag of point.tags) {
+      if (seenTags.has(tag.key)) {
+        problem(errors, tag.column, `Tag "${tag.key}" appears more than once`);
+      }
+      seenTags.add(tag.key);
+      if (tag.key === "time" || tag.key.startsWith("_")) {
+        problem(warnings, tag.column, `Tag key "${tag.key}" is reserved by InfluxDB and may be dropped or rejected`);
+      }
+    }
+
+    const types = fieldTypes.get(point.measurement) ?? new Map();
+    fieldTypes.set(point.measurement, types);
+    const seenFields = new Set();
+    for (const field of point.fields) {
+      if (seenFields.has(field.key)) {
+        problem(errors, field.column, `Field "${field.key}" appears more than once`);
+      }
+      seenFields.add(field.key);
+      if (field.key === "time" || field.key.startsWith("_")) {
+        problem(warnings, field.column, `Field key "${field.key}" is reserved by InfluxDB and may be dropped or rejected`);
+      }
+
+      const earlier = types.get(field.key);
+      if (earlier && earlier.type !== field.type) {
+        problem(
+          errors,
+          field.column,
+          `Field "${field.key}" of "${point.measurement}" is ${field.type} here but ${earlier.type} on line ${earlier.line}; InfluxDB rejects conflicting field types`,
+        );
+      } else if (!earlier) {
+        types.set(field.key, { type: field.type, line: lineNumber });
+      }
+    }
+
+    if (point.timestamp !== null) {
+      const ns = timestampNs(point.timestamp, precision);
+      const likely = plausiblePrecision(point.timestamp);
+      if (ns === null) {
+        problem(
+          errors,
+          point.timestampColumn,
+          `Timestamp ${point.timestamp} is out of range for precision ${precision}${likely ? `; it looks like ${likely}, so write with precision=${likely}` : ""}`,
+        );
+      } else if ((ns < PLAUSIBLE_FROM_NS || ns >= PLAUSIBLE_TO_NS) && likely) {
+        const when = new Date(Number(ns / 1000000n)).toISOString();
+        problem(
+          warnings,
+          point.timestampColumn,
+          `Timestamp ${point.timestamp} is ${when} at precision ${precision}; it looks like ${likely}, so write with precision=${likely}`,
+        );
+      }
+    }
+  });
+
+  return { points, errors, warnings };
+}
+
+// Field types a write-points point can ask for
+export const FIELD_TYPES = ["float", "integer", "unsigned", "string", "boolean"];
+
+const escapeMeasurement = (name) => name.replace(/[, ]/g, "\\$&");
+const escapeKey = (key) => key.replace(/[,= ]/g, "\\$&");
+const escapeString = (value) => `"${value.replace(/["\\]/g, "\\$&")}"`;
+
+// Names cannot hold line breaks, nor end in a backslash that would escape
+// the delimiter after them
+function checkName(what, name) {
+  if (name === "") {
+    throw new Error(`${what} is empty`);
+  }
+  if (/[\r\n]/.test(name)) {
+    throw new Error(`${what} ${JSON.stringify(name)} contains a line break`);
+  }
+  if (name.endsWith("\\")) {
+    throw new Error(`${what} ${JSON.stringify(name)} ends with a backslash`);
+  }
+}
+
+// Line protocol text of a field value, by its type hint or, without one,
+// by its JSON type (numbers are floats)
+function formatFieldValue(key, value, type) {
+  switch (type ?? typeof value) {
+    case "float":
+    case "number": {
+      const number = typeof value === "string" && FLOAT.test(value.trim()) ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        throw new Error(`Field "${key}" is not a finite number: ${JSON.stringify(value)}`);
+      }
+      return String(number);
+    }
+    case "integer":
+    case "unsigned": {
+      const text = String(value).trim();
+      if ((typeof value !== "number" && typeof value !== "string") || !/^-?\d+$/.test(text)
+        || (typeof value === "number" && !Number.isSafeInteger(value))) {
+        throw new Error(`Field "${key}" is not an integer: ${JSON.stringify(value)}; pass integers above 2^53 as strings`);
+      }
+      const integer = BigInt(text);
+      if (type === "unsigned" ? integer < 0n || integer > UINT64_MAX : integer < INT64_MIN || integer > INT64_MAX) {
+        throw new Error(`Field "${key}" is outside the ${type === "unsigned" ? "unsigned" : "signed"} 64-bit range: ${text}`);
+      }
+      return `${integer}${type === "unsigned" ? "u" : "i"}`;
+    }
+    case "boolean":
+      if (typeof value === "boolean" || value === "true" || value === "false") {
+        return String(value);
+      }
+      throw new Error(`Field "${key}" is not a boolean: ${JSON.stringify(value)}`);
+    case "string": {
+      const text = String(value);
+      if (/[\r\n]/.test(text)) {
+        throw new Error(`Field "${key}" contains a line break, which line protocol cannot carry`);
+      }
+      return escapeString(text);
+    }
+    default:
+      throw new Error(`Field "${key}" has an unsupported value: ${JSON.stringify(value)}`);
+  }
+}
+
+// ISO-8601 date-time with its fraction of a second and zone
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?)(?:\.(\d{1,9}))?(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Timestamp in `precision` units: numbers and digit strings are taken to be
+// in that precision already, ISO-8601 strings are converted exactly
+function formatTimestamp(timestamp, precision) {
+  if (typeof timestamp === "number" && !Number.isSafeInteger(timestamp)) {
+    throw new Error(`Timestamp ${timestamp} is not an integer; pass large epoch values as strings`);
+  }
+  const text = String(timestamp).trim();
+  if (/^-?\d+$/.test(text)) {
+    return text;
+  }
+
+  const match = text.match(ISO_TIMESTAMP);
+  const ms = match ? Date.parse(`${match[1]}${match[3]}`) : NaN;
+  if (Number.isNaN(ms)) {
+    throw new Error(`Timestamp ${JSON.stringify(timestamp)} is neither an epoch value nor an ISO-8601 date-time with a zone, e.g. 2024-05-01T12:00:00Z`);
+  }
+  const ns = BigInt(ms) * 1000000n + BigInt((match[2] ?? "").padEnd(9, "0"));
+  if (ns % NS_PER_UNIT[precision] !== 0n) {
+    throw new Error(`Timestamp ${text} is more precise than precision ${precision}`);
+  }
+  return String(ns / NS_PER_UNIT[precision]);
+}
+
+/**
+ * Line protocol for a { measurement, tags, fields, types, timestamp }
+ * point, escaped as InfluxDB expects. Tags are sorted by key; tags and
+ * fields whose value is null are left out, and empty tag values too.
+ * Throws an Error saying what is wrong with the point.
+ */
+export function pointToLine({ measurement, tags = {}, fields, types = {}, timestamp }, { precision = "ns" } = {}) {
+  checkName("Measurement name", measurement);
+  // InfluxDB would skip the line as a comment
+  if (measurement.startsWith("#")) {
+    throw new Error(`Measurement name ${JSON.stringify(measurement)} starts with "#", which makes the line a comment`);
+  }
+
+  const tagSet = Object.entries(tags)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => {
+      checkName("Tag key", key);
+      checkName(`Value of tag "${key}"`, String(value));
+      return `,${escapeKey(key)}=${escapeKey(String(value))}`;
+    });
+
+  for (const key of Object.keys(types)) {
+    if (!(key in fields)) {
+      throw new Error(`Type given for field "${key}", which the point does not have`);
+    }
+  }
+  const fieldSet = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => {
+      checkName("Field key", key);
+      return `${escapeKey(key)}=${formatFieldValue(key, value, types[key])}`;
+    });
+  if (fieldSet.length === 0) {
+    throw new Error("Point has no fields; it needs at least one non-null field");
+  }
+
+  const time = timestamp === undefined || timestamp === null
+    ? ""
+    : ` ${formatTimestamp(timestamp, precision)}`;
+  return `${escapeMeasurement(measurement)}${tagSet.join("")} ${fieldSet.join(",")}${time}`;
+}
+
+// Problems as text lines, at most `limit` of them
+function formatProblems(problems, limit = 20) {
+  const lines = problems
+    .slice(0, limit)
+    .map(({ line, column, message }) => `- line ${line}, column ${column}: ${message}`);
+  if (problems.length > limit) {
+    lines.push(`- ... and ${problems.length - limit} more`);
+  }
+  return lines.join("\n");
+}
+
+// Summary text of a validateLineProtocol() result
+export function describeValidation({ points, errors, warnings }) {
+  const sections = [
+    errors.length > 0
+      ? `Found ${errors.length} error(s); InfluxDB would reject the write:\n${formatProblems(errors)}`
+      : `Line protocol is valid: ${points} point(s).`,
+  ];
+  if (warnings.length > 0) {
+    sections.push(`${warnings.length} warning(s):\n${formatProblems(warnings)}`);
+  }
+  return sections.join("\n\n");
+}
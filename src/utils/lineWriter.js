@@ -0,0 +1,191 @@
+import { WRITE_CHUNK_MAX_BYTES, WRITE_CHUNK_MAX_LINES, WRITE_CONCURRENCY } from "../config/env.js";
+import { writeLineProtocol } from "./influxClient.js";
+import { reportProgress } from "./progress.js";
+import { validateLineProtocol } from "./lineProtocol.js";
+import { bufferWrite } from "./writeBuffer.js";
+
+/**
+ * Batch writes of line protocol, shared by every tool that writes points.
+ *
+ * Lines are split into chunks of at most WRITE_CHUNK_MAX_LINES lines and
+ * WRITE_CHUNK_MAX_BYTES bytes, gzipped unless WRITE_GZIP is off, and
+ * uploaded WRITE_CONCURRENCY at a time. A failed chunk does not stop the
+ * others; the outcome says which ranges of lines were written and why the
+ * others failed. A chunk the server could not take is queued in the write
+ * buffer when it is enabled (see writeBuffer.js).
+ */
+
+// Split lines into chunks as [start, end) positions; a line longer than
+// the byte limit goes in a chunk of its own
+export function chunkLines(lines, { maxLines = WRITE_CHUNK_MAX_LINES, maxBytes = WRITE_CHUNK_MAX_BYTES } = {}) {
+  const chunks = [];
+  let start = 0;
+  let bytes = 0;
+  lines.forEach((line, i) => {
+    // Each line after the first adds a newline
+    const size = Buffer.byteLength(line) + (i > start ? 1 : 0);
+    if (i > start && (i - start >= maxLines || bytes + size > maxBytes)) {
+      chunks.push([start, i]);
+      start = i;
+      bytes = Buffer.byteLength(line);
+    } else {
+      bytes += size;
+    }
+  });
+  if (lines.length > start) {
+    chunks.push([start, lines.length]);
+  }
+  return chunks;
+}
+
+/**
+ * Write lines of line protocol to a bucket (see above).
+ *
+ * Returns { written, chunks }: the number of lines InfluxDB acknowledged,
+ * and per chunk { start, end, error, queued } with the [start, end)
+ * positions of its lines, the error it failed with (null once written) and
+ * whether it was queued in the write buffer after failing.
+ */
+export async function writeLines(target, lines) {
+  const chunks = chunkLines(lines).map(([start, end]) => ({ start, end, error: null, queued: false }));
+  let written = 0;
+
+  const send = async (chunk) => {
+    const text = lines.slice(chunk.start, chunk.end).join("\n");
+    try {
+      // The client applies the call's time limit and cancellation
+      const response = await writeLineProtocol(target, text);
+      console.log(`Write response status: ${response.status} (lines ${chunk.start + 1}-${chunk.end})`);
+
+      written += chunk.end - chunk.start;
+      reportProgress(written, lines.length, `Wrote ${written} of ${lines.length} lines`);
+    } catch (error) {
+      chunk.error = error;
+      chunk.queued = await bufferWrite(target, text, chunk.end - chunk.start, error);
+    }
+  };
+
+  // A fixed number of workers take the chunks in order
+  let next = 0;
+  const worker = async () => {
+    while (next < chunks.length) {
+      await send(chunks[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(WRITE_CONCURRENCY, chunks.length) }, worker));
+
+  return { written, chunks };
+}
+
+// First error of a writeLines() outcome that did not end in the write
+// buffer, or null when every chunk was written or queued
+export const firstWriteError = ({ chunks }) =>
+  chunks.find((chunk) => chunk.error && !chunk.queued)?.error ?? null;
+
+// Number of lines a writeLines() outcome queued in the write buffer
+export const queuedLineCount = ({ chunks }) => chunks
+  .filter((chunk) => chunk.queued)
+  .reduce((total, chunk) => total + chunk.end - chunk.start, 0);
+
+/**
+ * Text lines for a writeLines() outcome: runs of chunks with the same result
+ * as ranges, "lines 1-10000 written", "lines 10001-15000 failed: <error>",
+ * "lines 15001-20000 queued for retry: <error>". lineNumber(position) gives
+ * the number the caller knows a line by.
+ */
+export function describeLineRanges({ chunks }, lineNumber, limit = 20) {
+  const ranges = [];
+  for (const { start, end, error, queued } of chunks) {
+    const outcome = !error ? "written" : queued ? `queued for retry: ${error.message}` : `failed: ${error.message}`;
+    const last = ranges[ranges.length - 1];
+    if (last && last.outcome === outcome && last.end === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end, outcome });
+    }
+  }
+
+  const lines = ranges.slice(0, limit).map(({ start, end, outcome }) => {
+    const from = lineNumber(start);
+    const to = lineNumber(end - 1);
+    return `- ${from === to ? `line ${from}` : `lines ${from}-${to}`} ${outcome}`;
+  });
+  if (ranges.length > limit) {
+    lines.push(`- ... and ${ranges.length - limit} more ranges`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Validate and write records that a tool converted to line protocol
+ * (write-points, import-csv). Each item is { line }, or { error } when the
+ * record could not be converted. The lines are checked together as
+ * write-data would check them, so a record whose field type conflicts with
+ * an earlier one is rejected; label(index) names a record in such messages,
+ * e.g. "point 3".
+ *
+ * Returns { written, queued, error, results, warnings }: a { status, error }
+ * per item, status being "written", "rejected" (never sent), "queued" (its
+ * chunk failed and waits in the write buffer) or "failed" (its chunk
+ * failed), and warnings as { index, message }. error is the first failed
+ * chunk's error, if any.
+ */
+export async function writeRecords(target, items, label) {
+  const results = items.map((item) => ({ status: "rejected", error: item.error ?? null }));
+  const converted = items
+    .map((item, index) => ({ index, line: item.line }))
+    .filter(({ line }) => line !== undefined);
+
+  const { errors, warnings } = validateLineProtocol(
+    converted.map(({ line }) => line).join("\n"),
+    { precision: target.precision },
+  );
+  // Problems name lines of the converted batch; name the records instead
+  const indexOf = (line) => converted[line - 1].index;
+  const relabel = (message) =>
+    message.replace(/on line (\d+)/, (_, line) => `in ${label(indexOf(Number(line)))}`);
+  for (const { line, message } of errors) {
+    results[indexOf(line)].error ??= relabel(message);
+  }
+  const accepted = converted.filter(({ index }) => results[index].error === null);
+
+  const outcome = await writeLines(target, accepted.map(({ line }) => line));
+  for (const { start, end, error, queued } of outcome.chunks) {
+    for (const { index } of accepted.slice(start, end)) {
+      results[index] = error
+        ? { status: queued ? "queued" : "failed", error: error.message }
+        : { status: "written", error: null };
+    }
+  }
+
+  return {
+    written: outcome.written,
+    queued: queuedLineCount(outcome),
+    error: firstWriteError(outcome),
+    results,
+    warnings: warnings.map(({ line, message }) => ({ index: indexOf(line), message: relabel(message) })),
+  };
+}
+
+// Text of a writeRecords() outcome for records called `plural` ("points"),
+// listing at most `limit` records that were not written and `limit` warnings
+export function describeRecordsOutcome({ results, warnings }, label, plural, limit = 20) {
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const queued = count("queued") > 0 ? `, ${count("queued")} queued for retry (see write-queue-status)` : "";
+  const lines = [
+    `Wrote ${count("written")} of ${results.length} ${plural}; ${count("rejected")} rejected, ${count("failed")} failed${queued}.`,
+  ];
+  const problems = results
+    .map((result, index) => ({ ...result, index }))
+    .filter(({ status }) => status !== "written");
+  for (const { index, status, error } of problems.slice(0, limit)) {
+    lines.push(`- ${label(index)} ${status}: ${error}`);
+  }
+  if (problems.length > limit) {
+    lines.push(`- ... and ${problems.length - limit} more`);
+  }
+  for (const { index, message } of warnings.slice(0, limit)) {
+    lines.push(`- ${label(index)} warning: ${message}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,38 @@
+import { influxRequest } from "./influxClient.js";
+import { isAllowedForRequest, requestHasPolicy } from "../auth/policy.js";
+
+/**
+ * Organization lookups on InfluxDB 2.x. Policies name organizations, while
+ * the API often gives only their IDs (create-bucket's orgID, the orgID of
+ * every listed bucket).
+ */
+
+// Name of the organization with the given ID
+export async function organizationName(orgID) {
+  const response = await influxRequest(`/api/v2/orgs/${encodeURIComponent(orgID)}`);
+  const data = await response.json();
+  return data.name;
+}
+
+// ID of the organization with the given name, or undefined when there is none
+export async function organizationID(name) {
+  const response = await influxRequest(`/api/v2/orgs?org=${encodeURIComponent(name)}`);
+  const data = await response.json();
+  return (data.orgs ?? []).find((org) => org.name === name)?.id;
+}
+
+// Buckets from /api/v2/buckets that the current request's principal may
+// read, each checked with the name of its organization
+export async function readableBuckets(buckets) {
+  if (!requestHasPolicy()) {
+    return buckets;
+  }
+
+  const orgIDs = [...new Set(buckets.map((bucket) => bucket.orgID))];
+  const names = new Map(await Promise.all(
+    orgIDs.map(async (orgID) => [orgID, await organizationName(orgID)]),
+  ));
+  return buckets.filter((bucket) =>
+    isAllowedForRequest({ org: names.get(bucket.orgID), reads: [bucket.name] })
+  );
+}
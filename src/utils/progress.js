@@ -0,0 +1,83 @@
+import { getRequestContext } from "./requestContext.js";
+
+/**
+ * Progress notifications for long-running calls. A request whose _meta
+ * carries a progressToken gets a reporter in its request context, and
+ * handlers call reportProgress as work completes (write chunks acknowledged,
+ * CSV rows read). For requests without a token reportProgress does nothing.
+ *
+ * The same token tags partial query results (sendPartialResult), rows sent
+ * ahead of the tool result while the query is still being read.
+ */
+
+export const PARTIAL_RESULT_METHOD = "notifications/influxdb/partialResult";
+
+// Send a notification for the request, logging rather than failing the
+// call when the client cannot be reached
+function notify(extra, method, params) {
+  Promise.resolve(extra.sendNotification({ method, params })).catch((error) => {
+    console.error(`Failed to send ${method}: ${error.message}`);
+  });
+}
+
+const progressTokenOf = (extra) =>
+  extra?.sendNotification ? extra._meta?.progressToken : undefined;
+
+// Least time between two notifications for one request; the last one
+// (progress === total) is always sent
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Reporter sending notifications/progress through extra.sendNotification,
+ * or undefined when the client did not ask for progress
+ */
+export function createProgressReporter(extra) {
+  const progressToken = progressTokenOf(extra);
+  if (progressToken === undefined) {
+    return undefined;
+  }
+
+  let lastProgress = -Infinity;
+  let lastSentAt = 0;
+  return (progress, total, message) => {
+    // Progress must increase with every notification
+    if (progress <= lastProgress) {
+      return;
+    }
+    const now = Date.now();
+    if (progress !== total && now - lastSentAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastProgress = progress;
+    lastSentAt = now;
+
+    notify(extra, "notifications/progress", {
+      progressToken,
+      progress,
+      ...(total !== undefined ? { total } : {}),
+      ...(message ? { message } : {}),
+    });
+  };
+}
+
+// Sender of partial results for the request, or undefined without a token
+export function createPartialResultSender(extra) {
+  const progressToken = progressTokenOf(extra);
+  if (progressToken === undefined) {
+    return undefined;
+  }
+  return (params) => notify(extra, PARTIAL_RESULT_METHOD, { progressToken, ...params });
+}
+
+// Report progress of the current request (total is optional when unknown)
+export function reportProgress(progress, total, message) {
+  getRequestContext().progress?.(progress, total, message);
+}
+
+// Whether the current request can receive partial results
+export const canSendPartialResults = () => Boolean(getRequestContext().partialResult);
+
+// Send rows of a result ahead of the result itself (no-op without a token)
+export function sendPartialResult(params) {
+  getRequestContext().partialResult?.(params);
+}
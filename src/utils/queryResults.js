@@ -0,0 +1,224 @@
+import { randomUUID } from "node:crypto";
+import {
+  QUERY_CURSOR_MAX_RESULTS,
+  QUERY_CURSOR_TTL_MS,
+  QUERY_MAX_BYTES,
+  QUERY_MAX_ROWS,
+  QUERY_RESULT_MAX_BYTES,
+  QUERY_RESULT_MAX_ROWS,
+} from "../config/env.js";
+import { getRequestContext } from "./requestContext.js";
+import {
+  canSendPartialResults,
+  reportProgress,
+  sendPartialResult,
+} from "./progress.js";
+import { readFluxCsv } from "./fluxCsv.js";
+import { structuredTables } from "./resultFormat.js";
+
+/**
+ * Size limits and cursor pagination for query results.
+ *
+ * A query's response is parsed as it streams in, up to QUERY_RESULT_MAX_ROWS
+ * rows and QUERY_RESULT_MAX_BYTES bytes, then served in pages of at most
+ * QUERY_MAX_ROWS rows and QUERY_MAX_BYTES bytes of JSON.
+ * When rows remain, the parsed result is kept in memory for
+ * QUERY_CURSOR_TTL_MS and the page carries a cursor for the next one, so
+ * later pages never re-run the query.
+ */
+
+// Result sets waiting for their next page, oldest first
+const cachedResults = new Map();
+
+// Columns of a parsed table as structured results show them
+const structuredColumns = (table) => structuredTables([table])[0].columns;
+
+/**
+ * Read a Flux query response into typed tables as it streams in (see
+ * readFluxCsv), keeping at most QUERY_RESULT_MAX_ROWS rows and
+ * QUERY_RESULT_MAX_BYTES bytes. Rows read so far are reported as progress.
+ * With `stream`, the rows of the first page are also sent as partial
+ * results while the rest of the response is still being read.
+ */
+export async function readQueryResult(response, { stream = false } = {}) {
+  const partial = stream && canSendPartialResults();
+  // Rows of tables[sentTable] already sent, and rows sent in all
+  let sentTable = 0;
+  let sentRows = 0;
+  let sentTotal = 0;
+
+  const sendNewRows = (tables) => {
+    while (sentTable < tables.length && sentTotal < QUERY_MAX_ROWS) {
+      const table = tables[sentTable];
+      const records = table.rows.slice(sentRows, sentRows + QUERY_MAX_ROWS - sentTotal);
+      if (records.length > 0) {
+        sendPartialResult({
+          table: sentTable,
+          // Columns go with the first rows of each table
+          ...(sentRows === 0 ? { columns: structuredColumns(table) } : {}),
+          records,
+        });
+        sentRows += records.length;
+        sentTotal += records.length;
+      }
+      // The last table may still grow
+      if (sentTable === tables.length - 1) {
+        break;
+      }
+      sentTable++;
+      sentRows = 0;
+    }
+  };
+
+  const { tables, truncated } = await readFluxCsv(response.body, {
+    maxBytes: QUERY_RESULT_MAX_BYTES,
+    maxRows: QUERY_RESULT_MAX_ROWS,
+    onChunk: (tables, rowCount) => {
+      reportProgress(rowCount, undefined, `Received ${rowCount} rows from InfluxDB`);
+      if (partial) {
+        sendNewRows(tables);
+      }
+    },
+  });
+
+  const rowCount = tables.reduce((sum, table) => sum + table.rows.length, 0);
+  reportProgress(
+    rowCount,
+    rowCount,
+    truncated
+      ? `Received ${rowCount} rows from InfluxDB before the size limit`
+      : `Received all ${rowCount} rows from InfluxDB`,
+  );
+  return { tables, truncated };
+}
+
+function expireCachedResults() {
+  const now = Date.now();
+  for (const [id, entry] of cachedResults) {
+    if (entry.expiresAt <= now) {
+      cachedResults.delete(id);
+    }
+  }
+}
+
+function cacheResult(entry) {
+  expireCachedResults();
+  while (cachedResults.size >= QUERY_CURSOR_MAX_RESULTS) {
+    cachedResults.delete(cachedResults.keys().next().value);
+  }
+  const id = randomUUID();
+  cachedResults.set(id, { ...entry, expiresAt: Date.now() + QUERY_CURSOR_TTL_MS });
+  return id;
+}
+
+const encodeCursor = (id, offset) =>
+  Buffer.from(JSON.stringify({ id, offset })).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const { id, offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof id === "string" && Number.isInteger(offset) && offset >= 0) {
+      return { id, offset };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor");
+}
+
+// Cut one page out of the flattened rows, regrouped into their tables
+function buildPage(entry, offset, id) {
+  const pageTables = [];
+  let byTable = null;
+  let bytes = 0;
+  let end = offset;
+
+  while (end < entry.rows.length) {
+    const [tableIndex, record] = entry.rows[end];
+    const size = JSON.stringify(record).length + 1;
+    // Always return at least one row, however large
+    if (end > offset && (end - offset >= QUERY_MAX_ROWS || bytes + size > QUERY_MAX_BYTES)) {
+      break;
+    }
+    if (byTable?.table !== tableIndex) {
+      byTable = { ...entry.tables[tableIndex], records: [] };
+      pageTables.push(byTable);
+    }
+    byTable.records.push(record);
+    bytes += size;
+    end++;
+  }
+
+  let cursorId = id;
+  if (end < entry.rows.length && !cursorId) {
+    cursorId = cacheResult(entry);
+  }
+
+  return {
+    tables: pageTables,
+    page: {
+      offset,
+      rowCount: end - offset,
+      totalRows: entry.rows.length,
+      nextCursor: end < entry.rows.length ? encodeCursor(cursorId, end) : null,
+      incomplete: entry.incomplete,
+    },
+  };
+}
+
+/**
+ * First page of a result (tables from structuredTables). `key` identifies
+ * the query so a cursor cannot be replayed against a different one;
+ * `incomplete` marks results cut off at QUERY_RESULT_MAX_ROWS or
+ * QUERY_RESULT_MAX_BYTES.
+ */
+export function firstPage(tables, { key, incomplete = false }) {
+  const entry = {
+    key,
+    owner: getRequestContext().sessionId ?? null,
+    incomplete,
+    tables: tables.map(({ records, ...table }) => table),
+    rows: tables.flatMap((table, index) =>
+      table.records.map((record) => [index, record])
+    ),
+  };
+  return buildPage(entry, 0, null);
+}
+
+// Page a cursor points at, from the cached result of the same query
+export function nextPage(cursor, { key }) {
+  const { id, offset } = decodeCursor(cursor);
+  expireCachedResults();
+
+  const entry = cachedResults.get(id);
+  if (!entry || entry.owner !== (getRequestContext().sessionId ?? null)) {
+    throw new Error("Cursor has expired or is unknown; run the query again without a cursor");
+  }
+  if (entry.key !== key) {
+    throw new Error("Cursor belongs to a different query; pass the same query and org it was issued for");
+  }
+  if (offset >= entry.rows.length) {
+    throw new Error("Cursor is past the end of the result");
+  }
+
+  return buildPage(entry, offset, id);
+}
+
+// One-line summary of a page for the text content of a result
+export function describePage({ page }) {
+  const parts = [];
+  if (page.nextCursor || page.offset > 0) {
+    parts.push(
+      `Showing rows ${page.offset + 1}-${page.offset + page.rowCount} of ${page.totalRows}.`,
+    );
+  }
+  if (page.incomplete) {
+    parts.push(
+      `The response exceeded ${QUERY_RESULT_MAX_ROWS} rows or ${QUERY_RESULT_MAX_BYTES} bytes and was cut off, so later rows are missing; narrow the time range or aggregate to see all data.`,
+    );
+  }
+  if (page.nextCursor) {
+    parts.push(`Pass cursor "${page.nextCursor}" with the same query to fetch the next page.`);
+  }
+  return parts.length > 0 ? `⚠️ Result truncated. ${parts.join(" ")}` : null;
+}
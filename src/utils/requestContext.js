@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Per-request context carried through async calls, so deep helpers such as
+ * influxRequest can see request-scoped settings (e.g. the InfluxDB token
+ * bound to an HTTP session) without threading them through every handler.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Run fn with the given values layered over the current context
+export function runWithRequestContext(context, fn) {
+  return storage.run({ ...getRequestContext(), ...context }, fn);
+}
+
+// Context of the request being handled ({} outside of any request)
+export function getRequestContext() {
+  return storage.getStore() ?? {};
+}
+
+// Run fn outside of any request, e.g. to start background work that must
+// not inherit the caller's token, deadline or cancellation
+export function runOutsideRequestContext(fn) {
+  return storage.exit(fn);
+}
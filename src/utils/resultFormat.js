@@ -0,0 +1,91 @@
+/**
+ * Rendering of parsed Flux tables (see fluxCsv.js) for tool results.
+ */
+
+export const OUTPUT_FORMATS = ["csv", "json", "markdown", "jsonl"];
+
+// Tables as plain data: column types and group keys kept next to the rows
+export function structuredTables(tables) {
+  return tables.map((table, index) => ({
+    table: index,
+    columns: table.columns.map((column) => ({
+      name: column.name,
+      type: column.datatype ?? "string",
+      group: column.group ?? false,
+    })),
+    groupKey: Object.fromEntries(
+      table.columns
+        .filter((column) => column.group)
+        .map((column) => [column.name, table.rows[0]?.[column.name] ?? null]),
+    ),
+    records: table.rows,
+  }));
+}
+
+// Cell text for a Markdown table: pipes escaped, line breaks flattened
+const markdownCell = (value) =>
+  value === null || value === undefined
+    ? ""
+    : String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+
+function markdownTable(table) {
+  const keys = Object.entries(table.groupKey)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(", ");
+  const header = table.columns.map((c) => `${markdownCell(c.name)} (${c.type})`);
+  const lines = [
+    `### Table ${table.table}${keys ? ` (${keys})` : ""}`,
+    "",
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...table.records.map((record) =>
+      `| ${table.columns.map((c) => markdownCell(record[c.name])).join(" | ")} |`
+    ),
+  ];
+  return lines.join("\n");
+}
+
+// Field text for CSV: quoted when it holds a comma, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Annotated CSV in the layout /api/v2/query uses, one header per table
+function annotatedCsv(structured) {
+  return structured.map((table) => {
+    const row = (first, fields) => [first, ...fields].map(csvField).join(",");
+    return [
+      row("#group", table.columns.map((c) => String(c.group))),
+      row("#datatype", table.columns.map((c) => c.type)),
+      row("", table.columns.map((c) => c.name)),
+      ...table.records.map((record) => row("", table.columns.map((c) => record[c.name]))),
+    ].join("\r\n");
+  }).join("\r\n\r\n");
+}
+
+/**
+ * Text for a query result (tables from structuredTables) in the requested
+ * format. `csv` is annotated CSV rebuilt from the tables, so it can show a
+ * single page of a larger result.
+ */
+export function formatTables(structured, format) {
+  switch (format) {
+    case "jsonl":
+      return structured
+        .flatMap((table) => table.records.map((record) => JSON.stringify(record)))
+        .join("\n");
+    case "markdown":
+      return structured.length > 0
+        ? structured.map(markdownTable).join("\n\n")
+        : "_No results_";
+    case "json":
+      return JSON.stringify({ tables: structured });
+    case "csv":
+    default:
+      return annotatedCsv(structured);
+  }
+}
@@ -0,0 +1,188 @@
+import { randomUUID } from "node:crypto";
+
+/**
+ * Session manager for the Streamable HTTP transport
+ * Tracks per-client state (negotiated protocol version, SSE stream) keyed by
+ * the Mcp-Session-Id issued on initialize, and expires idle sessions.
+ * Each session also keeps a bounded buffer of recent SSE events so a client
+ * reconnecting with Last-Event-ID can be sent what it missed.
+ */
+
+export class SessionManager {
+  constructor(options = {}) {
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 30 * 60 * 1000;
+    this.replayBufferSize = options.replayBufferSize ?? 100;
+    this.maxSessions = options.maxSessions ?? 1000;
+    this.sessions = new Map();
+
+    // Sweep at a fraction of the timeout so sessions expire close to on time
+    const sweepIntervalMs = Math.max(1000, Math.min(this.idleTimeoutMs / 2, 60000));
+    this.sweepTimer = setInterval(() => this.expireIdleSessions(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Create a new session for an initialize request.
+   * Returns null when maxSessions sessions are open and none has been idle
+   * long enough to expire; sessions still in use are never evicted.
+   */
+  create({ protocolVersion, principal = null }) {
+    if (this.sessions.size >= this.maxSessions) {
+      this.expireIdleSessions();
+      if (this.sessions.size >= this.maxSessions) {
+        console.log(`Session refused: ${this.sessions.size} sessions open (MCP_MAX_SESSIONS)`);
+        return null;
+      }
+    }
+
+    const now = Date.now();
+    const session = {
+      id: randomUUID(),
+      protocolVersion,
+      // Authenticated caller that owns the session (null when auth is off)
+      principal,
+      principalId: principal?.id ?? null,
+      createdAt: now,
+      lastActivity: now,
+      sseStream: null,
+      lastEventId: 0,
+      eventBuffer: [],
+      // AbortControllers of requests still being handled, by JSON-RPC id
+      pendingRequests: new Map()
+    };
+
+    this.sessions.set(session.id, session);
+    console.log(`Session ${session.id} created (protocol ${protocolVersion})`);
+    return session;
+  }
+
+  /**
+   * Look up a session and mark it as active
+   */
+  get(sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : undefined;
+    if (session) {
+      session.lastActivity = Date.now();
+    }
+    return session;
+  }
+
+  /**
+   * Assign the next event ID to a server-to-client message.
+   * Messages for the standalone SSE stream are kept for replay; responses
+   * delivered on a POST stream only consume an ID.
+   */
+  recordEvent(session, message, { replayable = true } = {}) {
+    const event = {
+      id: ++session.lastEventId,
+      data: JSON.stringify(message)
+    };
+
+    if (replayable) {
+      session.eventBuffer.push(event);
+      if (session.eventBuffer.length > this.replayBufferSize) {
+        session.eventBuffer.shift();
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Buffered events newer than the given Last-Event-ID
+   */
+  eventsAfter(session, lastEventId) {
+    const afterId = Number.parseInt(lastEventId, 10);
+    if (Number.isNaN(afterId)) {
+      return [];
+    }
+
+    const oldest = session.eventBuffer[0];
+    if (oldest && oldest.id > afterId + 1) {
+      console.log(`Session ${session.id}: events ${afterId + 1}-${oldest.id - 1} fell out of the replay buffer`);
+    }
+
+    return session.eventBuffer.filter((event) => event.id > afterId);
+  }
+
+  /**
+   * Register a request being handled; the returned signal is aborted if the
+   * client cancels it or the session ends. Call finishRequest when done.
+   */
+  startRequest(session, requestId) {
+    const controller = new AbortController();
+    session.pendingRequests.set(requestId, controller);
+    return controller.signal;
+  }
+
+  finishRequest(session, requestId) {
+    session.pendingRequests.delete(requestId);
+    // The idle time starts when the last request is answered
+    session.lastActivity = Date.now();
+  }
+
+  /**
+   * Abort a request named by notifications/cancelled. Unknown ids (requests
+   * that already finished) are ignored, as the protocol requires.
+   */
+  cancelRequest(session, requestId, reason) {
+    const controller = session.pendingRequests.get(requestId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort(reason);
+    session.pendingRequests.delete(requestId);
+    console.log(`Session ${session.id}: request ${requestId} cancelled${reason ? ` (${reason})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Terminate a session and release its SSE stream
+   */
+  delete(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    // Requests still running for the session have no one to answer to
+    for (const controller of session.pendingRequests.values()) {
+      controller.abort('Session terminated');
+    }
+    session.pendingRequests.clear();
+
+    if (session.sseStream) {
+      session.sseStream.end();
+      session.sseStream = null;
+    }
+
+    this.sessions.delete(sessionId);
+    console.log(`Session ${sessionId} terminated`);
+    return true;
+  }
+
+  /**
+   * Drop sessions that have been idle longer than the configured timeout.
+   * Sessions with an open SSE stream or requests still being handled are
+   * considered active.
+   */
+  expireIdleSessions() {
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    for (const session of this.sessions.values()) {
+      if (!session.sseStream && session.pendingRequests.size === 0 && session.lastActivity < cutoff) {
+        console.log(`Session ${session.id} expired after inactivity`);
+        this.delete(session.id);
+      }
+    }
+  }
+
+  /**
+   * Terminate every session and stop the expiry timer
+   */
+  closeAll() {
+    clearInterval(this.sweepTimer);
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.delete(sessionId);
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { influxRequest } from "./influxClient.js";
+
+/**
+ * SQL over the InfluxDB 3 HTTP query API (/api/v3/query_sql).
+ * Each v3 database holds its measurements as tables in the "iox" schema.
+ */
+
+// Quote an identifier (table or column name)
+export function quoteSqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Quote a string literal
+export function quoteSqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Run a SQL query against a database and return the result rows as objects.
+ * `params` fills $name placeholders server-side.
+ */
+export async function sqlQuery({ db, query, params }) {
+  const response = await influxRequest("/api/v3/query_sql", {
+    method: "POST",
+    body: JSON.stringify({ db, q: query, format: "json", params }),
+    retry: true,
+  });
+
+  const text = await response.text();
+  return text.trim() ? JSON.parse(text) : [];
+}
@@ -0,0 +1,327 @@
+import { mkdirSync, readdirSync, readFileSync } from "node:fs";
+import { readFile, rename, unlink, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  READ_ONLY,
+  WRITE_BUFFER_DIR,
+  WRITE_BUFFER_DROP_POLICY,
+  WRITE_BUFFER_MAX_BYTES,
+  WRITE_BUFFER_RETRY_BASE_MS,
+  WRITE_BUFFER_RETRY_MAX_MS,
+} from "../config/env.js";
+import { hasInstance } from "../config/instances.js";
+import { getInfluxClient, getInfluxInstance, isUnprocessedFailure } from "./influxClient.js";
+import { getRequestContext, runOutsideRequestContext } from "./requestContext.js";
+import { isAllowedForRequest } from "../auth/policy.js";
+
+/**
+ * Durable buffer for writes InfluxDB could not take. When a chunk of line
+ * protocol fails in a way the server cannot have acted on (unreachable,
+ * 429, 503, open circuit), it is saved as a file in WRITE_BUFFER_DIR and
+ * sent again in the background with exponential backoff, oldest first,
+ * surviving restarts. Writes made with a session's own token are never
+ * saved, since the token would have to be stored with them.
+ *
+ * The buffer holds at most WRITE_BUFFER_MAX_BYTES of line protocol; when a
+ * write does not fit, WRITE_BUFFER_DROP_POLICY either turns it away
+ * ("reject-new") or drops the oldest writes not being sent right now to make
+ * room ("drop-oldest").
+ */
+
+// Entries listed by writeBufferStatus()
+const STATUS_ENTRY_LIMIT = 100;
+
+// Buffered writes, oldest first. The line protocol stays on disk; an entry
+// holds { id, file, instance, org, bucket, precision, lines, bytes,
+// createdAt, attempts, nextAttemptAt, lastError }
+const entries = [];
+// Entries deliver() is sending right now, which drop-oldest leaves alone
+const sending = new Set();
+const stats = { buffered: 0, delivered: 0, dropped: 0, refused: 0 };
+let lastDrop = null;
+let started = false;
+let timer = null;
+let draining = null;
+let sequence = 0;
+
+const totalBytes = (list) => list.reduce((total, entry) => total + entry.bytes, 0);
+const bufferedBytes = () => totalBytes(entries);
+
+// Ids sort in the order the writes were buffered, also across restarts
+const nextId = () => `${String(Date.now()).padStart(15, "0")}-${String(sequence++).padStart(6, "0")}`;
+
+// Create the directory and pick up writes left by an earlier run. Exits
+// when the directory cannot be used, like the other startup checks
+export function startWriteBuffer() {
+  if (!WRITE_BUFFER_DIR || READ_ONLY || started) {
+    return;
+  }
+  try {
+    mkdirSync(WRITE_BUFFER_DIR, { recursive: true });
+    for (const name of readdirSync(WRITE_BUFFER_DIR).filter((file) => file.endsWith(".json")).sort()) {
+      const file = path.join(WRITE_BUFFER_DIR, name);
+      try {
+        const { instance, org, bucket, precision, lines, createdAt, text } = JSON.parse(readFileSync(file, "utf8"));
+        entries.push({
+          id: name.slice(0, -".json".length),
+          file,
+          instance,
+          org,
+          bucket,
+          precision,
+          lines,
+          bytes: Buffer.byteLength(text),
+          createdAt,
+          attempts: 0,
+          nextAttemptAt: Date.now(),
+          lastError: null,
+        });
+      } catch (error) {
+        // Left in place for the operator to look at
+        console.error(`Write buffer: skipping unreadable file ${file}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error: cannot use WRITE_BUFFER_DIR "${WRITE_BUFFER_DIR}": ${error.message}`);
+    process.exit(1);
+  }
+
+  started = true;
+  console.log(`Write buffer: ${entries.length} pending writes in ${WRITE_BUFFER_DIR}`);
+  scheduleDrain();
+}
+
+// Stop retrying in the background (the buffered files stay)
+export function stopWriteBuffer() {
+  clearTimeout(timer);
+  timer = null;
+  started = false;
+}
+
+// Take an entry off the list; false when it was already gone
+function removeEntry(entry) {
+  const index = entries.indexOf(entry);
+  if (index === -1) {
+    return false;
+  }
+  entries.splice(index, 1);
+  return true;
+}
+
+// Drop an entry, counted only when this call removed it
+async function dropEntry(entry, reason) {
+  if (!removeEntry(entry)) {
+    return;
+  }
+  stats.dropped++;
+  lastDrop = {
+    id: entry.id,
+    instance: entry.instance,
+    org: entry.org,
+    bucket: entry.bucket,
+    lines: entry.lines,
+    reason,
+    at: new Date().toISOString(),
+  };
+  console.error(`Write buffer: dropped ${entry.id} (${entry.lines} lines for ${entry.org}/${entry.bucket}): ${reason}`);
+  await unlink(entry.file).catch(() => {});
+}
+
+/**
+ * Save a write of `lines` lines that failed with `error`, to be sent again
+ * later. Returns whether it was buffered: only failures the server cannot
+ * have acted on are, and only while the buffer is enabled, the write was
+ * made with the server's token and there is room for it.
+ */
+export async function bufferWrite({ org, bucket, precision }, text, lines, error) {
+  if (!started || !isUnprocessedFailure(error) || getRequestContext().influxToken) {
+    return false;
+  }
+
+  const bytes = Buffer.byteLength(text);
+  // Writes being sent cannot make room, as they may yet be delivered
+  const kept = WRITE_BUFFER_DROP_POLICY === "reject-new" ? bufferedBytes() : totalBytes([...sending]);
+  if (kept + bytes > WRITE_BUFFER_MAX_BYTES) {
+    stats.refused++;
+    console.error(`Write buffer: full, not buffering ${lines} lines for ${org}/${bucket}`);
+    return false;
+  }
+  // Picked all at once, so a retry pass cannot start sending one meanwhile
+  let excess = bufferedBytes() + bytes - WRITE_BUFFER_MAX_BYTES;
+  const oldest = entries.filter((entry) => !sending.has(entry));
+  const evicted = [];
+  while (excess > 0) {
+    const entry = oldest.shift();
+    evicted.push(dropEntry(entry, "dropped to make room for newer writes (drop-oldest)"));
+    excess -= entry.bytes;
+  }
+  await Promise.all(evicted);
+
+  const id = nextId();
+  const file = path.join(WRITE_BUFFER_DIR, `${id}.json`);
+  const entry = {
+    id,
+    file,
+    instance: getInfluxInstance().name,
+    org,
+    bucket,
+    precision: precision ?? null,
+    lines,
+    bytes,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: Date.now() + WRITE_BUFFER_RETRY_BASE_MS,
+    lastError: error.message,
+  };
+  try {
+    // Written under another name first, so a crash never leaves half a file
+    const { instance, createdAt } = entry;
+    await writeFile(`${file}.tmp`, JSON.stringify({ instance, org, bucket, precision: entry.precision, lines, createdAt, text }));
+    await rename(`${file}.tmp`, file);
+  } catch (fileError) {
+    console.error(`Write buffer: cannot save ${id}: ${fileError.message}`);
+    return false;
+  }
+
+  entries.push(entry);
+  stats.buffered++;
+  console.log(`Write buffer: buffered ${id} (${lines} lines for ${org}/${bucket}) after: ${error.message}`);
+  scheduleDrain();
+  return true;
+}
+
+// Exponential backoff with jitter, or longer when the server's Retry-After
+// or an open circuit says when to come back
+const retryDelay = (attempts, error) => {
+  const backoff = Math.min(WRITE_BUFFER_RETRY_MAX_MS, WRITE_BUFFER_RETRY_BASE_MS * 2 ** (attempts - 1));
+  const notBefore = error.retryAt ? error.retryAt.getTime() - Date.now() : error.retryAfterMs ?? 0;
+  return Math.max(backoff / 2 + Math.random() * (backoff / 2), notBefore);
+};
+
+// Send one buffered write; false when it failed again and should wait
+async function deliver(entry) {
+  sending.add(entry);
+  try {
+    return await send(entry);
+  } finally {
+    sending.delete(entry);
+  }
+}
+
+async function send(entry) {
+  if (!hasInstance(entry.instance)) {
+    await dropEntry(entry, `instance "${entry.instance}" is no longer configured`);
+    return true;
+  }
+  let text;
+  try {
+    ({ text } = JSON.parse(await readFile(entry.file, "utf8")));
+  } catch (error) {
+    await dropEntry(entry, `buffer file unreadable: ${error.message}`);
+    return true;
+  }
+  try {
+    await getInfluxClient(entry.instance).write(entry, text);
+  } catch (error) {
+    if (!isUnprocessedFailure(error)) {
+      // The server answered (or may have applied it); sending it again
+      // would not help or could write it twice
+      await dropEntry(entry, error.message);
+      return true;
+    }
+    entry.attempts++;
+    entry.lastError = error.message;
+    entry.nextAttemptAt = Date.now() + retryDelay(entry.attempts, error);
+    return false;
+  }
+
+  removeEntry(entry);
+  stats.delivered++;
+  console.log(`Write buffer: delivered ${entry.id} (${entry.lines} lines for ${entry.org}/${entry.bucket})`);
+  await unlink(entry.file).catch(() => {});
+  return true;
+}
+
+// One pass over the writes that are due, oldest first. An instance that
+// fails again is left alone until its backoff has passed, so the writes
+// behind it wait too
+async function drain() {
+  const waiting = new Map();
+  for (const entry of [...entries]) {
+    const until = waiting.get(entry.instance);
+    if (!entries.includes(entry)) {
+      // Dropped for room while the pass was running
+      continue;
+    }
+    if (until !== undefined) {
+      entry.nextAttemptAt = Math.max(entry.nextAttemptAt, until);
+    } else if (entry.nextAttemptAt <= Date.now() && !(await deliver(entry))) {
+      waiting.set(entry.instance, entry.nextAttemptAt);
+    }
+  }
+}
+
+/**
+ * Send the buffered writes that are due now (one pass at a time; a call
+ * during a pass waits for it), then plan the next pass.
+ */
+export function drainWriteBuffer() {
+  draining ??= runOutsideRequestContext(drain)
+    .catch((error) => console.error(`Write buffer: retry pass failed: ${error.message}`))
+    .finally(() => {
+      draining = null;
+      scheduleDrain();
+    });
+  return draining;
+}
+
+// Plan a pass for when the next write is due. Timers start outside the
+// request that buffered a write, so retries do not inherit its deadline
+function scheduleDrain() {
+  clearTimeout(timer);
+  timer = null;
+  if (!started || draining || entries.length === 0) {
+    return;
+  }
+  const due = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+  runOutsideRequestContext(() => {
+    timer = setTimeout(drainWriteBuffer, Math.max(0, due - Date.now()));
+    // Pending retries do not keep the process alive
+    timer.unref();
+  });
+}
+
+// Whether the current request's principal may see a buffered write: only
+// those to buckets its policy lets it write to
+const isVisible = (write) =>
+  isAllowedForRequest({ instance: write.instance, org: write.org, writes: [write.bucket] });
+
+// State of the buffer for the write-queue-status tool and the
+// influxdb://write-queue resource. The queued writes (and the totals over
+// them) are those the caller may see; the counters cover every write
+export function writeBufferStatus() {
+  const visible = entries.filter(isVisible);
+  return {
+    enabled: started,
+    directory: WRITE_BUFFER_DIR,
+    maxBytes: WRITE_BUFFER_MAX_BYTES,
+    dropPolicy: WRITE_BUFFER_DROP_POLICY,
+    pending: visible.length,
+    bytes: visible.reduce((total, entry) => total + entry.bytes, 0),
+    lines: visible.reduce((total, entry) => total + entry.lines, 0),
+    ...stats,
+    lastDrop: lastDrop && isVisible(lastDrop) ? lastDrop : null,
+    entries: visible.slice(0, STATUS_ENTRY_LIMIT).map((entry) => ({
+      id: entry.id,
+      instance: entry.instance,
+      org: entry.org,
+      bucket: entry.bucket,
+      lines: entry.lines,
+      bytes: entry.bytes,
+      attempts: entry.attempts,
+      createdAt: entry.createdAt,
+      nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+      lastError: entry.lastError,
+    })),
+  };
+}
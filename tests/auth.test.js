@@ -0,0 +1,155 @@
+import { createHash } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { SignJWT } from "jose";
+import { createAuthenticator } from "../src/auth/authenticator.js";
+import {
+  authorizeAccess,
+  authorizeToolCall,
+  compilePolicy,
+  isToolAllowed,
+} from "../src/auth/policy.js";
+import { FORBIDDEN_ERROR_CODE, UNAUTHORIZED_ERROR_CODE } from "../src/auth/authError.js";
+
+const directory = mkdtempSync(path.join(tmpdir(), "auth-"));
+const apiKeysFile = path.join(directory, "keys.json");
+writeFileSync(apiKeysFile, JSON.stringify({
+  keys: [
+    { id: "analyst", name: "Analyst", key: "plain-key", policy: { tools: ["query-data"] } },
+    { id: "ops", sha256: createHash("sha256").update("hashed-key").digest("hex") },
+    { id: "old", key: "disabled-key", enabled: false },
+  ],
+}));
+
+const secret = "a-shared-secret-of-at-least-32-bytes!";
+const authenticator = createAuthenticator({
+  apiKeysFile,
+  jwtSecret: secret,
+  jwtIssuer: "https://issuer.example.com",
+  jwtAudience: "influxdb-mcp",
+  jwtRequiredScope: "mcp:use",
+});
+
+afterAll(() => {
+  rmSync(directory, { recursive: true, force: true });
+});
+
+const request = (headers) => ({ headers });
+
+// A token that passes every check, with `claims` and `key` overriding parts
+function token({ claims = {}, key = secret, expiresIn = "5m" } = {}) {
+  return new SignJWT({ scope: "openid mcp:use", ...claims })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuer(claims.iss ?? "https://issuer.example.com")
+    .setAudience(claims.aud ?? "influxdb-mcp")
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(new TextEncoder().encode(key));
+}
+
+const bearer = async (options) => request({ authorization: `Bearer ${await token(options)}` });
+
+describe("API keys", () => {
+  test("match plain and sha256 keys, from X-API-Key or as a bearer token", async () => {
+    expect(await authenticator.authenticate(request({ "x-api-key": "plain-key" })))
+      .toMatchObject({ id: "api-key:analyst", type: "api-key", name: "Analyst" });
+    expect(await authenticator.authenticate(request({ authorization: "Bearer hashed-key" })))
+      .toMatchObject({ id: "api-key:ops", name: "ops", policy: null });
+  });
+
+  test.each([
+    [{}, 401, "Authentication required"],
+    [{ "x-api-key": "wrong-key" }, 401, "Invalid API key"],
+    [{ authorization: "Bearer wrong-key" }, 401, "Invalid credentials"],
+    [{ "x-api-key": "disabled-key" }, 403, 'API key "old" is disabled'],
+  ])("reject %j", async (headers, status, message) => {
+    await expect(authenticator.authenticate(request(headers))).rejects.toMatchObject({
+      status,
+      code: status === 403 ? FORBIDDEN_ERROR_CODE : UNAUTHORIZED_ERROR_CODE,
+      message,
+    });
+  });
+});
+
+describe("JWTs", () => {
+  test("accept a valid token with its scopes and policy", async () => {
+    const principal = await authenticator.authenticate(await bearer({
+      claims: { sub: "user-1", name: "Ada", mcp_policy: { orgs: ["acme"] } },
+    }));
+
+    expect(principal).toMatchObject({ id: "jwt:user-1", type: "jwt", name: "Ada", scopes: ["openid", "mcp:use"] });
+    expect(principal.policy.orgs).toHaveLength(1);
+  });
+
+  test.each([
+    ["a bad signature", { claims: { sub: "u" }, key: "another-secret-of-at-least-32-bytes" }, 401, /signature verification failed/],
+    ["another issuer", { claims: { sub: "u", iss: "https://evil.example.com" } }, 401, /"iss" claim/],
+    ["another audience", { claims: { sub: "u", aud: "other-service" } }, 401, /"aud" claim/],
+    ["an expired token", { claims: { sub: "u" }, expiresIn: "-1m" }, 401, /"exp" claim/],
+    ["no subject", {}, 401, /"sub" claim/],
+    ["a missing scope", { claims: { sub: "u", scope: "openid" } }, 403, /required scope "mcp:use"/],
+    ["an invalid policy", { claims: { sub: "u", mcp_policy: { tools: "query-data" } } }, 403, /invalid mcp_policy/],
+  ])("reject %s", async (_, options, status, message) => {
+    await expect(authenticator.authenticate(await bearer(options))).rejects.toMatchObject({
+      status,
+      message: expect.stringMatching(message),
+    });
+  });
+});
+
+describe("policies", () => {
+  const principal = {
+    type: "api-key",
+    name: "scoped",
+    policy: compilePolicy({
+      tools: ["query-data", "get-*"],
+      instances: ["staging", "edge-*"],
+      orgs: ["acme"],
+      buckets: { read: ["sensors", "metrics-*"], write: ["scratch"] },
+    }),
+  };
+  const deniedWith = (reason) =>
+    expect.objectContaining({ code: FORBIDDEN_ERROR_CODE, message: expect.stringContaining(reason) });
+
+  test("allow listed tools, instances, orgs and buckets", () => {
+    expect(isToolAllowed(principal, "get-tag-values")).toBe(true);
+    expect(() => authorizeToolCall(principal, "query-data", {
+      instance: "edge-1",
+      org: "acme",
+      reads: ["metrics-cpu", "sensors"],
+      writes: ["scratch"],
+    })).not.toThrow();
+  });
+
+  test.each([
+    ["write-data", {}, 'tool "write-data" is not in this key\'s allowed tools'],
+    ["query-data", { instance: "production" }, 'not allowed on InfluxDB instance "production"'],
+    ["query-data", { org: "other" }, 'not allowed in organization "other"'],
+    ["query-data", { reads: ["secret"] }, 'may not read from bucket "secret"'],
+    ["query-data", { writes: ["sensors"] }, 'may not write to bucket "sensors"'],
+    ["query-data", { unresolved: ["buckets()"] }, "uses buckets()"],
+  ])("deny %s with %j", (tool, access, reason) => {
+    expect(isToolAllowed(principal, tool)).toBe(tool !== "write-data");
+    expect(() => authorizeToolCall(principal, tool, access)).toThrow(deniedWith(reason));
+  });
+
+  test("a plain bucket list applies to reads and writes", () => {
+    const plain = { type: "jwt", name: "u", policy: compilePolicy({ buckets: ["a"] }) };
+
+    expect(() => authorizeAccess(plain, "resource", { reads: ["a"], writes: ["a"] })).not.toThrow();
+    expect(() => authorizeAccess(plain, "resource", { writes: ["b"] })).toThrow(deniedWith('write to bucket "b"'));
+  });
+
+  test("principals without a policy are unrestricted", () => {
+    expect(() => authorizeToolCall({ type: "api-key", name: "ops", policy: null }, "write-data", {
+      org: "any",
+      writes: ["any"],
+      unresolved: ["buckets()"],
+    })).not.toThrow();
+  });
+
+  test("malformed policies are rejected", () => {
+    expect(() => compilePolicy({ orgs: "acme" })).toThrow('Policy "orgs" must be an array of strings');
+  });
+});
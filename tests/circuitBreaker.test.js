@@ -0,0 +1,78 @@
+import { jest } from "@jest/globals";
+import { CircuitBreaker } from "../src/utils/circuitBreaker.js";
+
+const failure = new Error("connect ECONNREFUSED");
+
+describe("CircuitBreaker", () => {
+  let now;
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const openBreaker = () => {
+    const breaker = new CircuitBreaker("default", { threshold: 3, cooldownMs: 10000 });
+    for (let i = 0; i < 3; i++) {
+      breaker.beforeRequest();
+      breaker.recordFailure(failure);
+    }
+    return breaker;
+  };
+
+  test("opens after the threshold of failures in a row", () => {
+    const breaker = new CircuitBreaker("default", { threshold: 3, cooldownMs: 10000 });
+    breaker.recordFailure(failure);
+    breaker.recordFailure(failure);
+    breaker.recordSuccess();
+    breaker.recordFailure(failure);
+    expect(breaker.status().state).toBe("closed");
+
+    expect(openBreaker().status()).toMatchObject({
+      state: "open",
+      consecutiveFailures: 3,
+      lastError: failure.message,
+    });
+  });
+
+  test("fails fast while open and says when to retry", () => {
+    const breaker = openBreaker();
+    now += 4000;
+    expect(() => breaker.beforeRequest()).toThrow(
+      /instance "default" is unavailable: 3 requests failed .* allowed in 6 s/,
+    );
+  });
+
+  test("lets one trial through after the cooldown", () => {
+    const breaker = openBreaker();
+    now += 10000;
+    expect(() => breaker.beforeRequest()).not.toThrow();
+    expect(breaker.status().state).toBe("half-open");
+    expect(() => breaker.beforeRequest()).toThrow(/unavailable/);
+
+    breaker.recordSuccess();
+    expect(breaker.status()).toEqual({ state: "closed", consecutiveFailures: 0 });
+  });
+
+  test("reopens when the trial fails", () => {
+    const breaker = openBreaker();
+    now += 10000;
+    breaker.beforeRequest();
+    breaker.recordFailure(failure);
+    expect(breaker.status().state).toBe("open");
+    expect(() => breaker.beforeRequest()).toThrow(/allowed in 10 s/);
+  });
+
+  test("frees the trial slot when the trial ends without an answer", () => {
+    const breaker = openBreaker();
+    now += 10000;
+    breaker.beforeRequest();
+    breaker.recordNeutral();
+    expect(() => breaker.beforeRequest()).not.toThrow();
+  });
+
+  test("lets probes through an open circuit", () => {
+    const breaker = openBreaker();
+    expect(() => breaker.beforeRequest({ probe: true })).not.toThrow();
+  });
+});
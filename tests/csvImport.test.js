@@ -0,0 +1,81 @@
+import { convertCsv } from "../src/utils/csvImport.js";
+
+const mapping = {
+  measurement: "weather",
+  timestampColumn: "time",
+  tagColumns: ["station"],
+  fieldColumns: { temp: "float", samples: "integer", ok: "boolean", note: "string" },
+};
+
+describe("convertCsv", () => {
+  test("maps columns to tags, typed fields and the timestamp", () => {
+    const csv = [
+      "\uFEFFtime,station,temp,samples,ok,note,ignored",
+      '2024-05-01T12:00:00Z,"Oslo, Blindern",21.5,3,yes,"said ""hi""",x',
+      "2024-05-01 12:00:00.5,Bergen,,4,0,,y",
+      "",
+      "2024-05-01,Tromsø,-3,5,TRUE,snow,z",
+    ].join("\r\n");
+
+    expect(convertCsv(csv, mapping)).toEqual({
+      precision: "ns",
+      items: [
+        { row: 2, line: 'weather,station=Oslo\\,\\ Blindern temp=21.5,samples=3i,ok=true,note="said \\"hi\\"" 1714564800000000000' },
+        { row: 3, line: "weather,station=Bergen samples=4i,ok=false 1714564800500000000" },
+        { row: 5, line: 'weather,station=Tromsø temp=-3,samples=5i,ok=true,note="snow" 1714521600000000000' },
+      ],
+    });
+  });
+
+  test("reports rows that cannot be converted", () => {
+    const csv = [
+      "time,station,temp,samples,ok,note",
+      "2024-05-01T12:00:00Z,a,warm,1,true,",
+      "2024-05-01T12:00:00Z,a,1,1.5,true,",
+      "2024-05-01T12:00:00Z,a,1,1,maybe,",
+      ",a,1,1,true,",
+      "2024-05-01T12:00:00Z,a,1",
+      "2024-05-01T12:00:00Z,a,,,,",
+    ].join("\n");
+
+    expect(convertCsv(csv, mapping).items).toEqual([
+      { row: 2, error: 'Field "temp" is not a finite number: "warm"' },
+      { row: 3, error: 'Field "samples" is not an integer: "1.5"; pass integers above 2^53 as strings' },
+      { row: 4, error: 'Field "ok" is not a boolean: "maybe"' },
+      { row: 5, error: 'Column "time" is empty' },
+      { row: 6, error: "Row has 3 columns, the header has 6" },
+      { row: 7, error: "Point has no fields; it needs at least one non-null field" },
+    ]);
+  });
+
+  test("takes epoch timestamps, a measurement column and another delimiter", () => {
+    const csv = "ts;kind;value\n1714564800000;cpu;0.5\n1714564801000;mem;12";
+
+    expect(convertCsv(csv, {
+      measurementColumn: "kind",
+      timestampColumn: "ts",
+      timestampFormat: "ms",
+      fieldColumns: { value: "float" },
+      delimiter: ";",
+    })).toEqual({
+      precision: "ms",
+      items: [
+        { row: 2, line: "cpu value=0.5 1714564800000" },
+        { row: 3, line: "mem value=12 1714564801000" },
+      ],
+    });
+  });
+
+  test("rejects a mapping that does not fit the header", () => {
+    const csv = "time,temp\n2024-05-01T12:00:00Z,1";
+
+    expect(() => convertCsv(csv, { ...mapping, tagColumns: [] }))
+      .toThrow('Column "samples" is not in the CSV header ("time", "temp")');
+    expect(() => convertCsv(csv, { fieldColumns: { temp: "float" } }))
+      .toThrow("Give exactly one of measurement");
+    expect(() => convertCsv(csv, { measurement: "m", timestampColumn: "temp", fieldColumns: { temp: "float" } }))
+      .toThrow('Column "temp" is mapped more than once');
+    expect(() => convertCsv("\n\n", { measurement: "m", fieldColumns: { temp: "float" } }))
+      .toThrow("The CSV is empty");
+  });
+});
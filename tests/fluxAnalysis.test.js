@@ -0,0 +1,69 @@
+import { extractBucketReferences, findFluxSideEffects } from "../src/utils/fluxAnalysis.js";
+
+describe("extractBucketReferences", () => {
+  test("reads the buckets of from() and writes those of to()", () => {
+    const query = [
+      'from(bucket: "sensors") |> range(start: -1h)',
+      '  |> to(bucket: "rollups", org: "acme")',
+      'influxdb.wideTo(bucket: "wide")',
+    ].join("\n");
+
+    expect(extractBucketReferences(query)).toEqual({
+      reads: ["sensors"],
+      writes: ["rollups", "wide"],
+      unresolved: [],
+    });
+  });
+
+  test.each([
+    ['import "influxdata/influxdb/schema"\nschema.tagValues(bucket: "secret", tag: "host")'],
+    ['import "influxdata/influxdb"\ninfluxdb.cardinality(bucket: "secret", start: -1h)'],
+    ['import "influxdata/influxdb/v1"\nv1.measurements(bucket: "secret")'],
+    ['read = (bucket) => 1\nread(bucket: "secret")'],
+    ['s = "${ string(v: (from(bucket: "secret") |> range(start: -1h) |> count() |> findRecord(fn: (key) => true, idx: 0))._value) }"'],
+  ])("reads the bucket argument of any call: %s", (query) => {
+    expect(extractBucketReferences(query).reads).toContain("secret");
+  });
+
+  test.each([
+    ['f = from\nf(bucket: "secret") |> range(start: -1h)', "from used as a value"],
+    ['w = to\nfrom(bucket: "a") |> range(start: -1h) |> w(bucket: "other", org: "o")', "to used as a value"],
+    ['e = experimental.to\ne(bucket: "other")', "experimental.to used as a value"],
+    ['apply = (fn) => fn(bucket: "secret")\napply(fn: from)', "from used as a value"],
+    ['schema.tagValues(bucket: name, tag: "host")', "schema.tagValues() with a non-literal bucket"],
+    ['from(bucketID: "0123456789abcdef") |> range(start: -1h)', "from() with a non-literal bucket"],
+    ['from(bucket: "sensors-${env}") |> range(start: -1h)', "from() with a non-literal bucket"],
+  ])("cannot resolve %s", (query, reason) => {
+    const { unresolved } = extractBucketReferences(query);
+    expect(unresolved.some((entry) => entry.startsWith(reason))).toBe(true);
+  });
+
+  test("does not mistake record keys, argument names or members for functions", () => {
+    const query = 'from(bucket: "a") |> range(start: -1h) |> map(fn: (r) => ({ r with to: r.from }))';
+
+    expect(extractBucketReferences(query)).toEqual({ reads: ["a"], writes: [], unresolved: [] });
+  });
+});
+
+describe("findFluxSideEffects", () => {
+  test.each([
+    ['from(bucket: "a") |> range(start: -1h) |> to(bucket: "b")', ["to"]],
+    ['import e "experimental"\nfrom(bucket: "a") |> range(start: -1h) |> e.to(bucket: "b")', ["e.to"]],
+    ['import h "http"\nh.post(url: "https://example.com", data: bytes(v: "x"))', ["h.post"]],
+    ['w = to\nfrom(bucket: "a") |> range(start: -1h) |> w(bucket: "other", org: "o")', ["to"]],
+    ['import "http"\nsend = http.post\nsend(url: "https://example.com")', ["http.post"]],
+    ['apply = (tables=<-, fn) => tables |> fn(bucket: "b")\nfrom(bucket: "a") |> range(start: -1h) |> apply(fn: to)', ["to"]],
+  ])("finds %s", (query, names) => {
+    expect(findFluxSideEffects(query).map(({ name }) => name)).toEqual(names);
+  });
+
+  test("ignores reads, comments, strings and record keys", () => {
+    const query = [
+      '// |> to(bucket: "b")',
+      'from(bucket: "a") |> range(start: -1h)',
+      '  |> map(fn: (r) => ({ r with to: r.to, note: "to(bucket: x)" }))',
+    ].join("\n");
+
+    expect(findFluxSideEffects(query)).toEqual([]);
+  });
+});
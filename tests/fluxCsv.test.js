@@ -0,0 +1,109 @@
+import { parseFluxCsv, readFluxCsv } from "../src/utils/fluxCsv.js";
+
+// Two tables, quoted fields with commas, quotes and line breaks, a
+// multi-byte character and CRLF line endings, as /api/v2/query sends them
+const CSV = [
+  "#group,false,false,true,false,false",
+  "#datatype,string,long,string,double,string",
+  "#default,_result,,,,",
+  ",result,table,host,_value,note",
+  ',,0,"a,b",1.5,"say ""hi"""',
+  ",,0,\"a,b\",-2,\"two\nlines\"",
+  ",,1,ünï,+Inf,",
+  "",
+  "#group,false,false,false",
+  "#datatype,string,long,boolean",
+  "#default,_result,,",
+  ",result,table,ok",
+  ",,2,true",
+  "",
+].join("\r\n");
+
+// Response body delivering the text in the given pieces
+async function* body(buffer, sizes) {
+  let offset = 0;
+  for (const size of sizes) {
+    yield buffer.subarray(offset, offset + size);
+    offset += size;
+  }
+  if (offset < buffer.length) {
+    yield buffer.subarray(offset);
+  }
+}
+
+const rowsOf = (tables) => tables.flatMap((table) => table.rows);
+
+describe("readFluxCsv", () => {
+  const buffer = Buffer.from(CSV, "utf8");
+  const expected = parseFluxCsv(CSV);
+
+  test("matches parseFluxCsv", () => {
+    expect(rowsOf(expected)).toHaveLength(4);
+    expect(expected[0].rows[1].note).toBe("two\nlines");
+  });
+
+  test("parses the same tables wherever the body is split", async () => {
+    for (let split = 1; split < buffer.length; split++) {
+      const { tables, truncated } = await readFluxCsv(body(buffer, [split]));
+      expect({ split, tables }).toEqual({ split, tables: expected });
+      expect(truncated).toBe(false);
+    }
+  });
+
+  test("parses a body arriving one byte at a time", async () => {
+    const { tables } = await readFluxCsv(body(buffer, Array(buffer.length).fill(1)));
+    expect(tables).toEqual(expected);
+  });
+
+  test("stops after maxRows rows", async () => {
+    const { tables, truncated } = await readFluxCsv(body(buffer, [40]), { maxRows: 2 });
+    expect(truncated).toBe(true);
+    expect(rowsOf(tables)).toEqual(rowsOf(expected).slice(0, 2));
+    expect(tables).toHaveLength(1);
+  });
+
+  test("is not truncated when the rows exactly fill maxRows", async () => {
+    const { truncated } = await readFluxCsv(body(buffer, []), { maxRows: 4 });
+    expect(truncated).toBe(false);
+  });
+
+  test("drops the partial last record when maxBytes cuts the body", async () => {
+    const cut = CSV.indexOf(",,1,");
+    const { tables, truncated } = await readFluxCsv(body(buffer, [50, 50, 50]), {
+      maxBytes: cut + 5,
+    });
+    expect(truncated).toBe(true);
+    expect(rowsOf(tables)).toEqual(rowsOf(expected).slice(0, 2));
+  });
+
+  test("reports the row count after every chunk", async () => {
+    const counts = [];
+    await readFluxCsv(body(buffer, [120, 60]), {
+      onChunk: (tables, rowCount) => counts.push(rowCount),
+    });
+    expect(counts.at(-1)).toBe(4);
+    expect(counts).toEqual([...counts].sort((a, b) => a - b));
+  });
+
+  test("throws Flux error tables", async () => {
+    const error = Buffer.from(
+      "#datatype,string,string\r\n#group,true,true\r\n#default,,\r\n,error,reference\r\n,bad query,897\r\n",
+    );
+    await expect(readFluxCsv(body(error, [7]))).rejects.toThrow(
+      "Flux query error: bad query (reference 897)",
+    );
+  });
+});
+
+describe("parseFluxCsv", () => {
+  test("keeps integers beyond 2^53 as strings", () => {
+    const [table] = parseFluxCsv([
+      "#datatype,string,long,long,unsignedLong",
+      ",result,small,big,huge",
+      ",,-42,9007199254740993,18446744073709551615",
+      "",
+    ].join("\r\n"));
+
+    expect(table.rows[0]).toMatchObject({ small: -42, big: "9007199254740993", huge: "18446744073709551615" });
+  });
+});
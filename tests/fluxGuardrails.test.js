@@ -0,0 +1,75 @@
+import { jest } from "@jest/globals";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import * as path from "node:path";
+
+// Guardrails as an operator would configure them
+const guardrailsFile = path.join(mkdtempSync(path.join(tmpdir(), "guardrails-")), "guardrails.json");
+writeFileSync(guardrailsFile, JSON.stringify({
+  maxRange: "30d",
+  maxFromCalls: 2,
+  rejectUnboundedGroup: true,
+  buckets: {
+    raw: { maxRange: "1d" },
+    archive: { maxRange: null },
+  },
+}));
+
+jest.unstable_mockModule("../src/config/env.js", () => ({
+  QUERY_GUARDRAILS_FILE: guardrailsFile,
+}));
+
+const { fluxGuardrailViolations } = await import("../src/utils/fluxGuardrails.js");
+
+describe("fluxGuardrailViolations", () => {
+  test.each([
+    'from(bucket: "metrics") |> range(start: -1h) |> mean()',
+    'from(bucket: "raw") |> range(start: -12h, stop: now())',
+    'from(bucket: "archive") |> range(start: 0)',
+    'from(bucket: "metrics") |> range(start: 2024-01-01T00:00:00Z, stop: 2024-01-20T00:00:00Z)',
+    'from(bucket: "metrics") |> range(start: -1h) |> group() |> count()',
+    'from(bucket: "metrics") |> range(start: -1h) |> group(columns: ["host"])',
+    'data = from(bucket: "metrics")\ndata |> range(start: -1h) |> last()',
+    '// from(bucket: "metrics") without a range\nfrom(bucket: "metrics") |> range(start: -5m)',
+  ])("accepts %s", (query) => {
+    expect(fluxGuardrailViolations(query)).toEqual([]);
+  });
+
+  test.each([
+    ['from(bucket: "metrics") |> filter(fn: (r) => r._measurement == "cpu")', /has no range\(\).*range\(start: -30d\)/],
+    ['from(bucket: "metrics") |> range(start: 0)', /spans \d+d.*more than the 30d allowed/],
+    ['from(bucket: "raw") |> range(start: -2d)', /spans 2d, more than the 1d allowed for bucket "raw"/],
+    ['from(bucket: "constructor") |> range(start: 0)', /spans \d+d\w*, more than the 30d allowed\. /],
+    ['s = "${ string(v: (from(bucket: "metrics") |> count() |> findRecord(fn: (key) => true, idx: 0))._value) }"', /has no range\(\)/],
+    ['from(bucket: "metrics") |> range(start: v.timeRangeStart)', /cannot be checked against the 30d allowed/],
+    ['from(bucket: "metrics") |> range(start: -1h) |> group()', /group\(\) .* merges every series/],
+    ['data = from(bucket: "metrics")\ndata |> mean()', /has no range\(\)/],
+    ['f = from\nf(bucket: "metrics") |> mean()', /from is used as a value \(e\.g\. f = from\)/],
+    ['import "influxdata/influxdb/v1"\nread = v1.from\nread(bucket: "raw")', /v1\.from is used as a value/],
+    ['apply = (fn) => fn(bucket: "metrics")\napply(fn: from) |> range(start: -1h)', /Call from\(\) directly/],
+  ])("rejects %s", (query, message) => {
+    const problems = fluxGuardrailViolations(query);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatch(message);
+  });
+
+  test("limits the number of from() calls", () => {
+    const query = ["a", "b", "c"]
+      .map((bucket) => `${bucket} = from(bucket: "${bucket}") |> range(start: -1h)`)
+      .concat("union(tables: [a, b, c])")
+      .join("\n");
+
+    expect(fluxGuardrailViolations(query)).toEqual([
+      "The query reads data with 3 from() calls; at most 2 are allowed. Split it into several queries.",
+    ]);
+  });
+
+  test("counts from() calls inside string interpolation", () => {
+    const read = (bucket) => `(from(bucket: "${bucket}") |> range(start: -1h) |> count() |> findRecord(fn: (key) => true, idx: 0))._value`;
+    const query = `s = "\${ string(v: ${read("a")}) } \${ string(v: ${read("b")}) } \${ string(v: ${read("c")}) }"`;
+
+    expect(fluxGuardrailViolations(query)).toEqual([
+      "The query reads data with 3 from() calls; at most 2 are allowed. Split it into several queries.",
+    ]);
+  });
+});
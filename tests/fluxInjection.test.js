@@ -0,0 +1,181 @@
+import { jest } from "@jest/globals";
+import {
+  assertFluxName,
+  findFluxCalls,
+  findFluxSideEffects,
+  fluxMember,
+  quoteFluxString,
+  tokenizeFlux,
+  unquoteFluxString,
+} from "../src/utils/fluxAnalysis.js";
+
+// Names that would break out of a naively interpolated string literal
+const HOSTILE_NAMES = [
+  'say "hi"',
+  "trailing\\",
+  "back\\slash\\\"quote",
+  'x") |> to(bucket: "stolen',
+  "${string(v: 1)}",
+  "\\${escaped}",
+  "measurement with spaces, commas = and équals",
+];
+
+// Odd but legal tag keys, which cannot be written as r.<key>
+const ODD_TAG_KEYS = ["host-name", "with space", "1st", "and", 'quote"]', "ünïcode"];
+
+// Queries the handlers send, captured by the mocked client
+const fluxQueries = [];
+let fluxResult = [];
+
+jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+  getServerMajorVersion: async () => 2,
+  getInfluxInstance: () => ({ name: "default", org: "test-org" }),
+  queryFlux: async (org, query) => {
+    fluxQueries.push(query);
+    return fluxResult;
+  },
+  influxRequest: async (endpoint) => ({
+    json: async () => (endpoint.startsWith("/api/v2/orgs")
+      ? { orgs: [{ id: "o1", name: "test-org" }] }
+      : { buckets: HOSTILE_NAMES.map((name, i) => ({ id: `b${i}`, name, orgID: "o1" })) }),
+  }),
+}));
+
+const { getTagValues } = await import("../src/handlers/getTagValuesTool.js");
+const { getMeasurementSchema } = await import("../src/handlers/getMeasurementSchemaTool.js");
+const { getMeasurements } = await import("../src/handlers/getMeasurementsTool.js");
+const { getBucketInfo } = await import("../src/handlers/getBucketInfoTool.js");
+const { bucketMeasurements } = await import("../src/handlers/measurementsHandler.js");
+
+// String value of a call's argument, which must be a single literal
+function literalArgument(query, callName, argName) {
+  const [call] = findFluxCalls(tokenizeFlux(query), [callName]);
+  expect(call).toBeDefined();
+  const tokens = call.args[argName];
+  expect(tokens).toHaveLength(1);
+  expect(tokens[0].type).toBe("string");
+  return unquoteFluxString(tokens[0].value);
+}
+
+// The query must not have gained any call the handler did not write
+function expectNoInjectedCalls(query) {
+  expect(findFluxSideEffects(query)).toEqual([]);
+}
+
+beforeEach(() => {
+  fluxQueries.length = 0;
+  fluxResult = [];
+});
+
+describe("quoteFluxString", () => {
+  test.each([...HOSTILE_NAMES, "", "line\nbreak\ttab\r"])(
+    "round-trips %j as a single string token",
+    (value) => {
+      const literal = quoteFluxString(value);
+      const tokens = tokenizeFlux(literal);
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].type).toBe("string");
+      expect(unquoteFluxString(tokens[0].value)).toBe(value);
+    },
+  );
+
+  test("escapes string interpolation", () => {
+    expect(quoteFluxString("${x}")).toBe('"\\${x}"');
+  });
+});
+
+describe("fluxMember", () => {
+  test("uses dot access for plain identifiers", () => {
+    expect(fluxMember("r", "host")).toBe("r.host");
+    expect(fluxMember("r", "_measurement")).toBe("r._measurement");
+  });
+
+  test.each(ODD_TAG_KEYS)("uses bracket access for %j", (key) => {
+    const tokens = tokenizeFlux(fluxMember("r", key));
+    expect(tokens.map((t) => t.value).slice(0, 2)).toEqual(["r", "["]);
+    expect(unquoteFluxString(tokens[2].value)).toBe(key);
+    expect(tokens).toHaveLength(4);
+  });
+});
+
+describe("assertFluxName", () => {
+  test.each(["", "new\nline", "nul\u0000", undefined, 42])("rejects %j", (value) => {
+    expect(() => assertFluxName("bucket", value)).toThrow(/Invalid bucket/);
+  });
+
+  test.each(HOSTILE_NAMES)("accepts %j", (value) => {
+    expect(assertFluxName("bucket", value)).toBe(value);
+  });
+});
+
+describe("discovery handlers", () => {
+  test.each(HOSTILE_NAMES)("getMeasurements quotes bucket %j", async (bucket) => {
+    await getMeasurements({ org: "test-org", bucket });
+
+    expect(fluxQueries).toHaveLength(1);
+    expect(literalArgument(fluxQueries[0], "from", "bucket")).toBe(bucket);
+    expectNoInjectedCalls(fluxQueries[0]);
+  });
+
+  test.each(HOSTILE_NAMES)("getMeasurementSchema quotes %j", async (name) => {
+    await getMeasurementSchema({ org: "test-org", bucket: name, measurement: name });
+
+    expect(fluxQueries).toHaveLength(2);
+    for (const [query, call] of [
+      [fluxQueries[0], "schema.measurementFieldKeys"],
+      [fluxQueries[1], "schema.measurementTagKeys"],
+    ]) {
+      expect(literalArgument(query, call, "bucket")).toBe(name);
+      expect(literalArgument(query, call, "measurement")).toBe(name);
+      expectNoInjectedCalls(query);
+    }
+  });
+
+  test.each(HOSTILE_NAMES)("getTagValues quotes %j", async (name) => {
+    await getTagValues({ org: "test-org", bucket: name, tagKey: name, measurement: name });
+
+    expect(fluxQueries).toHaveLength(1);
+    const query = fluxQueries[0];
+    expect(literalArgument(query, "schema.tagValues", "bucket")).toBe(name);
+    expect(literalArgument(query, "schema.tagValues", "tag")).toBe(name);
+    const predicate = findFluxCalls(tokenizeFlux(query), ["schema.tagValues"])[0].args.predicate;
+    const literals = predicate.filter((t) => t.type === "string");
+    expect(literals.map((t) => unquoteFluxString(t.value))).toEqual([name]);
+    expectNoInjectedCalls(query);
+  });
+
+  test.each(ODD_TAG_KEYS)("getTagValues example filters on tag key %j", async (tagKey) => {
+    fluxResult = [{ columns: [], rows: [{ _value: 'v"1' }] }];
+
+    const result = await getTagValues({ org: "test-org", bucket: "b", tagKey });
+
+    const example = result.content[0].text.match(/```flux\n([\s\S]*?)```/)[1];
+    expect(example).toContain(`${fluxMember("r", tagKey)} == ${quoteFluxString('v"1')}`);
+    expectNoInjectedCalls(example);
+  });
+
+  test.each(HOSTILE_NAMES)("getBucketInfo quotes bucket %j", async (bucketName) => {
+    await getBucketInfo({ org: "test-org", bucketName });
+
+    expect(fluxQueries).toHaveLength(1);
+    expect(literalArgument(fluxQueries[0], "from", "bucket")).toBe(bucketName);
+    expectNoInjectedCalls(fluxQueries[0]);
+  });
+
+  test.each(HOSTILE_NAMES)("bucketMeasurements quotes bucket %j", async (bucketName) => {
+    const uri = new URL("influxdb://bucket/x/measurements");
+    await bucketMeasurements(uri, { bucketName });
+
+    expect(fluxQueries).toHaveLength(1);
+    expect(literalArgument(fluxQueries[0], "schema.measurements", "bucket")).toBe(bucketName);
+    expectNoInjectedCalls(fluxQueries[0]);
+  });
+
+  test("rejects names with control characters before querying", async () => {
+    const result = await getTagValues({ org: "test-org", bucket: "b", tagKey: "bad\nkey" });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Invalid tag key/);
+    expect(fluxQueries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,55 @@
+import { createServer } from "node:http";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { gunzipSync } from "node:zlib";
+
+/**
+ * Local stand-in for InfluxDB, shared by the tests that exercise the real
+ * HTTP client. `handle(req, res, url)` answers every request once its body
+ * has been read into req.body (gunzipped when it was sent gzipped); url is
+ * the parsed request URL.
+ * Returns { url, close }.
+ */
+export async function startInfluxStandIn(handle) {
+  const server = createServer((req, res) => {
+    const parts = [];
+    req.on("data", (part) => parts.push(part));
+    req.on("end", () => {
+      const body = Buffer.concat(parts);
+      req.body = (req.headers["content-encoding"] === "gzip" ? gunzipSync(body) : body).toString();
+      handle(req, res, new URL(req.url, "http://localhost"));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    // Requests left hanging by a test are cut off
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Answer with a JSON body
+export function sendJson(res, body, status = 200) {
+  res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+}
+
+// Answer /ping as InfluxDB 2.x does
+export function sendPing(res, version = "v2.7.1") {
+  res.writeHead(204, { "X-Influxdb-Version": version }).end();
+}
+
+/**
+ * Write an instances file (see src/config/instances.js) to a temporary
+ * directory. Returns { file, remove }.
+ */
+export function writeInstancesFile(config) {
+  const directory = mkdtempSync(path.join(tmpdir(), "instances-"));
+  const file = path.join(directory, "instances.json");
+  writeFileSync(file, JSON.stringify(config));
+  return { file, remove: () => rmSync(directory, { recursive: true, force: true }) };
+}
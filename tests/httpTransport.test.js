@@ -0,0 +1,233 @@
+import express from "express";
+import { HttpTransport } from "../src/utils/httpTransport.js";
+
+// The transport behind a bare express app, answering every request with an
+// empty result unless a test holds it back
+const transport = new HttpTransport({ allowedOrigins: ["https://app.example.com"] });
+let heldRequests = [];
+transport.onMessage(async (message, { signal, sendNotification }) => {
+  if (message.method === "notify") {
+    await sendNotification({ method: "notifications/progress", params: { progressToken: 1, progress: 1 } });
+  }
+  if (message.method === "hold") {
+    await new Promise((resolve) => {
+      heldRequests.push(resolve);
+      signal.addEventListener("abort", resolve);
+    });
+  }
+  return { jsonrpc: "2.0", id: message.id, result: {} };
+});
+
+const app = express();
+app.use(express.json());
+app.all("/mcp", (req, res) => transport.handleRequest(req, res));
+const server = await new Promise((resolve) => {
+  const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+});
+const mcpUrl = `http://127.0.0.1:${server.address().port}/mcp`;
+
+afterAll(async () => {
+  await transport.close();
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+let nextId = 1;
+function post(message, headers = {}) {
+  return fetch(mcpUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+    body: JSON.stringify({ jsonrpc: "2.0", ...message }),
+  });
+}
+
+async function initialize(protocolVersion = "2025-03-26") {
+  const response = await post({
+    id: nextId++,
+    method: "initialize",
+    params: { protocolVersion, capabilities: {}, clientInfo: { name: "test", version: "1.0" } },
+  });
+  expect(response.status).toBe(200);
+  return response.headers.get("mcp-session-id");
+}
+
+describe("sessions", () => {
+  test("initialize creates a session that later requests must name", async () => {
+    const sessionId = await initialize("2024-11-05");
+
+    expect(transport.sessions.sessions.get(sessionId).protocolVersion).toBe("2024-11-05");
+    expect((await post({ id: nextId++, method: "ping" }, { "Mcp-Session-Id": sessionId })).status).toBe(200);
+    expect((await post({ id: nextId++, method: "ping" })).status).toBe(400);
+    expect((await post({ id: nextId++, method: "ping" }, { "Mcp-Session-Id": "unknown" })).status).toBe(404);
+  });
+
+  test("DELETE terminates the session and cancels its running requests", async () => {
+    const sessionId = await initialize();
+    const held = post({ id: nextId++, method: "hold" }, { "Mcp-Session-Id": sessionId });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const [{ signal }] = transport.sessions.sessions.get(sessionId).pendingRequests.values();
+
+    const response = await fetch(mcpUrl, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId } });
+
+    expect(response.status).toBe(200);
+    expect(signal.reason).toBe("Session terminated");
+    await held;
+    expect((await post({ id: nextId++, method: "ping" }, { "Mcp-Session-Id": sessionId })).status).toBe(404);
+  });
+
+  test("idle sessions expire, but not while a request is running", async () => {
+    heldRequests = [];
+    const sessionId = await initialize();
+    const session = transport.sessions.sessions.get(sessionId);
+    const held = post({ id: nextId++, method: "hold" }, { "Mcp-Session-Id": sessionId });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    // Idle for longer than the timeout while the request runs
+    session.lastActivity -= 60 * 60 * 1000;
+    transport.sessions.expireIdleSessions();
+    expect(transport.sessions.sessions.has(sessionId)).toBe(true);
+
+    // Finishing the request counts as activity
+    heldRequests[0]();
+    expect((await held).status).toBe(200);
+    transport.sessions.expireIdleSessions();
+    expect(transport.sessions.sessions.has(sessionId)).toBe(true);
+
+    session.lastActivity -= 60 * 60 * 1000;
+    transport.sessions.expireIdleSessions();
+    expect(transport.sessions.sessions.has(sessionId)).toBe(false);
+  });
+
+  test("initialize past maxSessions is refused unless an idle session can expire", async () => {
+    heldRequests = [];
+    const { sessions } = transport;
+    sessions.maxSessions = sessions.sessions.size + 1;
+    try {
+      const busyId = await initialize();
+      const busy = sessions.sessions.get(busyId);
+      const held = post({ id: nextId++, method: "hold" }, { "Mcp-Session-Id": busyId });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      // Long idle, but with a request running
+      busy.lastActivity -= 60 * 60 * 1000;
+
+      const refused = await post({ id: 9, method: "initialize", params: { protocolVersion: "2025-03-26" } });
+
+      expect(refused.status).toBe(503);
+      expect(refused.headers.get("mcp-session-id")).toBeNull();
+      expect(await refused.json()).toMatchObject({ id: 9, error: { message: "Too many open sessions; try again later" } });
+      expect(sessions.sessions.has(busyId)).toBe(true);
+
+      // Once the request is answered, the session is idle and makes room
+      heldRequests[0]();
+      await held;
+      busy.lastActivity -= 60 * 60 * 1000;
+      const sessionId = await initialize();
+
+      expect(sessions.sessions.has(busyId)).toBe(false);
+      expect(sessions.sessions.has(sessionId)).toBe(true);
+    } finally {
+      sessions.maxSessions = 1000;
+    }
+  });
+});
+
+describe("Origin header", () => {
+  test("requests from an origin not in allowedOrigins are refused", async () => {
+    const response = await post({ id: 7, method: "ping" }, { Origin: "https://evil.example.com" });
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ id: 7, error: { message: "Origin https://evil.example.com is not allowed" } });
+  });
+
+  test("an origin is refused before the session is looked at", async () => {
+    const sessionId = await initialize();
+
+    const get = await fetch(mcpUrl, { headers: { "Mcp-Session-Id": sessionId, Origin: "http://127.0.0.1" } });
+    const remove = await fetch(mcpUrl, { method: "DELETE", headers: { "Mcp-Session-Id": sessionId, Origin: "null" } });
+
+    expect([get.status, remove.status]).toEqual([403, 403]);
+    expect(transport.sessions.sessions.has(sessionId)).toBe(true);
+  });
+
+  test("allowed origins and requests without one are served", async () => {
+    expect((await post({ id: nextId++, method: "initialize", params: {} }, { Origin: "https://app.example.com" })).status).toBe(200);
+    expect((await post({ id: nextId++, method: "initialize", params: {} })).status).toBe(200);
+  });
+
+  test('"*" allows any origin', () => {
+    const open = new HttpTransport({ allowedOrigins: ["*"] });
+
+    expect(open.isAllowedOrigin("https://evil.example.com")).toBe(true);
+    expect(new HttpTransport().isAllowedOrigin("https://app.example.com")).toBe(false);
+    expect(new HttpTransport().isAllowedOrigin(undefined)).toBe(true);
+  });
+});
+
+describe("resumable SSE streams", () => {
+  // Read the stream until `until` appears, then disconnect
+  async function readStream(response, controller, until) {
+    const decoder = new TextDecoder();
+    let text = "";
+    for await (const chunk of response.body) {
+      text += decoder.decode(chunk, { stream: true });
+      if (text.includes(until)) {
+        break;
+      }
+    }
+    controller.abort();
+    return text;
+  }
+
+  const eventIds = (text) => [...text.matchAll(/^id: (\d+)$/gm)].map(([, id]) => Number(id));
+
+  test("Last-Event-ID replays the messages sent after that event", async () => {
+    const sessionId = await initialize();
+    // Sent while no stream is attached
+    for (const n of [1, 2, 3]) {
+      await transport.send({ jsonrpc: "2.0", method: "notifications/message", params: { n } }, sessionId);
+    }
+
+    const controller = new AbortController();
+    const response = await fetch(mcpUrl, {
+      headers: { Accept: "text/event-stream", "Mcp-Session-Id": sessionId, "Last-Event-ID": "1" },
+      signal: controller.signal,
+    });
+    const reading = readStream(response, controller, "id: 4");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await transport.send({ jsonrpc: "2.0", method: "notifications/message", params: { n: 4 } }, sessionId);
+    const text = await reading;
+
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+    expect(eventIds(text)).toEqual([2, 3, 4]);
+    expect(text).toContain('"params":{"n":2}');
+  });
+});
+
+describe("notifications about a request", () => {
+  test("go out on the request's own SSE response, ahead of the result", async () => {
+    const sessionId = await initialize();
+    const id = nextId++;
+
+    const response = await post({ id, method: "notify" }, {
+      "Mcp-Session-Id": sessionId,
+      Accept: "application/json, text/event-stream",
+    });
+    const messages = (await response.text()).match(/^data: .*$/gm).map((line) => JSON.parse(line.slice(6)));
+
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+    expect(messages).toEqual([
+      { jsonrpc: "2.0", method: "notifications/progress", params: { progressToken: 1, progress: 1 } },
+      { jsonrpc: "2.0", id, result: {} },
+    ]);
+  });
+
+  test("go to the session's GET stream when the POST does not accept SSE", async () => {
+    const sessionId = await initialize();
+    const session = transport.sessions.sessions.get(sessionId);
+
+    const response = await post({ id: nextId++, method: "notify" }, { "Mcp-Session-Id": sessionId });
+
+    expect(response.headers.get("content-type")).toMatch(/^application\/json/);
+    expect(session.eventBuffer.map(({ data }) => JSON.parse(data).method)).toEqual(["notifications/progress"]);
+  });
+});
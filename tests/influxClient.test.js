@@ -0,0 +1,259 @@
+import { startInfluxStandIn } from "./helpers/influxStandIn.js";
+
+// Each test queues the responses it wants
+const responses = [];
+const requests = [];
+const influx = await startInfluxStandIn((req, res) => {
+  requests.push({ method: req.method, url: req.url, auth: req.headers.authorization });
+  const { status = 200, headers = {}, body = "" } = responses.shift() ?? {};
+  res.writeHead(status, headers).end(body);
+});
+
+process.env.INFLUXDB_URL = influx.url;
+process.env.INFLUXDB_TOKEN = "test-token";
+process.env.INFLUXDB_RETRY_BASE_MS = "1";
+process.env.INFLUXDB_BREAKER_THRESHOLD = "100";
+
+const {
+  InfluxClient,
+  getInfluxClient,
+  influxRequest,
+  setInfluxClientFactory,
+} = await import("../src/utils/influxClient.js");
+const {
+  InfluxApiError,
+  InfluxCancelledError,
+  InfluxNetworkError,
+  InfluxTimeoutError,
+} = await import("../src/utils/influxErrors.js");
+const { runWithRequestContext } = await import("../src/utils/requestContext.js");
+const { getInstance } = await import("../src/config/instances.js");
+
+beforeEach(() => {
+  responses.length = 0;
+  requests.length = 0;
+});
+
+afterAll(async () => {
+  setInfluxClientFactory(null);
+  await influx.close();
+});
+
+describe("InfluxClient", () => {
+  test("sends the instance token and returns the response", async () => {
+    responses.push({ body: '{"orgs":[]}' });
+
+    const response = await getInfluxClient().request("/api/v2/orgs");
+
+    expect(await response.json()).toEqual({ orgs: [] });
+    expect(requests).toEqual([{ method: "GET", url: "/api/v2/orgs", auth: "Token test-token" }]);
+  });
+
+  test("prefers the token bound to the request", async () => {
+    responses.push({ status: 204 });
+
+    await runWithRequestContext({ influxToken: "session-token", influxTokenInstance: "default" }, () => influxRequest("/ping"));
+
+    expect(requests[0].auth).toBe("Token session-token");
+  });
+
+  test("never sends a bound token to another instance", async () => {
+    const error = await runWithRequestContext(
+      { influxToken: "session-token", influxTokenInstance: "staging" },
+      () => influxRequest("/ping"),
+    ).catch((e) => e);
+
+    expect(error.message).toMatch(/bound to instance "staging" and is not sent to "default"/);
+    expect(requests).toEqual([]);
+  });
+
+  test("turns error responses into InfluxApiError with InfluxDB's code and message", async () => {
+    responses.push({
+      status: 404,
+      body: '{"code":"not found","message":"bucket \\"nope\\" not found"}',
+    });
+
+    const error = await influxRequest("/api/v2/buckets/nope").catch((e) => e);
+
+    expect(error).toBeInstanceOf(InfluxApiError);
+    expect(error).toMatchObject({ status: 404, code: "not found", influxMessage: 'bucket "nope" not found' });
+    expect(error.message).toBe('InfluxDB API Error (404, not found): bucket "nope" not found');
+  });
+
+  test("reads 1.x style { error } bodies and plain text", async () => {
+    responses.push({ status: 400, body: '{"error":"database not found: x"}' });
+    responses.push({ status: 502, body: "Bad Gateway" });
+
+    await expect(influxRequest("/query", { method: "POST" })).rejects.toMatchObject({
+      influxMessage: "database not found: x",
+      code: undefined,
+    });
+    await expect(influxRequest("/query", { method: "POST" })).rejects.toThrow(
+      "InfluxDB API Error (502): Bad Gateway",
+    );
+  });
+
+  test("retries idempotent requests on 5xx and 429", async () => {
+    responses.push({ status: 503 }, { status: 429, headers: { "Retry-After": "0" } }, { body: "ok" });
+
+    const response = await influxRequest("/api/v2/buckets");
+
+    expect(await response.text()).toBe("ok");
+    expect(requests).toHaveLength(3);
+  });
+
+  test("fails at once when Retry-After is longer than the retry cap", async () => {
+    responses.push({ status: 429, headers: { "Retry-After": "60" } }, { body: "ok" });
+
+    const error = await influxRequest("/api/v2/buckets").catch((e) => e);
+
+    expect(error).toMatchObject({ status: 429, retryAfterMs: 60000 });
+    expect(error.message).toMatch(/\(retry after 60 s\)$/);
+    expect(requests).toHaveLength(1);
+  });
+
+  test("fails at once when Retry-After is longer than the call has left", async () => {
+    responses.push({ status: 503, headers: { "Retry-After": "2" } }, { body: "ok" });
+
+    const error = await runWithRequestContext(
+      { deadline: Date.now() + 1000 },
+      () => influxRequest("/api/v2/buckets"),
+    ).catch((e) => e);
+
+    expect(error).toMatchObject({ status: 503, retryAfterMs: 2000 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test("does not retry a write the server may have applied", async () => {
+    responses.push({ status: 500, body: '{"code":"internal error","message":"boom"}' });
+
+    await expect(
+      influxRequest("/api/v2/write", { method: "POST", body: "m v=1", retry: "unprocessed" }),
+    ).rejects.toBeInstanceOf(InfluxApiError);
+    expect(requests).toHaveLength(1);
+  });
+
+  test("retries a write the server turned away with 503", async () => {
+    responses.push({ status: 503 }, { status: 204 });
+
+    const response = await influxRequest("/api/v2/write", {
+      method: "POST",
+      body: "m v=1",
+      retry: "unprocessed",
+    });
+
+    expect(response.status).toBe(204);
+    expect(requests).toHaveLength(2);
+  });
+
+  test("reports an unreachable server as InfluxNetworkError", async () => {
+    const client = new InfluxClient({ name: "nowhere", url: "http://127.0.0.1:9", token: "t" });
+
+    const error = await client.request("/ping", { retry: false }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(InfluxNetworkError);
+    expect(error.code).toBe("ECONNREFUSED");
+    client.close();
+  });
+
+  test("times out with InfluxTimeoutError", async () => {
+    // Never answers
+    const slow = await startInfluxStandIn(() => {});
+    const client = new InfluxClient({ name: "slow", url: slow.url, token: "t" });
+
+    await expect(client.request("/ping", {}, 50)).rejects.toBeInstanceOf(InfluxTimeoutError);
+
+    client.close();
+    await slow.close();
+  });
+
+  test("stops when the call is cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort(new Error("Tool query-data was cancelled by the client"));
+
+    const error = await runWithRequestContext(
+      { signal: controller.signal },
+      () => influxRequest("/ping"),
+    ).catch((e) => e);
+
+    expect(error).toBeInstanceOf(InfluxCancelledError);
+    expect(error.message).toBe("Tool query-data was cancelled by the client");
+    expect(requests).toHaveLength(0);
+  });
+
+  test("ends the time limit of a response without a body", async () => {
+    const timers = () => process.getActiveResourcesInfo().filter((type) => type === "Timeout").length;
+    const before = timers();
+    responses.push({ status: 204 });
+
+    const response = await influxRequest("/ping", {}, 60000);
+
+    expect(response.status).toBe(204);
+    expect(timers()).toBe(before);
+  });
+
+  describe("while the body is still streaming", () => {
+    // Sends the headers and part of a body, then stalls
+    let stalled;
+    // Read the body as it streams in, as the Flux CSV reader does
+    const readBody = async (response) => {
+      for await (const chunk of response.body) {
+        expect(chunk.toString()).toBe("#datatype,string\n");
+      }
+    };
+    let client;
+    beforeAll(async () => {
+      stalled = await startInfluxStandIn((req, res) => {
+        res.writeHead(200, { "Content-Type": "text/csv" });
+        res.write("#datatype,string\n");
+      });
+      client = new InfluxClient({ name: "stalled", url: stalled.url, token: "t" });
+    });
+
+    afterAll(async () => {
+      client.close();
+      await stalled.close();
+    });
+
+    test("times out with InfluxTimeoutError", async () => {
+      const response = await client.request("/api/v2/query", {}, 100);
+
+      await expect(readBody(response)).rejects.toBeInstanceOf(InfluxTimeoutError);
+    });
+
+    test("stops when the call is cancelled", async () => {
+      const controller = new AbortController();
+      const response = await runWithRequestContext(
+        { signal: controller.signal },
+        () => client.request("/api/v2/query", {}, 60000),
+      );
+
+      const reading = readBody(response);
+      setTimeout(() => controller.abort(new Error("Tool query-data was cancelled by the client")), 20);
+
+      await expect(reading).rejects.toThrow(InfluxCancelledError);
+      await expect(reading).rejects.toThrow("Tool query-data was cancelled by the client");
+    });
+  });
+});
+
+describe("setInfluxClientFactory", () => {
+  test("substitutes the client every handler goes through", async () => {
+    const calls = [];
+    setInfluxClientFactory((instance) => ({
+      request: async (endpoint) => {
+        calls.push([instance.name, endpoint]);
+        return { status: 204 };
+      },
+    }));
+
+    const response = await influxRequest("/ping");
+
+    expect(response.status).toBe(204);
+    expect(calls).toEqual([[getInstance().name, "/ping"]]);
+    expect(requests).toHaveLength(0);
+
+    setInfluxClientFactory(null);
+    expect(getInfluxClient()).toBeInstanceOf(InfluxClient);
+  });
+});
@@ -0,0 +1,100 @@
+import { sendJson, sendPing, startInfluxStandIn } from "./helpers/influxStandIn.js";
+
+// Local stand-in for an InfluxDB 2.x server with DBRP mappings: database
+// "telegraf" maps to bucket "metrics" and "secret" to bucket "private"
+const mappings = [
+  { database: "telegraf", retention_policy: "autogen", default: true, bucketID: "b1" },
+  { database: "telegraf", retention_policy: "hourly", default: false, bucketID: "b2" },
+  { database: "secret", retention_policy: "autogen", default: true, bucketID: "b3" },
+];
+const bucketNames = { b1: "metrics", b2: "metrics-hourly", b3: "private" };
+
+const influx = await startInfluxStandIn((req, res, url) => {
+  if (url.pathname === "/ping") {
+    sendPing(res);
+  } else if (url.pathname === "/api/v2/dbrps") {
+    const { db, rp } = Object.fromEntries(url.searchParams);
+    sendJson(res, { content: mappings.filter((m) => m.database === db && (!rp || m.retention_policy === rp)) });
+  } else if (url.pathname.startsWith("/api/v2/buckets/")) {
+    const id = url.pathname.split("/").pop();
+    sendJson(res, { id, name: bucketNames[id] });
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+process.env.INFLUXDB_URL = influx.url;
+process.env.INFLUXDB_TOKEN = "test-token";
+process.env.INFLUXDB_ORG = "acme";
+
+const { analyzeInfluxQL } = await import("../src/utils/influxql.js");
+const { toolAccess } = await import("../src/registry.js");
+const { authorizeToolCall, compilePolicy } = await import("../src/auth/policy.js");
+const { FORBIDDEN_ERROR_CODE } = await import("../src/auth/authError.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+afterAll(async () => {
+  setInfluxClientFactory(null);
+  await influx.close();
+});
+
+describe("analyzeInfluxQL", () => {
+  test.each([
+    ['SELECT * FROM "secret"."autogen"."mem"', [{ db: "secret", rp: "autogen" }]],
+    ["SELECT * FROM cpu, secret..mem", [{ db: "secret", rp: null }]],
+    ['SELECT * FROM cpu, "secret"."autogen"."mem"', [{ db: "secret", rp: "autogen" }]],
+    ['SELECT * FROM "hourly"."cpu"', [{ db: null, rp: "hourly" }]],
+    ['SELECT * FROM (SELECT * FROM "secret"."autogen"./m.*/)', [{ db: "secret", rp: "autogen" }]],
+    ['SHOW MEASUREMENTS ON "secret"', [{ db: "secret", rp: null }]],
+    ["SHOW TAG VALUES ON secret WITH KEY = host", [{ db: "secret", rp: null }]],
+    ["SELECT * FROM cpu; SHOW FIELD KEYS ON secret FROM mem", [{ db: "secret", rp: null }]],
+  ])("finds the databases named by %s", (query, references) => {
+    expect(analyzeInfluxQL(query).references).toEqual(references);
+  });
+
+  test("ignores keywords inside strings and identifiers", () => {
+    const query = `SELECT "from a.b.c" FROM cpu WHERE note = 'ON secret FROM x.y.z' AND "on" = 'DROP'`;
+
+    expect(analyzeInfluxQL(query)).toEqual({ modifies: false, into: false, references: [] });
+  });
+
+  test("flags statements that change data", () => {
+    expect(analyzeInfluxQL("SELECT * INTO copy FROM cpu")).toMatchObject({ modifies: true, into: true });
+    expect(analyzeInfluxQL("DROP MEASUREMENT cpu")).toMatchObject({ modifies: true, into: false });
+  });
+});
+
+describe("influxql-query access", () => {
+  const principal = {
+    type: "api-key",
+    name: "reader",
+    policy: compilePolicy({ buckets: { read: ["metrics"], write: [] } }),
+  };
+
+  test("checks the bucket the DBRP mapping points at", async () => {
+    expect(await toolAccess("influxql-query", { db: "telegraf", query: "SELECT * FROM cpu" }))
+      .toMatchObject({ reads: ["metrics"], writes: [] });
+    expect(await toolAccess("influxql-query", { db: "telegraf", rp: "hourly", query: "SELECT * FROM cpu" }))
+      .toMatchObject({ reads: ["metrics-hourly"] });
+  });
+
+  test.each([
+    ['SELECT * FROM cpu, "secret"."autogen"."mem"', "private"],
+    ['SHOW MEASUREMENTS ON "secret"', "private"],
+    ["SHOW TAG VALUES ON secret WITH KEY = host", "private"],
+    ['SELECT * FROM "hourly"."cpu"', "metrics-hourly"],
+  ])("refuses %s", async (query, bucket) => {
+    const access = await toolAccess("influxql-query", { db: "telegraf", query });
+
+    expect(access.reads).toContain(bucket);
+    expect(() => authorizeToolCall(principal, "influxql-query", access)).toThrow(
+      expect.objectContaining({ code: FORBIDDEN_ERROR_CODE, message: expect.stringContaining(`"${bucket}"`) }),
+    );
+  });
+
+  test("allows a query that stays in the mapped bucket", async () => {
+    const access = await toolAccess("influxql-query", { db: "telegraf", query: "SELECT * FROM telegraf..cpu" });
+
+    expect(() => authorizeToolCall(principal, "influxql-query", access)).not.toThrow();
+  });
+});
@@ -0,0 +1,146 @@
+import { pointToLine, validateLineProtocol } from "../src/utils/lineProtocol.js";
+
+// Messages of the problems found, as "line:column message"
+const problems = (list) => list.map(({ line, column, message }) => `${line}:${column} ${message}`);
+
+describe("validateLineProtocol", () => {
+  test("accepts every field type, escapes, comments and blank lines", () => {
+    const data = [
+      "# header comment",
+      'cpu\\ load,host=a\\,b,region=us\\=west value=0.5,count=3i,total=18446744073709551615u,ok=T,note="say \\"hi\\", \\\\ok" 1700000000000000000',
+      "",
+      "cpu\\ load,host=c value=-1.5e3,count=-9223372036854775808i",
+      "mem free=.5",
+    ].join("\n");
+
+    expect(validateLineProtocol(data)).toEqual({ points: 3, errors: [], warnings: [] });
+  });
+
+  test("reports the line and column of syntax errors", () => {
+    const data = [
+      "cpu value=1",
+      "cpu,host=a=b value=1",
+      "cpu,host= value=1",
+      "cpu,host=a",
+      "cpu value=1 12:00",
+      'cpu note="open',
+      "cpu value=1 1 2",
+    ].join("\n");
+
+    const { points, errors } = validateLineProtocol(data);
+
+    expect(points).toBe(1);
+    expect(problems(errors)).toEqual([
+      "2:11 Tag \"host\" has an unescaped = in its value; write it as \\=",
+      "3:10 Tag \"host\" has an empty value; leave the tag out instead",
+      "4:11 Line has no fields; a point needs at least one, e.g. value=1",
+      "5:13 Invalid timestamp 12:00; timestamps are integers in the write's precision",
+      "6:10 String field value has no closing double quote; escape quotes inside it as \\\"",
+      "7:15 Unexpected text after the timestamp",
+    ]);
+  });
+
+  test("explains field values of no known type", () => {
+    const { errors } = validateLineProtocol([
+      "cpu state=running",
+      "cpu count=1.5i",
+      "cpu count=3I",
+      "cpu count=-1u",
+      "cpu count=9223372036854775808i",
+    ].join("\n"));
+
+    expect(problems(errors)).toEqual([
+      '1:11 Invalid value running for field "state": strings must be double-quoted (state="running"), integers need an i suffix (1i), booleans are true or false',
+      '2:11 Invalid number 1.5i for field "count": integers take a lowercase i (signed) or u (unsigned) suffix and no decimal point or exponent',
+      '3:11 Invalid number 3I for field "count": integers take a lowercase i (signed) or u (unsigned) suffix and no decimal point or exponent',
+      '4:11 Unsigned integer -1u of field "count" cannot be negative; use an i suffix for signed integers',
+      '5:11 Integer 9223372036854775808i of field "count" is outside the signed 64-bit range',
+    ]);
+  });
+
+  test("finds duplicate fields and type conflicts across the batch", () => {
+    const { points, errors } = validateLineProtocol([
+      "cpu value=1,value=2",
+      "cpu,host=a value=1i",
+      "mem value=1i",
+    ].join("\n"));
+
+    expect(points).toBe(3);
+    expect(problems(errors)).toEqual([
+      '1:13 Field "value" appears more than once',
+      '2:12 Field "value" of "cpu" is integer here but float on line 1; InfluxDB rejects conflicting field types',
+    ]);
+  });
+
+  test("checks timestamps against the precision", () => {
+    const seconds = "cpu value=1 1700000000";
+    expect(problems(validateLineProtocol(seconds).warnings)).toEqual([
+      "1:13 Timestamp 1700000000 is 1970-01-01T00:00:01.700Z at precision ns; it looks like s, so write with precision=s",
+    ]);
+    expect(validateLineProtocol(seconds, { precision: "s" }).warnings).toEqual([]);
+
+    const nanoseconds = "cpu value=1 1700000000000000000";
+    expect(problems(validateLineProtocol(nanoseconds, { precision: "ms" }).errors)).toEqual([
+      "1:13 Timestamp 1700000000000000000 is out of range for precision ms; it looks like ns, so write with precision=ns",
+    ]);
+  });
+
+  test("rejects CRLF line endings and warns about reserved keys", () => {
+    const { errors, warnings } = validateLineProtocol("cpu value=1\r\ncpu,_m=x time=1");
+
+    expect(problems(errors)).toEqual([
+      "1:12 Line ends with a carriage return; use \\n line endings",
+    ]);
+    expect(problems(warnings)).toEqual([
+      '2:5 Tag key "_m" is reserved by InfluxDB and may be dropped or rejected',
+      '2:10 Field key "time" is reserved by InfluxDB and may be dropped or rejected',
+    ]);
+  });
+});
+
+describe("pointToLine", () => {
+  test("escapes names and converts fields by type hint", () => {
+    const line = pointToLine({
+      measurement: "cpu load,x",
+      tags: { "z=z": "b c", a: "x,y", empty: "", gone: null },
+      fields: { value: 0.5, count: 3, big: "18446744073709551615", note: 'say "hi" \\', ok: true, skipped: null },
+      types: { count: "integer", big: "unsigned" },
+    });
+
+    expect(line).toBe(
+      'cpu\\ load\\,x,a=x\\,y,z\\=z=b\\ c value=0.5,count=3i,big=18446744073709551615u,note="say \\"hi\\" \\\\",ok=true',
+    );
+    expect(validateLineProtocol(line)).toEqual({ points: 1, errors: [], warnings: [] });
+  });
+
+  test("converts ISO-8601 timestamps exactly and keeps epoch values as given", () => {
+    const point = { measurement: "m", fields: { v: 1 } };
+
+    expect(pointToLine({ ...point, timestamp: "2024-05-01T12:00:00.123456789Z" }))
+      .toBe("m v=1 1714564800123456789");
+    expect(pointToLine({ ...point, timestamp: "2024-05-01T14:00:00+02:00" }, { precision: "s" }))
+      .toBe("m v=1 1714564800");
+    expect(pointToLine({ ...point, timestamp: 1714564800 }, { precision: "s" }))
+      .toBe("m v=1 1714564800");
+    expect(() => pointToLine({ ...point, timestamp: "2024-05-01T12:00:00.5Z" }, { precision: "s" }))
+      .toThrow("Timestamp 2024-05-01T12:00:00.5Z is more precise than precision s");
+    expect(() => pointToLine({ ...point, timestamp: "2024-05-01 12:00" }))
+      .toThrow(/neither an epoch value nor an ISO-8601 date-time/);
+  });
+
+  test("says what is wrong with a point", () => {
+    expect(() => pointToLine({ measurement: "m", fields: { v: null } })).toThrow(/no fields/);
+    expect(() => pointToLine({ measurement: "m", fields: { v: 1.5 }, types: { v: "integer" } }))
+      .toThrow('Field "v" is not an integer: 1.5');
+    expect(() => pointToLine({ measurement: "m", fields: { v: "abc" }, types: { v: "float" } }))
+      .toThrow('Field "v" is not a finite number: "abc"');
+    expect(() => pointToLine({ measurement: "m", fields: { v: -1 }, types: { v: "unsigned" } }))
+      .toThrow('Field "v" is outside the unsigned 64-bit range: -1');
+    expect(() => pointToLine({ measurement: "m", fields: { v: 1 }, types: { w: "integer" } }))
+      .toThrow(/Type given for field "w"/);
+    expect(() => pointToLine({ measurement: "m", tags: { host: "a\\" }, fields: { v: 1 } }))
+      .toThrow(/ends with a backslash/);
+    expect(() => pointToLine({ measurement: "#cpu", fields: { v: 1 } }))
+      .toThrow('Measurement name "#cpu" starts with "#"');
+  });
+});
@@ -0,0 +1,83 @@
+import { startInfluxStandIn } from "./helpers/influxStandIn.js";
+
+// Local stand-in for InfluxDB's write endpoint: rejects chunks holding a
+// "reject" point and records how many writes were in flight at once
+const writes = [];
+let inFlight = 0;
+let maxInFlight = 0;
+const influx = await startInfluxStandIn((req, res) => {
+  inFlight++;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  writes.push({ url: req.url, encoding: req.headers["content-encoding"], lines: req.body.split("\n") });
+  setTimeout(() => {
+    inFlight--;
+    if (req.body.includes("reject")) {
+      res.writeHead(400).end('{"code":"invalid","message":"partial write: field type conflict"}');
+    } else {
+      res.writeHead(204).end();
+    }
+  }, 20);
+});
+
+process.env.INFLUXDB_URL = influx.url;
+process.env.INFLUXDB_TOKEN = "test-token";
+process.env.WRITE_CHUNK_MAX_LINES = "3";
+process.env.WRITE_CONCURRENCY = "2";
+
+const {
+  chunkLines,
+  describeLineRanges,
+  writeLines,
+} = await import("../src/utils/lineWriter.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+beforeEach(() => {
+  writes.length = 0;
+  maxInFlight = 0;
+});
+
+afterAll(async () => {
+  setInfluxClientFactory(null);
+  await influx.close();
+});
+
+describe("chunkLines", () => {
+  test("cuts chunks at the line count or byte size, whichever comes first", () => {
+    const lines = ["m v=1", "m v=2", "m v=3", "m v=4", "m v=5"];
+
+    expect(chunkLines(lines, { maxLines: 2, maxBytes: 100 })).toEqual([[0, 2], [2, 4], [4, 5]]);
+    // "m v=1\nm v=2" is 11 bytes
+    expect(chunkLines(lines, { maxLines: 10, maxBytes: 11 })).toEqual([[0, 2], [2, 4], [4, 5]]);
+    expect(chunkLines(lines, { maxLines: 10, maxBytes: 3 })).toEqual([[0, 1], [1, 2], [2, 3], [3, 4], [4, 5]]);
+    expect(chunkLines([], { maxLines: 10, maxBytes: 3 })).toEqual([]);
+  });
+});
+
+describe("writeLines", () => {
+  const lines = Array.from({ length: 10 }, (_, i) => (i === 4 ? "reject v=1" : `m v=${i}`));
+
+  test("sends gzipped chunks in parallel and keeps going past a failed chunk", async () => {
+    const outcome = await writeLines({ org: "o", bucket: "b", precision: "s" }, lines);
+
+    expect(outcome.written).toBe(7);
+    expect(outcome.chunks.map(({ start, end, error }) => [start, end, error?.status ?? null]))
+      .toEqual([[0, 3, null], [3, 6, 400], [6, 9, null], [9, 10, null]]);
+    expect(writes).toHaveLength(4);
+    expect(writes[0]).toEqual({
+      url: "/api/v2/write?org=o&bucket=b&precision=s",
+      encoding: "gzip",
+      lines: ["m v=0", "m v=1", "m v=2"],
+    });
+    expect(maxInFlight).toBe(2);
+  });
+
+  test("summarizes the outcome as ranges of lines", async () => {
+    const outcome = await writeLines({ org: "o", bucket: "b" }, lines);
+
+    expect(describeLineRanges(outcome, (position) => position + 1)).toBe([
+      "- lines 1-3 written",
+      "- lines 4-6 failed: InfluxDB API Error (400, invalid): partial write: field type conflict",
+      "- lines 7-10 written",
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,126 @@
+import { sendJson, sendPing, startInfluxStandIn, writeInstancesFile } from "./helpers/influxStandIn.js";
+
+// Local stand-in for an InfluxDB 2.x server with two organizations
+const orgs = [{ id: "o1", name: "acme" }, { id: "o2", name: "other" }];
+const buckets = [
+  { id: "b1", name: "sensors", orgID: "o1" },
+  { id: "b2", name: "secret", orgID: "o1" },
+  { id: "b3", name: "sensors", orgID: "o2" },
+];
+const pinged = [];
+
+const influx = await startInfluxStandIn((req, res, url) => {
+  if (url.pathname === "/ping") {
+    pinged.push(req.headers.authorization);
+    sendPing(res);
+  } else if (url.pathname === "/api/v2/orgs") {
+    sendJson(res, { orgs });
+  } else if (url.pathname.startsWith("/api/v2/orgs/")) {
+    const org = orgs.find(({ id }) => id === url.pathname.split("/").pop());
+    org ? sendJson(res, org) : sendJson(res, { code: "not found", message: "organization not found" }, 404);
+  } else if (url.pathname === "/api/v2/buckets") {
+    sendJson(res, { buckets });
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+const instances = writeInstancesFile({
+  default: "production",
+  instances: {
+    production: { url: influx.url, token: "production-token", org: "acme" },
+    staging: { url: influx.url, token: "staging-token", org: "acme" },
+  },
+});
+process.env.INFLUXDB_INSTANCES_FILE = instances.file;
+
+const { callTool, readResource, resourceAccess, toolAccess } = await import("../src/registry.js");
+const { authorizeToolCall, compilePolicy } = await import("../src/auth/policy.js");
+const { runWithRequestContext } = await import("../src/utils/requestContext.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+const principal = {
+  type: "api-key",
+  name: "acme-reader",
+  policy: compilePolicy({ instances: ["production"], orgs: ["acme"], buckets: { read: ["sensors"] } }),
+};
+const asPrincipal = (fn) => runWithRequestContext({ principal }, fn);
+
+afterAll(async () => {
+  setInfluxClientFactory(null);
+  await influx.close();
+  instances.remove();
+});
+
+describe("access of calls that omit names", () => {
+  test("create-bucket checks the name of the orgID's organization", async () => {
+    expect(await toolAccess("create-bucket", { name: "new", orgID: "o2" }))
+      .toMatchObject({ org: "other", writes: ["new"] });
+  });
+
+  test("bucket-measurements checks the instance's organization", () => {
+    expect(resourceAccess("influxdb://bucket/sensors/measurements"))
+      .toEqual({ instance: "production", org: "acme", reads: ["sensors"] });
+  });
+});
+
+describe("access of Flux inside string interpolation", () => {
+  test("buckets read in a ${} expression are checked", async () => {
+    const query = 's = "${ string(v: (from(bucket: "secret") |> range(start: -1h) '
+      + '|> findRecord(fn: (key) => true, idx: 0))._value) }"';
+
+    const access = await toolAccess("query-data", { org: "acme", query });
+
+    expect(access).toMatchObject({ reads: ["secret"], unresolved: [] });
+    expect(() => authorizeToolCall(principal, "query-data", access))
+      .toThrow('may not read from bucket "secret"');
+  });
+});
+
+describe("listings filtered by policy", () => {
+  test("list-databases shows only readable buckets in allowed organizations", async () => {
+    const result = await asPrincipal(() => callTool("list-databases", {}));
+    const text = result.content[0].text;
+
+    expect(text).toContain("Found 1 buckets");
+    expect(text).toContain("(ID: b1)");
+    expect(text).not.toContain("secret");
+  });
+
+  test("the orgs and buckets resources leave out what the policy does not allow", async () => {
+    const orgsResult = await asPrincipal(() => readResource("influxdb://orgs"));
+    const bucketsResult = await asPrincipal(() => readResource("influxdb://buckets"));
+
+    expect(JSON.parse(orgsResult.contents[0].text).orgs).toEqual([{ id: "o1", name: "acme" }]);
+    expect(JSON.parse(bucketsResult.contents[0].text).buckets.map(({ id }) => id)).toEqual(["b1"]);
+  });
+
+  test("health-check without an instance checks only the allowed instances", async () => {
+    pinged.length = 0;
+    const result = await asPrincipal(() => callTool("health-check", {}));
+
+    expect(result.content[0].text).toContain("production - HEALTHY");
+    expect(result.content[0].text).not.toContain("staging");
+    expect(pinged).toEqual(["Token production-token"]);
+    expect(await toolAccess("health-check", {})).toEqual({ instance: undefined });
+  });
+
+  test("get-bucket-info names only readable buckets when one is not found", async () => {
+    const result = await asPrincipal(() => callTool("get-bucket-info", { bucketName: "nope", org: "acme" }));
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Available buckets: sensors$/);
+  });
+
+  test("get-bucket-info finds the bucket in the organization asked for", async () => {
+    const result = await callTool("get-bucket-info", { bucketName: "sensors", org: "other" });
+
+    expect(result.content[0].text).toContain("ID: b3");
+  });
+
+  test("principals without a policy see everything", async () => {
+    const result = await callTool("list-databases", {});
+
+    expect(result.content[0].text).toContain("Found 3 buckets");
+  });
+});
@@ -0,0 +1,104 @@
+import { sendPing, startInfluxStandIn } from "./helpers/influxStandIn.js";
+
+// Local stand-in for InfluxDB 2.x: writes are acknowledged, queries answer
+// with two tables of annotated CSV
+const QUERY_CSV = [
+  "#group,false,false,true,false",
+  "#datatype,string,long,string,double",
+  "#default,_result,,,",
+  ",result,table,host,_value",
+  ",,0,a,1",
+  ",,0,a,2",
+  ",,1,b,3",
+  "",
+].join("\r\n");
+
+const influx = await startInfluxStandIn((req, res, url) => {
+  if (url.pathname === "/api/v2/query") {
+    res.writeHead(200, { "Content-Type": "text/csv" }).end(QUERY_CSV);
+  } else {
+    sendPing(res);
+  }
+});
+
+process.env.INFLUXDB_URL = influx.url;
+process.env.INFLUXDB_TOKEN = "test-token";
+process.env.WRITE_CHUNK_MAX_LINES = "2";
+
+const { callTool } = await import("../src/registry.js");
+const { createProgressReporter, PARTIAL_RESULT_METHOD } = await import("../src/utils/progress.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+afterAll(async () => {
+  setInfluxClientFactory(null);
+  await influx.close();
+});
+
+// Request extras as the SDK hands them over, collecting the notifications
+function extraWith(_meta) {
+  const sent = [];
+  return { sent, extra: { _meta, sendNotification: async (notification) => sent.push(notification) } };
+}
+
+describe("createProgressReporter", () => {
+  test("is undefined without a progressToken", () => {
+    expect(createProgressReporter(extraWith({}).extra)).toBeUndefined();
+    expect(createProgressReporter({ _meta: { progressToken: "t" } })).toBeUndefined();
+  });
+
+  test("sends increasing progress at most every 250 ms, and always the last", () => {
+    const { sent, extra } = extraWith({ progressToken: 7 });
+    const report = createProgressReporter(extra);
+
+    report(1, 10, "one");
+    report(1, 10);
+    report(5, 10);
+    report(10, 10, "done");
+
+    expect(sent).toEqual([
+      { method: "notifications/progress", params: { progressToken: 7, progress: 1, total: 10, message: "one" } },
+      { method: "notifications/progress", params: { progressToken: 7, progress: 10, total: 10, message: "done" } },
+    ]);
+  });
+});
+
+describe("tool calls with a progressToken", () => {
+  test("write-data reports acknowledged lines until all are written", async () => {
+    const { sent, extra } = extraWith({ progressToken: "write-1" });
+    const data = ["m v=1", "m v=2", "m v=3", "m v=4", "m v=5"].join("\n");
+
+    const result = await callTool("write-data", { org: "acme", bucket: "b", data }, extra);
+
+    expect(result.isError).toBeFalsy();
+    const progress = sent.map(({ params }) => params.progress);
+    expect(sent.every(({ method, params }) => method === "notifications/progress" && params.progressToken === "write-1")).toBe(true);
+    expect(progress).toEqual([...progress].sort((a, b) => a - b));
+    expect(sent.at(-1).params).toMatchObject({ progress: 5, total: 5 });
+  });
+
+  test("query-data with stream sends the rows ahead of the result", async () => {
+    const { sent, extra } = extraWith({ progressToken: "query-1" });
+
+    const result = await callTool("query-data", {
+      org: "acme",
+      query: 'from(bucket: "b") |> range(start: -1h)',
+      stream: true,
+    }, extra);
+
+    const partial = sent.filter(({ method }) => method === PARTIAL_RESULT_METHOD).map(({ params }) => params);
+    expect(partial.every((params) => params.progressToken === "query-1")).toBe(true);
+    expect(partial.flatMap(({ records }) => records).map((record) => record._value)).toEqual([1, 2, 3]);
+    expect(partial.filter(({ columns }) => columns).map(({ table }) => table)).toEqual([0, 1]);
+    const progress = sent.filter(({ method }) => method === "notifications/progress").map(({ params }) => params);
+    expect(progress.at(-1)).toMatchObject({ progressToken: "query-1", progress: 3 });
+    expect(result.structuredContent.rowCount).toBe(3);
+  });
+
+  test("calls without a token send nothing", async () => {
+    const { sent, extra } = extraWith(undefined);
+
+    await callTool("write-data", { org: "acme", bucket: "b", data: "m v=1" }, extra);
+
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from "@jest/globals";
+
+process.env.QUERY_MAX_ROWS = "3";
+process.env.QUERY_MAX_BYTES = "100";
+process.env.QUERY_RESULT_MAX_ROWS = "5";
+process.env.QUERY_RESULT_MAX_BYTES = "4096";
+process.env.QUERY_CURSOR_TTL_MS = "60000";
+process.env.QUERY_CURSOR_MAX_RESULTS = "2";
+
+const { describePage, firstPage, nextPage, readQueryResult } = await import("../src/utils/queryResults.js");
+const { runWithRequestContext } = await import("../src/utils/requestContext.js");
+
+// Structured tables (see structuredTables) of `counts` rows each, numbered
+// across tables
+function tablesOf(...counts) {
+  let n = 0;
+  return counts.map((count, table) => ({
+    table,
+    columns: [{ name: "n", type: "long", group: false }],
+    groupKey: {},
+    records: Array.from({ length: count }, () => ({ n: ++n })),
+  }));
+}
+
+const numbers = (page) => page.tables.flatMap(({ records }) => records.map(({ n }) => n));
+
+// Pages of a result from the first on, following the cursors
+function allPages(tables, key = "q") {
+  const pages = [firstPage(tables, { key })];
+  while (pages.at(-1).page.nextCursor) {
+    pages.push(nextPage(pages.at(-1).page.nextCursor, { key }));
+  }
+  return pages;
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("paging", () => {
+  test("a result within the caps is one page with no cursor", () => {
+    const result = firstPage(tablesOf(2, 1), { key: "q" });
+
+    expect(numbers(result)).toEqual([1, 2, 3]);
+    expect(result.page).toEqual({ offset: 0, rowCount: 3, totalRows: 3, nextCursor: null, incomplete: false });
+    expect(describePage(result)).toBeNull();
+  });
+
+  test("pages hold at most QUERY_MAX_ROWS rows, regrouped into their tables", () => {
+    const pages = allPages(tablesOf(2, 5));
+
+    expect(pages.map(numbers)).toEqual([[1, 2, 3], [4, 5, 6], [7]]);
+    expect(pages[0].tables.map(({ table }) => table)).toEqual([0, 1]);
+    expect(pages[1].tables.map(({ table }) => table)).toEqual([1]);
+    expect(pages[1].tables[0]).toMatchObject({ columns: [{ name: "n", type: "long" }], groupKey: {} });
+    expect(pages.map(({ page }) => page.offset)).toEqual([0, 3, 6]);
+    expect(pages.at(-1).page.nextCursor).toBeNull();
+  });
+
+  test("pages hold at most QUERY_MAX_BYTES bytes of JSON, but always one row", () => {
+    const text = "x".repeat(30);
+    const large = { table: 0, columns: [], groupKey: {}, records: [{ text }, { text }, { text: "x".repeat(200) }, { text }] };
+
+    const pages = allPages([large]);
+
+    expect(pages.map(({ page }) => page.rowCount)).toEqual([2, 1, 1]);
+  });
+
+  test("describePage names the rows shown and the next cursor", () => {
+    const result = firstPage(tablesOf(5), { key: "q" });
+
+    expect(describePage(result)).toBe(
+      `⚠️ Result truncated. Showing rows 1-3 of 5. Pass cursor "${result.page.nextCursor}" with the same query to fetch the next page.`,
+    );
+    expect(describePage(nextPage(result.page.nextCursor, { key: "q" }))).toBe(
+      "⚠️ Result truncated. Showing rows 4-5 of 5.",
+    );
+  });
+});
+
+describe("cursors", () => {
+  test("belong to the query they were issued for", () => {
+    const { page } = firstPage(tablesOf(5), { key: "q" });
+
+    expect(() => nextPage(page.nextCursor, { key: "other" })).toThrow("Cursor belongs to a different query");
+  });
+
+  test.each(["not a cursor", Buffer.from('{"id":"x","offset":-1}').toString("base64url")])(
+    "reject malformed cursor %j",
+    (cursor) => {
+      expect(() => nextPage(cursor, { key: "q" })).toThrow("Invalid cursor");
+    },
+  );
+
+  test("reject an offset past the end of the result", () => {
+    const { page } = firstPage(tablesOf(5), { key: "q" });
+    const { id } = JSON.parse(Buffer.from(page.nextCursor, "base64url").toString());
+    const cursor = Buffer.from(JSON.stringify({ id, offset: 5 })).toString("base64url");
+
+    expect(() => nextPage(cursor, { key: "q" })).toThrow("Cursor is past the end of the result");
+  });
+
+  test("expire after QUERY_CURSOR_TTL_MS", () => {
+    jest.useFakeTimers({ now: Date.now() });
+    const { page } = firstPage(tablesOf(5), { key: "q" });
+
+    jest.advanceTimersByTime(59999);
+    expect(numbers(nextPage(page.nextCursor, { key: "q" }))).toEqual([4, 5]);
+
+    jest.advanceTimersByTime(1);
+    expect(() => nextPage(page.nextCursor, { key: "q" })).toThrow("Cursor has expired or is unknown");
+  });
+
+  test("past QUERY_CURSOR_MAX_RESULTS, the oldest cached result is evicted", () => {
+    const cursors = ["a", "b", "c"].map((key) => firstPage(tablesOf(5), { key }).page.nextCursor);
+
+    expect(() => nextPage(cursors[0], { key: "a" })).toThrow("Cursor has expired or is unknown");
+    expect(numbers(nextPage(cursors[1], { key: "b" }))).toEqual([4, 5]);
+    expect(numbers(nextPage(cursors[2], { key: "c" }))).toEqual([4, 5]);
+  });
+
+  test("are private to the session that ran the query", () => {
+    const { page } = runWithRequestContext({ sessionId: "alice" }, () => firstPage(tablesOf(5), { key: "q" }));
+    const pageFor = (sessionId) => () =>
+      runWithRequestContext({ sessionId }, () => nextPage(page.nextCursor, { key: "q" }));
+
+    expect(pageFor("mallory")).toThrow("Cursor has expired or is unknown");
+    expect(() => nextPage(page.nextCursor, { key: "q" })).toThrow("Cursor has expired or is unknown");
+    expect(numbers(pageFor("alice")())).toEqual([4, 5]);
+  });
+});
+
+describe("truncated responses", () => {
+  // A Flux CSV response of `count` rows in one table
+  function response(count) {
+    const lines = [
+      "#group,false,false,false",
+      "#datatype,string,long,long",
+      "#default,_result,,",
+      ",result,table,n",
+      ...Array.from({ length: count }, (_, i) => `,,0,${i + 1}`),
+      "",
+    ];
+    return { body: [Buffer.from(lines.join("\r\n"))] };
+  }
+
+  test("a response within QUERY_RESULT_MAX_ROWS is read whole", async () => {
+    const { tables, truncated } = await readQueryResult(response(5));
+
+    expect(truncated).toBe(false);
+    expect(tables[0].rows).toHaveLength(5);
+  });
+
+  test("rows past QUERY_RESULT_MAX_ROWS are cut off and flagged", async () => {
+    const { tables, truncated } = await readQueryResult(response(8));
+
+    expect(truncated).toBe(true);
+    expect(tables[0].rows).toHaveLength(5);
+  });
+
+  test("the incomplete flag is carried on every page and explained", () => {
+    const first = firstPage(tablesOf(5), { key: "cut", incomplete: true });
+    const second = nextPage(first.page.nextCursor, { key: "cut" });
+
+    expect(first.page.incomplete).toBe(true);
+    expect(second.page.incomplete).toBe(true);
+    expect(describePage(second)).toBe(
+      "⚠️ Result truncated. Showing rows 4-5 of 5. The response exceeded 5 rows or 4096 bytes and was cut off, so later rows are missing; narrow the time range or aggregate to see all data.",
+    );
+  });
+
+  test("a single incomplete page is still described", () => {
+    const result = firstPage(tablesOf(2), { key: "q", incomplete: true });
+
+    expect(result.page.nextCursor).toBeNull();
+    expect(describePage(result)).toMatch(/^⚠️ Result truncated\. The response exceeded 5 rows/);
+  });
+});
@@ -0,0 +1,49 @@
+import { FORBIDDEN_ERROR_CODE } from "../src/auth/authError.js";
+
+process.env.READ_ONLY = "true";
+process.env.INFLUXDB_TOKEN = "test-token";
+
+const { callTool, listTools, readResource } = await import("../src/registry.js");
+
+// Read-only refusals happen before anything is sent to InfluxDB
+const expectRefused = (promise, message) =>
+  expect(promise).rejects.toMatchObject({ code: FORBIDDEN_ERROR_CODE, message: expect.stringMatching(message) });
+
+describe("READ_ONLY mode", () => {
+  test("does not register tools that always mutate", async () => {
+    const names = listTools().map(({ name }) => name);
+
+    for (const name of ["write-data", "write-points", "import-csv", "create-bucket", "create-org"]) {
+      expect(names).not.toContain(name);
+    }
+    expect(names).toEqual(expect.arrayContaining(["query-data", "influxql-query", "validate-line-protocol"]));
+    await expect(callTool("write-data", { org: "o", bucket: "b", data: "m v=1" }))
+      .rejects.toThrow("Tool write-data not found");
+  });
+
+  test.each([
+    'from(bucket: "a") |> range(start: -1h) |> to(bucket: "b", org: "o")',
+    'w = to\nfrom(bucket: "a") |> range(start: -1h) |> w(bucket: "other", org: "o")',
+    'import h "http"\nfrom(bucket: "a") |> range(start: -1h) |> map(fn: (r) => ({ r with s: h.post(url: "https://example.com") }))',
+    'import "experimental/influxdb"\ninfluxdb.api(method: "delete", path: "/api/v2/buckets/0123456789abcdef")',
+    'import "influxdata/influxdb/monitor"\nfrom(bucket: "a") |> range(start: -1h) |> monitor.check(crit: (r) => true, messageFn: (r) => "x", data: {})',
+    'import "influxdata/influxdb/monitor"\nmonitor.from(start: -1h) |> monitor.notify(data: {}, endpoint: e)',
+    'import "influxdata/influxdb/monitor"\nfrom(bucket: "a") |> range(start: -1h) |> monitor.deadman(t: -5m)',
+    'import h "http"\ns = "${ string(v: h.post(url: "https://example.com")) }"',
+    's = "${ string(v: (from(bucket: "a") |> range(start: -1h) |> to(bucket: "b", org: "o") |> count() |> findRecord(fn: (key) => true, idx: 0))._value) }"',
+  ])("refuses Flux with side effects: %s", async (query) => {
+    await expectRefused(callTool("query-data", { org: "o", query }), /Server is read-only: tool "query-data" would run/);
+    await expectRefused(
+      readResource(`influxdb://query/o/${encodeURIComponent(query)}`),
+      /Server is read-only: resource influxdb:\/\/query\//,
+    );
+  });
+
+  test.each([
+    'SELECT * INTO "copy" FROM "cpu"',
+    "DROP MEASUREMENT cpu",
+    "DELETE FROM cpu WHERE time < now() - 1d",
+  ])("refuses InfluxQL that changes data: %s", async (query) => {
+    await expectRefused(callTool("influxql-query", { db: "telegraf", query }), /would run InfluxQL statements that change data/);
+  });
+});
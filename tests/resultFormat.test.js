@@ -0,0 +1,141 @@
+process.env.INFLUXDB_URL = "http://127.0.0.1:1";
+process.env.INFLUXDB_TOKEN = "test-token";
+
+const { parseFluxCsv } = await import("../src/utils/fluxCsv.js");
+const { formatTables, structuredTables } = await import("../src/utils/resultFormat.js");
+const { queryData } = await import("../src/handlers/queryDataTool.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+// Two tables grouped by host, the first with a pipe and a line break in a
+// string, the second with a missing value
+const CSV = [
+  "#group,false,false,true,false,false",
+  "#datatype,string,long,string,double,string",
+  "#default,_result,,,,",
+  ",result,table,host,_value,note",
+  ',,0,a|b,1.5,"two\nlines"',
+  ",,0,a|b,2,plain",
+  "",
+  "#group,false,false,true,false",
+  "#datatype,string,long,string,long",
+  "#default,_result,,,",
+  ",result,table,host,count",
+  ",,1,c,",
+  "",
+].join("\r\n");
+
+const structured = structuredTables(parseFluxCsv(CSV));
+
+afterAll(() => {
+  setInfluxClientFactory(null);
+});
+
+describe("structuredTables", () => {
+  test("keeps column types, the group key and the typed rows of each table", () => {
+    expect(structured).toHaveLength(2);
+    expect(structured[0]).toEqual({
+      table: 0,
+      columns: [
+        { name: "result", type: "string", group: false },
+        { name: "table", type: "long", group: false },
+        { name: "host", type: "string", group: true },
+        { name: "_value", type: "double", group: false },
+        { name: "note", type: "string", group: false },
+      ],
+      groupKey: { host: "a|b" },
+      records: [
+        { result: "_result", table: 0, host: "a|b", _value: 1.5, note: "two\nlines" },
+        { result: "_result", table: 0, host: "a|b", _value: 2, note: "plain" },
+      ],
+    });
+    expect(structured[1]).toMatchObject({ table: 1, groupKey: { host: "c" }, records: [{ host: "c", count: null }] });
+  });
+
+  test("an empty table has null group key values", () => {
+    const [table] = structuredTables([{ columns: [{ name: "host", datatype: "string", group: true }], rows: [] }]);
+
+    expect(table.groupKey).toEqual({ host: null });
+  });
+});
+
+describe("formatTables", () => {
+  test("json is the structured tables", () => {
+    expect(JSON.parse(formatTables(structured, "json"))).toEqual({ tables: structured });
+  });
+
+  test("jsonl is one record per line across tables", () => {
+    const lines = formatTables(structured, "jsonl").split("\n").map((line) => JSON.parse(line));
+
+    expect(lines).toEqual([...structured[0].records, ...structured[1].records]);
+  });
+
+  test("markdown is a table per Flux table, headed by its group key", () => {
+    expect(formatTables(structured, "markdown")).toBe([
+      "### Table 0 (host=a|b)",
+      "",
+      "| result (string) | table (long) | host (string) | _value (double) | note (string) |",
+      "| --- | --- | --- | --- | --- |",
+      "| _result | 0 | a\\|b | 1.5 | two<br>lines |",
+      "| _result | 0 | a\\|b | 2 | plain |",
+      "",
+      "### Table 1 (host=c)",
+      "",
+      "| result (string) | table (long) | host (string) | count (long) |",
+      "| --- | --- | --- | --- |",
+      "| _result | 1 | c |  |",
+    ].join("\n"));
+  });
+
+  test("markdown escapes pipes and line breaks in column names too", () => {
+    const [table] = structuredTables([{
+      columns: [{ name: "a|b\r\nc", datatype: "string" }],
+      rows: [{ "a|b\r\nc": "x\r\ny|z" }],
+    }]);
+
+    expect(formatTables([table], "markdown").split("\n").slice(2)).toEqual([
+      "| a\\|b<br>c (string) |",
+      "| --- |",
+      "| x<br>y\\|z |",
+    ]);
+  });
+
+  test("markdown of no tables says so", () => {
+    expect(formatTables([], "markdown")).toBe("_No results_");
+  });
+
+  test("csv rebuilds annotated CSV, quoting fields where needed", () => {
+    expect(formatTables(structured, "csv")).toBe([
+      "#group,false,false,true,false,false",
+      "#datatype,string,long,string,double,string",
+      ",result,table,host,_value,note",
+      ',_result,0,a|b,1.5,"two\nlines"',
+      ",_result,0,a|b,2,plain",
+      "",
+      "#group,false,false,true,false",
+      "#datatype,string,long,string,long",
+      ",result,table,host,count",
+      ",_result,1,c,",
+    ].join("\r\n"));
+  });
+});
+
+describe("query-data results", () => {
+  beforeAll(() => {
+    setInfluxClientFactory(() => ({
+      serverMajorVersion: async () => 2,
+      request: async () => ({ body: [Buffer.from(CSV)] }),
+    }));
+  });
+
+  test.each(["csv", "json", "markdown", "jsonl"])("in %s carry the tables as structuredContent", async (format) => {
+    const result = await queryData({ org: "acme", query: 'from(bucket: "b") |> range(start: -1h)', format });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.content).toEqual([{ type: "text", text: formatTables(structured, format) }]);
+    expect(result.structuredContent).toEqual({
+      tables: structured,
+      rowCount: 3,
+      page: { offset: 0, rowCount: 3, totalRows: 3, nextCursor: null, incomplete: false },
+    });
+  });
+});
@@ -0,0 +1,125 @@
+process.env.INFLUXDB_URL = "http://127.0.0.1:1";
+process.env.INFLUXDB_TOKEN = "test-token";
+
+const { quoteSqlIdentifier, quoteSqlString, sqlQuery } = await import("../src/utils/sql.js");
+const { querySql } = await import("../src/handlers/sqlQueryTool.js");
+const { setInfluxClientFactory } = await import("../src/utils/influxClient.js");
+
+// Requests the handlers send, captured by a fake client that answers as an
+// InfluxDB of the given major version
+const requests = [];
+let majorVersion = 3;
+let responseBody = "";
+
+beforeEach(() => {
+  requests.length = 0;
+  majorVersion = 3;
+  responseBody = "";
+  setInfluxClientFactory(() => ({
+    serverMajorVersion: async () => majorVersion,
+    request: async (endpoint, options) => {
+      requests.push({ endpoint, options, body: JSON.parse(options.body) });
+      return { text: async () => responseBody };
+    },
+  }));
+});
+
+afterAll(() => {
+  setInfluxClientFactory(null);
+});
+
+describe("quoting", () => {
+  test.each([
+    ["cpu", '"cpu"'],
+    ['say "hi"', '"say ""hi"""'],
+    ["back\\slash", '"back\\slash"'],
+    ['"', '""""'],
+  ])("quoteSqlIdentifier(%j) doubles embedded double quotes", (name, quoted) => {
+    expect(quoteSqlIdentifier(name)).toBe(quoted);
+  });
+
+  test.each([
+    ["a", "'a'"],
+    ["it's", "'it''s'"],
+    ["back\\slash\\", "'back\\slash\\'"],
+    ["'; DROP TABLE cpu; --", "'''; DROP TABLE cpu; --'"],
+  ])("quoteSqlString(%j) doubles embedded single quotes and leaves backslashes", (value, quoted) => {
+    expect(quoteSqlString(value)).toBe(quoted);
+  });
+
+  test("quotes non-string values by their string form", () => {
+    expect(quoteSqlIdentifier(42)).toBe('"42"');
+    expect(quoteSqlString(1.5)).toBe("'1.5'");
+  });
+});
+
+describe("sqlQuery", () => {
+  test("posts the database, query and params to /api/v3/query_sql as JSON", async () => {
+    responseBody = '[{"host":"a","usage":1.5}]';
+
+    const rows = await sqlQuery({ db: "telegraf", query: "SELECT * FROM cpu WHERE host = $host", params: { host: "a" } });
+
+    expect(rows).toEqual([{ host: "a", usage: 1.5 }]);
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ endpoint: "/api/v3/query_sql", options: { method: "POST", retry: true } });
+    expect(requests[0].body).toEqual({
+      db: "telegraf",
+      q: "SELECT * FROM cpu WHERE host = $host",
+      format: "json",
+      params: { host: "a" },
+    });
+  });
+
+  test("leaves params out of the body when there are none", async () => {
+    await sqlQuery({ db: "telegraf", query: "SELECT 1" });
+
+    expect(requests[0].body).toEqual({ db: "telegraf", q: "SELECT 1", format: "json" });
+  });
+
+  test("reads an empty response as no rows", async () => {
+    responseBody = "\n";
+
+    expect(await sqlQuery({ db: "telegraf", query: "SELECT 1" })).toEqual([]);
+  });
+});
+
+describe("sql-query", () => {
+  test("returns the rows as JSON text", async () => {
+    responseBody = '[{"n":1}]';
+
+    const result = await querySql({ db: "telegraf", query: "SELECT 1 AS n", params: { limit: 5 } });
+
+    expect(result.isError).toBeFalsy();
+    expect(JSON.parse(result.content[0].text)).toEqual([{ n: 1 }]);
+    expect(requests[0].body).toEqual({ db: "telegraf", q: "SELECT 1 AS n", format: "json", params: { limit: 5 } });
+  });
+
+  test.each([
+    [1, "Use influxql-query instead."],
+    [2, "Use query-data (Flux) or influxql-query instead."],
+  ])("refuses to run against InfluxDB %d", async (version, advice) => {
+    majorVersion = version;
+
+    const result = await querySql({ db: "telegraf", query: "SELECT 1" });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain(`runs InfluxDB ${version}. ${advice}`);
+    expect(requests).toHaveLength(0);
+  });
+
+  test("reports a failed request as an error result", async () => {
+    setInfluxClientFactory(() => ({
+      serverMajorVersion: async () => 3,
+      request: async () => {
+        throw new Error("InfluxDB request failed with status 400: error while planning query");
+      },
+    }));
+
+    const result = await querySql({ db: "telegraf", query: "SELEC 1" });
+
+    expect(result).toEqual({
+      content: [{ type: "text", text: "Error executing SQL query: InfluxDB request failed with status 400: error while planning query" }],
+      isError: true,
+    });
+  });
+});
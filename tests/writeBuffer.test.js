@@ -0,0 +1,184 @@
+import { mkdtempSync, readdirSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { startInfluxStandIn } from "./helpers/influxStandIn.js";
+
+// Local stand-in for InfluxDB's write endpoint: "down" answers 503, "bad"
+// answers 400 and "up" takes the write. "hold" keeps the first write
+// waiting in `held` until a test answers it, and answers 503 to the rest
+let mode = "down";
+const received = [];
+const held = [];
+const influx = await startInfluxStandIn((req, res) => {
+  if (mode === "hold" && held.length === 0) {
+    held.push({
+      body: req.body,
+      answer: () => {
+        received.push(...req.body.split("\n"));
+        res.writeHead(204).end();
+      },
+    });
+  } else if (mode === "down" || mode === "hold") {
+    res.writeHead(503).end('{"code":"unavailable","message":"write queue full"}');
+  } else if (mode === "bad") {
+    res.writeHead(400).end('{"code":"invalid","message":"partial write: field type conflict"}');
+  } else {
+    received.push(...req.body.split("\n"));
+    res.writeHead(204).end();
+  }
+});
+
+const directory = mkdtempSync(path.join(tmpdir(), "write-buffer-"));
+process.env.INFLUXDB_URL = influx.url;
+process.env.INFLUXDB_TOKEN = "test-token";
+process.env.INFLUXDB_MAX_RETRIES = "0";
+process.env.INFLUXDB_BREAKER_THRESHOLD = "1000";
+process.env.WRITE_CHUNK_MAX_LINES = "2";
+process.env.WRITE_BUFFER_DIR = directory;
+process.env.WRITE_BUFFER_MAX_BYTES = "64";
+process.env.WRITE_BUFFER_DROP_POLICY = "drop-oldest";
+process.env.WRITE_BUFFER_RETRY_BASE_MS = "5";
+process.env.WRITE_BUFFER_RETRY_MAX_MS = "20";
+
+const { firstWriteError, writeLines } = await import("../src/utils/lineWriter.js");
+const {
+  startWriteBuffer,
+  stopWriteBuffer,
+  writeBufferStatus,
+} = await import("../src/utils/writeBuffer.js");
+const { runWithRequestContext } = await import("../src/utils/requestContext.js");
+const { compilePolicy } = await import("../src/auth/policy.js");
+
+startWriteBuffer();
+
+// Wait for the background retries to reach a state
+async function waitFor(predicate) {
+  const deadline = Date.now() + 2000;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out; buffer is ${JSON.stringify(writeBufferStatus())}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const target = { org: "o", bucket: "b", precision: "s" };
+
+beforeEach(() => {
+  mode = "down";
+  received.length = 0;
+  held.length = 0;
+});
+
+afterAll(async () => {
+  stopWriteBuffer();
+  await influx.close();
+  rmSync(directory, { recursive: true, force: true });
+});
+
+describe("write buffer", () => {
+  test("queues chunks the server turned away and delivers them once it is back", async () => {
+    const outcome = await writeLines(target, ["m v=1", "m v=2", "m v=3"]);
+
+    expect(outcome.written).toBe(0);
+    expect(outcome.chunks.map(({ queued }) => queued)).toEqual([true, true]);
+    expect(firstWriteError(outcome)).toBeNull();
+    expect(readdirSync(directory)).toHaveLength(2);
+    expect(writeBufferStatus()).toMatchObject({ enabled: true, pending: 2, lines: 3, buffered: 2 });
+
+    mode = "up";
+    // Files are removed after their entries
+    await waitFor(() => writeBufferStatus().pending === 0 && readdirSync(directory).length === 0);
+
+    expect(received).toEqual(["m v=1", "m v=2", "m v=3"]);
+    expect(readdirSync(directory)).toEqual([]);
+    expect(writeBufferStatus().delivered).toBe(2);
+  });
+
+  test("drops a queued write the server rejects on retry", async () => {
+    const outcome = await writeLines(target, ["m v=4"]);
+    expect(outcome.chunks[0].queued).toBe(true);
+
+    mode = "bad";
+    await waitFor(() => writeBufferStatus().pending === 0 && readdirSync(directory).length === 0);
+
+    expect(writeBufferStatus()).toMatchObject({
+      dropped: 1,
+      lastDrop: {
+        bucket: "b",
+        lines: 1,
+        reason: "InfluxDB API Error (400, invalid): partial write: field type conflict",
+      },
+    });
+    expect(readdirSync(directory)).toEqual([]);
+  });
+
+  test("does not queue writes that do not fit or carry a session's token", async () => {
+    // One 81-byte chunk; the buffer holds 64 bytes
+    const large = await writeLines(target, [`m note="${"x".repeat(32)}"`, `m note="${"y".repeat(32)}"`]);
+    const withToken = await runWithRequestContext(
+      { influxToken: "session-token", influxTokenInstance: "default" },
+      () => writeLines(target, ["m v=5"]),
+    );
+
+    expect(large.chunks[0].queued).toBe(false);
+    expect(firstWriteError(large).status).toBe(503);
+    expect(withToken.chunks[0].queued).toBe(false);
+    expect(writeBufferStatus()).toMatchObject({ pending: 0, refused: 1 });
+  });
+
+  test("shows a caller with a policy only the writes it may make", async () => {
+    await writeLines(target, ["m v=6"]);
+    await writeLines({ ...target, bucket: "private" }, ["m v=7", "m v=8"]);
+    const principal = { type: "api-key", name: "b-writer", policy: compilePolicy({ buckets: { write: ["b"] } }) };
+
+    const status = runWithRequestContext({ principal }, () => writeBufferStatus());
+
+    expect(status).toMatchObject({ pending: 1, lines: 1 });
+    expect(status.entries.map(({ bucket }) => bucket)).toEqual(["b"]);
+    expect(writeBufferStatus()).toMatchObject({ pending: 2, lines: 3 });
+
+    mode = "bad";
+    await waitFor(() => writeBufferStatus().pending === 0);
+    expect(writeBufferStatus().lastDrop.bucket).toBe("private");
+    expect(runWithRequestContext({ principal }, () => writeBufferStatus().lastDrop)).toBeNull();
+  });
+
+  test("drop-oldest evicts the oldest writes to make room, but not one being sent", async () => {
+    const before = writeBufferStatus();
+    // 26 bytes each; a third does not fit the 64-byte buffer
+    const line = (name) => `m ${name}="${"x".repeat(20)}"`;
+    await writeLines(target, [line("a")]);
+    await writeLines(target, [line("b")]);
+    await writeLines(target, [line("c")]);
+
+    expect(writeBufferStatus()).toMatchObject({ pending: 2, dropped: before.dropped + 1 });
+    expect(writeBufferStatus().lastDrop.reason).toBe("dropped to make room for newer writes (drop-oldest)");
+
+    // One of the two is now being sent, the other waits behind it; 46 more
+    // bytes only fit by dropping both
+    mode = "hold";
+    await waitFor(() => held.length === 1);
+    const large = await writeLines(target, [`m d="${"y".repeat(40)}"`]);
+
+    expect(large.chunks[0].queued).toBe(false);
+    expect(writeBufferStatus()).toMatchObject({ pending: 2, dropped: before.dropped + 1, refused: before.refused + 1 });
+
+    // 26 bytes fit by dropping the waiting one alone
+    const small = await writeLines(target, [line("e")]);
+
+    expect(small.chunks[0].queued).toBe(true);
+    expect(writeBufferStatus().entries.map(({ lines }) => lines)).toEqual([1, 1]);
+    expect(writeBufferStatus().dropped).toBe(before.dropped + 2);
+
+    held[0].answer();
+    mode = "up";
+    await waitFor(() => writeBufferStatus().pending === 0 && readdirSync(directory).length === 0);
+
+    expect(received).toEqual([held[0].body, line("e")]);
+    expect(writeBufferStatus()).toMatchObject({
+      delivered: before.delivered + 2,
+      dropped: before.dropped + 2,
+    });
+  });
+});